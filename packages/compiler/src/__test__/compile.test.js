@@ -0,0 +1,198 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { createApp, defineComponent, h, nextTick } from 'turbie';
+import { compile, compileToFunction } from '../index';
+import { prefixIdentifiers } from '../expressions';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+function mount(template, options = {}, components = {}) {
+	const Component = defineComponent({
+		...options,
+		render: compileToFunction(template, { components }),
+	});
+	createApp(Component).mount(document.body);
+}
+
+test('compile a template to the code of a render function', () => {
+	expect(compile('<p :title="title">Hi {{ name }}</p>')).toBe(
+		'function render() {\n' +
+			'\treturn h("p", { "title": this.title }, ["Hi " + String((this.name) ?? \'\')]);\n' +
+			'}'
+	);
+});
+
+test('the free identifiers of the expressions are read from the component', () => {
+	expect(prefixIdentifiers('state.count + props.step * Math.max(a, 1)')).toBe(
+		'this.state.count + this.props.step * Math.max(this.a, 1)'
+	);
+	expect(prefixIdentifiers('items.map((item) => item.id)')).toBe(
+		'this.items.map((item) => item.id)'
+	);
+	expect(prefixIdentifiers("{ done, 'a-b': x ? y : z }", new Set(['x']))).toBe(
+		"{ done: this.done, 'a-b': x ? this.y : this.z }"
+	);
+	expect(prefixIdentifiers('`${count} items`')).toBe('`${this.count} items`');
+});
+
+test('the arrow function parameters are local to the function body', () => {
+	expect(prefixIdentifiers('items.map((item) => item.id).concat(item)')).toBe(
+		'this.items.map((item) => item.id).concat(this.item)'
+	);
+	expect(
+		prefixIdentifiers('a.filter(x => x > min).map((y) => ({ y, x }))')
+	).toBe('this.a.filter(x => x > this.min).map((y) => ({ y, x: this.x }))');
+	expect(prefixIdentifiers('f((x) => { return x + y; }, x)')).toBe(
+		'this.f((x) => { return x + this.y; }, this.x)'
+	);
+});
+
+test('the template literals can nest braces and other template literals', () => {
+	expect(prefixIdentifiers('`${ {a: 1}.a } and ${count}`')).toBe(
+		'`${ {a: 1}.a } and ${this.count}`'
+	);
+	expect(prefixIdentifiers('`${ `${n}` + {b: c}.b }`')).toBe(
+		'`${ `${this.n}` + {b: this.c}.b }`'
+	);
+});
+
+test('render the interpolations and the bindings', () => {
+	mount(
+		'<p class="greeting" :id="state.id">Hello, {{ state.name }}!</p>',
+		{ state: () => ({ id: 'hello', name: 'Ann' }) }
+	);
+
+	expect(document.body.innerHTML).toBe(
+		'<p class="greeting" id="hello">Hello, Ann!</p>'
+	);
+});
+
+test('the event handlers can be methods or statements', async () => {
+	mount(
+		`<div>
+			<button @click="increment">+</button>
+			<button @click="updateState({ count: state.count - 1 })">-</button>
+			<span>{{ state.count }}</span>
+		</div>`,
+		{
+			state: () => ({ count: 0 }),
+			increment() {
+				this.updateState({ count: this.state.count + 1 });
+			},
+		}
+	);
+	const [plus, minus] = document.querySelectorAll('button');
+
+	plus.click();
+	plus.click();
+	minus.click();
+	await nextTick();
+
+	expect(document.querySelector('span').textContent).toBe('1');
+});
+
+test('render the conditionals', async () => {
+	let component = null;
+	mount(
+		`<p t-if="state.count === 0">None</p>
+		<p t-else-if="state.count === 1">One</p>
+		<p t-else>Many</p>`,
+		{
+			state: () => ({ count: 0 }),
+			onMounted() {
+				component = this;
+			},
+		}
+	);
+	await nextTick();
+	expect(document.body.innerHTML).toBe('<p>None</p>');
+
+	component.updateState({ count: 1 });
+	await nextTick();
+	expect(document.body.innerHTML).toBe('<p>One</p>');
+
+	component.updateState({ count: 5 });
+	await nextTick();
+	expect(document.body.innerHTML).toBe('<p>Many</p>');
+});
+
+test('render the loops, with their index and keys', () => {
+	mount(
+		`<ul>
+			<li t-for="(todo, i) in state.todos" :key="todo.id" t-if="!todo.done">
+				{{ i }}: {{ todo.text }}
+			</li>
+		</ul>`,
+		{
+			state: () => ({
+				todos: [
+					{ id: 1, text: 'Walk', done: false },
+					{ id: 2, text: 'Cook', done: true },
+					{ id: 3, text: 'Read', done: false },
+				],
+			}),
+		}
+	);
+
+	expect(document.body.innerHTML).toBe(
+		'<ul><li>0: Walk</li><li>2: Read</li></ul>'
+	);
+});
+
+test('render the components with their props, events and slots', () => {
+	const onRemove = vi.fn();
+	const Item = defineComponent({
+		render() {
+			return h('li', { on: { click: () => this.emit('remove', this.props.id) } }, [
+				this.props.label,
+			]);
+		},
+	});
+	mount(
+		`<ul><Item t-for="item in items" :id="item.id" :label="item.label" @remove="onRemove" /></ul>`,
+		{ items: [{ id: 1, label: 'One' }], onRemove },
+		{ Item }
+	);
+
+	document.querySelector('li').click();
+
+	expect(document.body.innerHTML).toBe('<ul><li>One</li></ul>');
+	expect(onRemove).toHaveBeenCalledWith(1);
+});
+
+test('render the slots', () => {
+	const Card = defineComponent({
+		render: compileToFunction(
+			'<div><h2><slot name="title" /></h2><slot>Empty</slot></div>'
+		),
+	});
+	mount(
+		'<Card><span slot="title">Title</span><p>Body</p></Card>',
+		{},
+		{ Card }
+	);
+
+	expect(document.body.innerHTML).toBe(
+		'<div><h2><span>Title</span></h2><p>Body</p></div>'
+	);
+});
+
+test('several root nodes are rendered in a fragment', () => {
+	mount('<h1>Title</h1>\n<template t-if="true"><p>a</p><p>b</p></template>');
+
+	expect(document.body.innerHTML).toBe('<h1>Title</h1><p>a</p><p>b</p>');
+});
+
+test.each([
+	['<p t-else>a</p>', 't-else must follow an element with t-if', 1, 4],
+	['<p :title="a +">a</p>', 'Invalid expression "a +"', 1, 4],
+	['<li t-for="items">a</li>', 'Invalid t-for "items"', 1, 5],
+	['<p t-show="a">a</p>', 'Unknown directive t-show', 1, 4],
+	['<p title="a" :title="b">a</p>', 'The attribute "title" is set twice', 1, 14],
+])('report the error in %j', (template, message, line, column) => {
+	expect(() => compile(template)).toThrow(message);
+	expect(() => compile(template)).toThrow(
+		expect.objectContaining({ line, column })
+	);
+});
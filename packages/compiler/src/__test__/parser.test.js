@@ -0,0 +1,93 @@
+import { expect, test } from 'vitest';
+import { CompilerError } from '../errors';
+import { NODE_TYPES, parse } from '../parser';
+
+test('parse elements, attributes and text', () => {
+	const { children } = parse('<p class="intro" hidden>Hello &amp; welcome</p>');
+
+	expect(children).toHaveLength(1);
+	expect(children[0]).toMatchObject({
+		type: NODE_TYPES.ELEMENT,
+		tag: 'p',
+		attrs: [
+			{ name: 'class', value: 'intro' },
+			{ name: 'hidden', value: true },
+		],
+		children: [{ type: NODE_TYPES.TEXT, value: 'Hello & welcome' }],
+	});
+});
+
+test('parse the interpolations in the text', () => {
+	const [p] = parse('<p>Count: {{ state.count }}!</p>').children;
+
+	expect(p.children).toMatchObject([
+		{ type: NODE_TYPES.TEXT, value: 'Count: ' },
+		{ type: NODE_TYPES.INTERPOLATION, expression: 'state.count' },
+		{ type: NODE_TYPES.TEXT, value: '!' },
+	]);
+});
+
+test('parse void, self-closing elements and skip the comments', () => {
+	const [div] = parse('<div><!-- a comment --><input type="text"><Item /></div>')
+		.children;
+
+	expect(div.children.map(({ tag }) => tag)).toEqual(['input', 'Item']);
+});
+
+test('the indentation whitespace is removed and the rest condensed', () => {
+	const [ul] = parse(`<ul>
+		<li>a   b</li>
+		<li>c</li> <li>d</li>
+	</ul>`).children;
+
+	expect(ul.children.map(({ type, tag }) => tag ?? type)).toEqual([
+		'li',
+		'li',
+		NODE_TYPES.TEXT,
+		'li',
+	]);
+	expect(ul.children[0].children[0].value).toBe('a b');
+});
+
+test('the whitespace is kept in <pre> elements', () => {
+	const [pre] = parse('<pre>  a\n  b</pre>').children;
+
+	expect(pre.children[0].value).toBe('  a\n  b');
+});
+
+test('the nodes record their line and column', () => {
+	const [div] = parse('<div>\n  <span :title="x">{{ y }}</span>\n</div>').children;
+	const [span] = div.children;
+
+	expect(span.loc).toMatchObject({ line: 2, column: 3 });
+	expect(span.attrs[0].loc).toMatchObject({ line: 2, column: 9 });
+	expect(span.children[0].loc).toMatchObject({ line: 2, column: 20 });
+});
+
+test.each([
+	['<div><span></div>', 'Unexpected closing tag </div>, expected </span>', 1, 12],
+	['<div>\n  <p>text', 'Element <p> is never closed', 2, 3],
+	['<p>{{ count </p>', 'Interpolation is never closed', 1, 4],
+	['<p>{{ }}</p>', 'Empty interpolation', 1, 4],
+	['<p class="a" class="b"></p>', 'Duplicate attribute "class"', 1, 14],
+	['<p title="unclosed></p>', 'The value of the attribute "title" is never closed', 1, 10],
+	['<p>text</p></div>', 'Unexpected closing tag </div>', 1, 12],
+	['<div', 'Start tag <div> is never closed', 1, 1],
+])('report the error in %j', (template, message, line, column) => {
+	let error = null;
+	try {
+		parse(template);
+	} catch (e) {
+		error = e;
+	}
+
+	expect(error).toBeInstanceOf(CompilerError);
+	expect(error.message).toMatch(message);
+	expect(error).toMatchObject({ line, column });
+});
+
+test('the error message points at the error in the template', () => {
+	expect(() => parse('<ul>\n  <li></ul>')).toThrow(
+		'Unexpected closing tag </ul>, expected </li> (2:7)\n\n2 |   <li></ul>\n          ^'
+	);
+});
@@ -0,0 +1,319 @@
+import { CompilerError } from './errors';
+import { prefixIdentifiers } from './expressions';
+import { NODE_TYPES } from './parser';
+
+/**
+ * The prefix of the directives, like `t-if`.
+ */
+const DIRECTIVE_PREFIX = 't-';
+
+const CONDITIONAL_DIRECTIVES = ['t-if', 't-else-if', 't-else'];
+
+/**
+ * A simple path, like `increment` or `this.handlers.save`: as an event handler,
+ * it's a function to pass as it is, rather than a statement to wrap.
+ */
+const SIMPLE_PATH_REGEX = /^[A-Za-z_$][\w$]*(?:\s*\.\s*[A-Za-z_$][\w$]*)*$/;
+
+/**
+ * An arrow function, like `(event) => save(event.target.value)`.
+ */
+const ARROW_FUNCTION_REGEX = /^(async\s+)?(\([^)]*\)|[\w$]+)\s*=>/;
+
+/**
+ * The value of `t-for`: `item in items`, `(item, index) in items` (or `of`).
+ */
+const FOR_REGEX =
+	/^\s*(?:\(\s*([A-Za-z_$][\w$]*)\s*(?:,\s*([A-Za-z_$][\w$]*)\s*)?\)|([A-Za-z_$][\w$]*))\s+(?:in|of)\s+([\s\S]+)$/;
+
+/**
+ * Generates the code of the render function for a parsed template.
+ *
+ * The render function is a regular function (so that `this` is the component)
+ * using the `h()`, `hFragment()`, `hString()` and `hSlot()` functions of the
+ * runtime, and the components by the name of their tag: they must be in scope
+ * where the code is evaluated.
+ *
+ * @param {import('./parser').RootNode} ast the parsed template
+ * @param {string} template the template, to report the errors
+ * @returns {string} the code of the render function
+ */
+export function generate(ast, template) {
+	function error(message, loc) {
+		return new CompilerError(message, loc, template);
+	}
+
+	function expression(code, loc, locals, { isStatement = false } = {}) {
+		try {
+			// Only checks the syntax: the function isn't called.
+			new Function(isStatement ? code : `return (${code});`);
+		} catch (syntaxError) {
+			throw error(`Invalid expression "${code}": ${syntaxError.message}`, loc);
+		}
+
+		return prefixIdentifiers(code, locals);
+	}
+
+	function genRoot(children) {
+		if (children.length === 0) {
+			return "hString('')";
+		}
+
+		const parts = genChildren(children, new Set(), "hString('')");
+		const [first] = parts;
+
+		if (parts.length === 1 && !first.isSpread) {
+			return first.isText ? `hString(${first.code})` : first.code;
+		}
+
+		return `hFragment(${genList(parts)})`;
+	}
+
+	/**
+	 * Generates the code of a list of sibling nodes. The adjacent text nodes and
+	 * interpolations are merged into a single string, and the conditional
+	 * directives on consecutive elements are merged into a single expression.
+	 *
+	 * @returns {{ code: string, isText?: boolean, isSpread?: boolean }[]}
+	 */
+	function genChildren(children, locals, fallback = 'null') {
+		const parts = [];
+		let i = 0;
+
+		while (i < children.length) {
+			const node = children[i];
+
+			if (node.type !== NODE_TYPES.ELEMENT) {
+				const run = [];
+				while (i < children.length && children[i].type !== NODE_TYPES.ELEMENT) {
+					run.push(children[i++]);
+				}
+
+				parts.push({ code: genText(run, locals), isText: true });
+				continue;
+			}
+
+			const conditional = findAttr(node, 't-else-if') ?? findAttr(node, 't-else');
+			if (conditional) {
+				throw error(
+					`${conditional.name} must follow an element with t-if or t-else-if`,
+					conditional.loc
+				);
+			}
+
+			if (findAttr(node, 't-if') && !findAttr(node, 't-for')) {
+				const chain = [node];
+				i++;
+
+				// Collects the following branches, skipping the spaces between them.
+				let next = i;
+				while (next < children.length) {
+					const sibling = children[next];
+
+					if (isBlankText(sibling)) {
+						next++;
+						continue;
+					}
+
+					if (
+						sibling.type !== NODE_TYPES.ELEMENT ||
+						!(findAttr(sibling, 't-else-if') || findAttr(sibling, 't-else'))
+					) {
+						break;
+					}
+
+					chain.push(sibling);
+					next++;
+					i = next;
+
+					if (findAttr(sibling, 't-else')) {
+						break;
+					}
+				}
+
+				parts.push({ code: genIfChain(chain, locals, fallback) });
+				continue;
+			}
+
+			parts.push(genElementWithFor(node, locals));
+			i++;
+		}
+
+		return parts;
+	}
+
+	function genList(parts) {
+		const items = parts.map(({ code, isSpread }) =>
+			isSpread ? `...${code}` : code
+		);
+
+		return `[${items.join(', ')}]`;
+	}
+
+	function genText(run, locals) {
+		return run
+			.map((node) =>
+				node.type === NODE_TYPES.TEXT
+					? JSON.stringify(node.value)
+					: `String((${expression(node.expression, node.loc, locals)}) ?? '')`
+			)
+			.join(' + ');
+	}
+
+	function genIfChain(chain, locals, fallback) {
+		const branches = chain.map((node) => {
+			const condition = findAttr(node, 't-if') ?? findAttr(node, 't-else-if');
+			const code = genElement(node, locals);
+
+			if (condition == null) {
+				return { code };
+			}
+
+			if (condition.value === true) {
+				throw error(`${condition.name} needs a condition`, condition.loc);
+			}
+
+			return { test: expression(condition.value, condition.loc, locals), code };
+		});
+
+		const last = branches.at(-1);
+		let code = last.test ? `(${last.test}) ? ${last.code} : ${fallback}` : last.code;
+
+		for (const branch of branches.slice(0, -1).reverse()) {
+			code = `(${branch.test}) ? ${branch.code} : ${code}`;
+		}
+
+		return code;
+	}
+
+	/**
+	 * Generates an element, repeated for each item of a list if it has `t-for`.
+	 * The repeated elements are spread in their parent's children.
+	 */
+	function genElementWithFor(node, locals) {
+		const loop = findAttr(node, 't-for');
+		if (loop == null) {
+			return { code: genElement(node, locals) };
+		}
+
+		const match = typeof loop.value === 'string' && loop.value.match(FOR_REGEX);
+		if (!match) {
+			throw error(
+				`Invalid t-for "${loop.value}", expected "item in items" or "(item, index) in items"`,
+				loop.loc
+			);
+		}
+
+		const [, itemInParens, index, item, list] = match;
+		const params = [itemInParens ?? item, index].filter(Boolean);
+		const innerLocals = new Set([...locals, ...params]);
+		const condition = findAttr(node, 't-if');
+
+		let code = genElement(node, innerLocals);
+		if (condition) {
+			code = `(${expression(condition.value, condition.loc, innerLocals)}) ? ${code} : null`;
+		}
+
+		const items = expression(list, loop.loc, locals);
+
+		return {
+			code: `Array.from(${items} ?? [], (${params.join(', ')}) => ${code})`,
+			isSpread: true,
+		};
+	}
+
+	function genElement(node, locals) {
+		const children = genList(genChildren(node.children, locals));
+
+		if (node.tag === 'template') {
+			return `hFragment(${children})`;
+		}
+
+		if (node.tag === 'slot') {
+			const name = findAttr(node, 'name');
+			return `hSlot(${name ? JSON.stringify(name.value) : 'undefined'}, ${children})`;
+		}
+
+		const tag = isComponentTag(node.tag) ? node.tag : JSON.stringify(node.tag);
+
+		return `h(${tag}, ${genProps(node, locals)}, ${children})`;
+	}
+
+	function genProps(node, locals) {
+		const props = [];
+		const events = [];
+		const names = new Set();
+
+		for (const attr of node.attrs) {
+			const { name, value, loc } = attr;
+
+			if (name.startsWith(DIRECTIVE_PREFIX)) {
+				if (!CONDITIONAL_DIRECTIVES.includes(name) && name !== 't-for') {
+					throw error(`Unknown directive ${name}`, loc);
+				}
+				continue;
+			}
+
+			if (name.startsWith('@')) {
+				events.push(`${JSON.stringify(name.slice(1))}: ${genHandler(attr, locals)}`);
+				continue;
+			}
+
+			const isBound = name.startsWith(':');
+			const propName = isBound ? name.slice(1) : name;
+
+			if (names.has(propName)) {
+				throw error(`The attribute "${propName}" is set twice`, loc);
+			}
+			names.add(propName);
+
+			if (isBound && value === true) {
+				throw error(`${name} needs an expression`, loc);
+			}
+
+			const code = isBound
+				? expression(value, loc, locals)
+				: JSON.stringify(value);
+			props.push(`${JSON.stringify(propName)}: ${code}`);
+		}
+
+		if (events.length > 0) {
+			props.push(`on: { ${events.join(', ')} }`);
+		}
+
+		return `{ ${props.join(', ')} }`;
+	}
+
+	function genHandler({ name, value, loc }, locals) {
+		if (value === true) {
+			throw error(`${name} needs a handler`, loc);
+		}
+
+		const handler = value.trim();
+
+		if (SIMPLE_PATH_REGEX.test(handler) || ARROW_FUNCTION_REGEX.test(handler)) {
+			return expression(handler, loc, locals);
+		}
+
+		// A statement, like "count++" or "remove(todo.id)", runs in a function
+		// receiving the event (or the payload of a component's event) as $event.
+		const statement = expression(handler, loc, new Set([...locals, '$event']), {
+			isStatement: true,
+		});
+		return `($event) => { ${statement}; }`;
+	}
+
+	return `function render() {\n\treturn ${genRoot(ast.children)};\n}`;
+}
+
+function findAttr(node, name) {
+	return node.attrs.find((attr) => attr.name === name) ?? null;
+}
+
+function isBlankText(node) {
+	return node.type === NODE_TYPES.TEXT && node.value.trim() === '';
+}
+
+function isComponentTag(tag) {
+	return /^[A-Z]/.test(tag);
+}
@@ -0,0 +1,50 @@
+/**
+ * A position in the template.
+ *
+ * @typedef Location
+ * @type {object}
+ * @property {number} offset - The index of the character in the template.
+ * @property {number} line - The line number, starting at 1.
+ * @property {number} column - The column number, starting at 1.
+ */
+
+/**
+ * An error in a template, reported with the position where it was found and an
+ * excerpt of the template pointing at it.
+ */
+export class CompilerError extends Error {
+	/**
+	 * @param {string} message the description of the error
+	 * @param {Location} loc the position of the error in the template
+	 * @param {string} template the template
+	 */
+	constructor(message, loc, template) {
+		super(
+			`${message} (${loc.line}:${loc.column})\n\n${codeFrame(template, loc)}`
+		);
+
+		this.name = 'CompilerError';
+		/**
+		 * The description of the error, without its position.
+		 */
+		this.reason = message;
+		this.line = loc.line;
+		this.column = loc.column;
+		this.offset = loc.offset;
+	}
+}
+
+/**
+ * Returns the line of the template where the error is, followed by a caret
+ * pointing at the column.
+ *
+ * @param {string} template the template
+ * @param {Location} loc the position of the error
+ * @returns {string} the excerpt
+ */
+function codeFrame(template, { line, column }) {
+	const source = template.split('\n')[line - 1] ?? '';
+	const gutter = `${line} | `;
+
+	return `${gutter}${source}\n${' '.repeat(gutter.length + column - 1)}^`;
+}
@@ -0,0 +1,307 @@
+/**
+ * The identifiers that aren't read from the component.
+ */
+const RESERVED_IDENTIFIERS = new Set([
+	// Keywords and literals
+	'true',
+	'false',
+	'null',
+	'undefined',
+	'this',
+	'typeof',
+	'instanceof',
+	'in',
+	'of',
+	'new',
+	'void',
+	'delete',
+	'await',
+	'async',
+	'function',
+	'return',
+	'if',
+	'else',
+	'let',
+	'const',
+	'var',
+	'NaN',
+	'Infinity',
+	// Globals
+	'Math',
+	'Date',
+	'JSON',
+	'Number',
+	'String',
+	'Boolean',
+	'Array',
+	'Object',
+	'Intl',
+	'parseInt',
+	'parseFloat',
+	'isNaN',
+	'isFinite',
+	'encodeURIComponent',
+	'decodeURIComponent',
+	'console',
+	'window',
+	'document',
+]);
+
+/**
+ * Rewrites a template expression so that its free identifiers are read from the
+ * component: `state.count + 1` becomes `this.state.count + 1`, and `increment`
+ * becomes `this.increment`.
+ *
+ * The identifiers that are properties (after a `.`), object keys, local variables
+ * (like the `t-for` item), arrow function parameters (in the function's body
+ * only), keywords and common globals (like `Math`) are left as they are.
+ *
+ * @param {string} expression the JavaScript expression
+ * @param {Set<string>} [locals] the names of the local variables
+ * @returns {string} the rewritten expression
+ */
+export function prefixIdentifiers(expression, locals = new Set()) {
+	const scope = locals;
+	const brackets = [];
+	let previousToken = null;
+	let result = '';
+	let i = 0;
+
+	while (i < expression.length) {
+		const char = expression[i];
+
+		if (char === '"' || char === "'") {
+			const end = findStringEnd(expression, i);
+			result += expression.slice(i, end);
+			i = end;
+			previousToken = 'string';
+			continue;
+		}
+
+		if (char === '`') {
+			const end = findStringEnd(expression, i);
+			result += prefixTemplateLiteral(expression.slice(i, end), scope);
+			i = end;
+			previousToken = 'string';
+			continue;
+		}
+
+		const arrowHead =
+			previousToken === '.' ? null : matchArrowHead(expression.slice(i));
+		if (arrowHead) {
+			// The parameters are local variables of the function's body only.
+			const { head, params } = arrowHead;
+			const bodyStart = i + head.length;
+			const bodyEnd = findArrowBodyEnd(expression, bodyStart);
+			const body = expression.slice(bodyStart, bodyEnd);
+
+			result += head + prefixIdentifiers(body, new Set([...scope, ...params]));
+			i = bodyEnd;
+			previousToken = 'identifier';
+			continue;
+		}
+
+		if (/[0-9]/.test(char)) {
+			const [number] = expression.slice(i).match(/^[\w.]+/);
+			result += number;
+			i += number.length;
+			previousToken = 'number';
+			continue;
+		}
+
+		if (/[A-Za-z_$]/.test(char)) {
+			const [name] = expression.slice(i).match(/^[A-Za-z_$][\w$]*/);
+			const rest = expression.slice(i + name.length);
+			const isInObject =
+				brackets.at(-1) === '{' &&
+				(previousToken === '{' || previousToken === ',');
+
+			if (
+				previousToken === '.' ||
+				scope.has(name) ||
+				RESERVED_IDENTIFIERS.has(name) ||
+				(isInObject && /^\s*:/.test(rest))
+			) {
+				result += name;
+			} else if (isInObject && /^\s*[,}]/.test(rest)) {
+				// Shorthand property: { count } becomes { count: this.count }
+				result += `${name}: this.${name}`;
+			} else {
+				result += `this.${name}`;
+			}
+
+			i += name.length;
+			previousToken = 'identifier';
+			continue;
+		}
+
+		if (/\s/.test(char)) {
+			result += char;
+			i++;
+			continue;
+		}
+
+		if (char === '?' && expression[i + 1] === '.') {
+			result += '?.';
+			i += 2;
+			previousToken = '.';
+			continue;
+		}
+
+		if ('([{'.includes(char)) {
+			brackets.push(char);
+		} else if (')]}'.includes(char)) {
+			brackets.pop();
+		}
+
+		result += char;
+		i++;
+		previousToken = char;
+	}
+
+	return result;
+}
+
+/**
+ * Returns the index following the end of the string starting at `start`.
+ *
+ * @param {string} expression the expression
+ * @param {number} start the index of the opening quote
+ * @returns {number} the index after the closing quote
+ */
+function findStringEnd(expression, start) {
+	const quote = expression[start];
+	let i = start + 1;
+
+	while (i < expression.length) {
+		const char = expression[i];
+
+		if (char === '\\') {
+			i += 2;
+			continue;
+		}
+
+		if (quote === '`' && char === '$' && expression[i + 1] === '{') {
+			i = findClosingBracket(expression, i + 1) + 1;
+			continue;
+		}
+
+		if (char === quote) {
+			return i + 1;
+		}
+
+		i++;
+	}
+
+	return expression.length;
+}
+
+/**
+ * Returns the index of the bracket closing the one at `start`, skipping the
+ * strings and the nested brackets.
+ *
+ * @param {string} expression the expression
+ * @param {number} start the index of the opening bracket
+ * @returns {number} the index of the closing bracket
+ */
+function findClosingBracket(expression, start) {
+	let depth = 0;
+	let i = start;
+
+	while (i < expression.length) {
+		const char = expression[i];
+
+		if (char === '"' || char === "'" || char === '`') {
+			i = findStringEnd(expression, i);
+			continue;
+		}
+
+		if ('([{'.includes(char)) {
+			depth++;
+		} else if (')]}'.includes(char) && --depth === 0) {
+			return i;
+		}
+
+		i++;
+	}
+
+	return expression.length;
+}
+
+/**
+ * Returns the index following the end of the body of an arrow function: the
+ * block in braces, or the expression ending at the first comma or closing
+ * bracket that isn't nested in it.
+ *
+ * @param {string} expression the expression
+ * @param {number} start the index where the body starts
+ * @returns {number} the index after the body
+ */
+function findArrowBodyEnd(expression, start) {
+	if (expression[start] === '{') {
+		return findClosingBracket(expression, start) + 1;
+	}
+
+	let i = start;
+
+	while (i < expression.length) {
+		const char = expression[i];
+
+		if (char === '"' || char === "'" || char === '`') {
+			i = findStringEnd(expression, i);
+		} else if ('([{'.includes(char)) {
+			i = findClosingBracket(expression, i) + 1;
+		} else if (char === ',' || ')]}'.includes(char)) {
+			return i;
+		} else {
+			i++;
+		}
+	}
+
+	return expression.length;
+}
+
+function prefixTemplateLiteral(literal, scope) {
+	let result = '';
+	let i = 0;
+
+	while (i < literal.length) {
+		if (literal[i] === '\\') {
+			result += literal.slice(i, i + 2);
+			i += 2;
+			continue;
+		}
+
+		if (literal.startsWith('${', i)) {
+			const end = findClosingBracket(literal, i + 1);
+			result += `\${${prefixIdentifiers(literal.slice(i + 2, end), scope)}}`;
+			i = end + 1;
+			continue;
+		}
+
+		result += literal[i];
+		i++;
+	}
+
+	return result;
+}
+
+/**
+ * Matches the parameters of an arrow function at the start of a string, like
+ * `(item, index) =>` or `item =>`.
+ *
+ * @param {string} text the rest of the expression
+ * @returns {{head: string, params: string[]}|null} the matched text, up to the body, and the names of the parameters
+ */
+function matchArrowHead(text) {
+	const match =
+		text.match(/^\(([^()]*)\)\s*=>\s*/) ??
+		text.match(/^([A-Za-z_$][\w$]*)\s*=>\s*/);
+
+	if (match == null) {
+		return null;
+	}
+
+	const [head, list] = match;
+	return { head, params: list.match(/[A-Za-z_$][\w$]*/g) ?? [] };
+}
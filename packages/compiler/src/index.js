@@ -1 +1,47 @@
-console.log('This will soon be a frontend framework!');
+import { h, hFragment, hSlot, hString } from 'turbie';
+import { generate } from './codegen';
+import { parse } from './parser';
+
+export { CompilerError } from './errors';
+export { parse, NODE_TYPES } from './parser';
+
+/**
+ * Compiles an HTML-like template to the code of a render function.
+ *
+ * The template supports:
+ * - `{{ expression }}` interpolations in the text,
+ * - `:attr="expression"` attribute (and prop) bindings,
+ * - `@event="handler"` event handlers: a method (`@click="increment"`), an arrow
+ *   function or a statement using the `$event` (`@click="count++"`),
+ * - `t-if`, `t-else-if` and `t-else` conditionals,
+ * - `t-for="item in items"` (or `(item, index) in items`) loops,
+ * - components (the tags starting with an uppercase letter), `<slot>` and
+ *   `<template>`, which renders its children in a fragment.
+ *
+ * The identifiers of the expressions are read from the component: `state.count`
+ * is `this.state.count`.
+ *
+ * @param {string} template the template
+ * @returns {string} the code of the render function, `function render() { ... }`
+ * @throws {import('./errors').CompilerError} if the template is invalid, with its line and column
+ */
+export function compile(template) {
+	return generate(parse(template), template);
+}
+
+/**
+ * Compiles a template to a render function that can be passed to `defineComponent()`.
+ * The components used in the template are passed by name.
+ *
+ * @param {string} template the template
+ * @param {object} [options]
+ * @param {Object.<string, import('turbie').Component>} [options.components] the components used in the template
+ * @returns {() => import('turbie').VNode} the render function
+ */
+export function compileToFunction(template, { components = {} } = {}) {
+	const code = compile(template);
+	const scope = { h, hFragment, hSlot, hString, ...components };
+	const createRender = new Function(...Object.keys(scope), `return ${code};`);
+
+	return createRender(...Object.values(scope));
+}
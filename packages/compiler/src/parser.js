@@ -0,0 +1,400 @@
+import { CompilerError } from './errors';
+
+export const NODE_TYPES = {
+	ROOT: 'root',
+	ELEMENT: 'element',
+	TEXT: 'text',
+	INTERPOLATION: 'interpolation',
+};
+
+/**
+ * @typedef {import('./errors').Location} Location
+ */
+
+/**
+ * @typedef Attribute
+ * @type {object}
+ * @property {string} name - The attribute name, with its prefix (like `:title` or `@click`).
+ * @property {string|true} value - The attribute value, or `true` if it has none.
+ * @property {Location} loc - The position of the attribute.
+ */
+
+/**
+ * @typedef ElementNode
+ * @type {object}
+ * @property {'element'} type
+ * @property {string} tag - The tag name. It's a component when it starts with an uppercase letter.
+ * @property {Attribute[]} attrs - The attributes, in the order they appear.
+ * @property {TemplateNode[]} children - The child nodes.
+ * @property {Location} loc - The position of the start tag.
+ */
+
+/**
+ * @typedef TextNode
+ * @type {object}
+ * @property {'text'} type
+ * @property {string} value - The text, with the HTML entities decoded.
+ * @property {Location} loc
+ */
+
+/**
+ * @typedef InterpolationNode
+ * @type {object}
+ * @property {'interpolation'} type
+ * @property {string} expression - The JavaScript expression between the `{{ }}`.
+ * @property {Location} loc
+ */
+
+/**
+ * @typedef {ElementNode|TextNode|InterpolationNode} TemplateNode
+ */
+
+/**
+ * @typedef RootNode
+ * @type {object}
+ * @property {'root'} type
+ * @property {TemplateNode[]} children - The top-level nodes of the template.
+ */
+
+/**
+ * The elements that can't have children, and thus don't have a closing tag.
+ * @see {@link https://html.spec.whatwg.org/multipage/syntax.html#void-elements}
+ */
+const VOID_ELEMENTS = new Set([
+	'area',
+	'base',
+	'br',
+	'col',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'link',
+	'meta',
+	'source',
+	'track',
+	'wbr',
+]);
+
+/**
+ * The elements whose whitespace is kept as it is.
+ */
+const RAW_WHITESPACE_ELEMENTS = new Set(['pre', 'textarea']);
+
+const NAMED_ENTITIES = {
+	amp: '&',
+	lt: '<',
+	gt: '>',
+	quot: '"',
+	apos: "'",
+	nbsp: '\u00a0',
+};
+
+/**
+ * Parses an HTML-like template into a tree of nodes.
+ *
+ * The template contains elements (the ones starting with an uppercase letter are
+ * components), text with `{{ expression }}` interpolations and comments, which are
+ * dropped. Void elements (like `<input>`) don't need to be closed, and any
+ * element can be self-closing (`<TodoItem />`).
+ *
+ * The whitespace-only text between tags is removed when it contains a line break,
+ * and the other whitespace (but `&nbsp;`) is condensed into a single space,
+ * except inside `<pre>` and `<textarea>` elements.
+ *
+ * @param {string} template the template
+ * @returns {RootNode} the root of the tree
+ * @throws {CompilerError} if the template is malformed
+ */
+export function parse(template) {
+	const lineStarts = [0];
+	for (let i = 0; i < template.length; i++) {
+		if (template[i] === '\n') {
+			lineStarts.push(i + 1);
+		}
+	}
+
+	let offset = 0;
+
+	function locationAt(index) {
+		let line = lineStarts.length - 1;
+		while (lineStarts[line] > index) {
+			line--;
+		}
+
+		return { offset: index, line: line + 1, column: index - lineStarts[line] + 1 };
+	}
+
+	function error(message, index = offset) {
+		return new CompilerError(message, locationAt(index), template);
+	}
+
+	function startsWith(string) {
+		return template.startsWith(string, offset);
+	}
+
+	function isEnd() {
+		return offset >= template.length;
+	}
+
+	function skipWhitespace() {
+		while (!isEnd() && /\s/.test(template[offset])) {
+			offset++;
+		}
+	}
+
+	function consumeMatch(regex) {
+		regex.lastIndex = offset;
+		const match = regex.exec(template);
+
+		if (!match) {
+			return null;
+		}
+
+		offset += match[0].length;
+		return match[0];
+	}
+
+	function isTagStart() {
+		return /^<[A-Za-z/!]/.test(template.slice(offset, offset + 2));
+	}
+
+	function parseChildren() {
+		const children = [];
+
+		while (!isEnd() && !startsWith('</')) {
+			if (startsWith('<!--')) {
+				skipComment();
+			} else if (isTagStart()) {
+				children.push(parseElement());
+			} else {
+				children.push(...parseText());
+			}
+		}
+
+		return children;
+	}
+
+	function skipComment() {
+		const end = template.indexOf('-->', offset + 4);
+		if (end === -1) {
+			throw error('Comment is never closed');
+		}
+
+		offset = end + 3;
+	}
+
+	function parseElement() {
+		const start = offset;
+		offset++; // <
+
+		const tag = consumeMatch(/[A-Za-z][\w-]*/y);
+		if (tag == null) {
+			throw error('Expected a tag name');
+		}
+
+		const attrs = parseAttributes(tag, start);
+		const node = {
+			type: NODE_TYPES.ELEMENT,
+			tag,
+			attrs,
+			children: [],
+			loc: locationAt(start),
+		};
+
+		if (startsWith('/>')) {
+			offset += 2;
+			return node;
+		}
+
+		offset++; // >
+
+		if (VOID_ELEMENTS.has(tag)) {
+			return node;
+		}
+
+		node.children = parseChildren();
+
+		if (isEnd()) {
+			throw error(`Element <${tag}> is never closed`, start);
+		}
+
+		const closingStart = offset;
+		offset += 2; // </
+		const closingTag = consumeMatch(/[A-Za-z][\w-]*/y);
+		skipWhitespace();
+
+		if (closingTag !== tag || !startsWith('>')) {
+			throw error(
+				`Unexpected closing tag </${closingTag ?? ''}>, expected </${tag}>`,
+				closingStart
+			);
+		}
+
+		offset++; // >
+
+		if (!RAW_WHITESPACE_ELEMENTS.has(tag)) {
+			node.children = condenseWhitespace(node.children);
+		}
+
+		return node;
+	}
+
+	function parseAttributes(tag, tagStart) {
+		const attrs = [];
+
+		for (;;) {
+			skipWhitespace();
+
+			if (isEnd()) {
+				throw error(`Start tag <${tag}> is never closed`, tagStart);
+			}
+
+			if (startsWith('>') || startsWith('/>')) {
+				return attrs;
+			}
+
+			const start = offset;
+			const name = consumeMatch(/[^\s"'<>/=]+/y);
+			if (name == null) {
+				throw error(`Unexpected character "${template[offset]}" in <${tag}>`);
+			}
+
+			if (attrs.some((attr) => attr.name === name)) {
+				throw error(`Duplicate attribute "${name}"`, start);
+			}
+
+			skipWhitespace();
+			let value = true;
+
+			if (startsWith('=')) {
+				offset++;
+				skipWhitespace();
+				value = parseAttributeValue(name);
+			}
+
+			attrs.push({ name, value, loc: locationAt(start) });
+		}
+	}
+
+	function parseAttributeValue(name) {
+		const quote = template[offset];
+
+		if (quote === '"' || quote === "'") {
+			const end = template.indexOf(quote, offset + 1);
+			if (end === -1) {
+				throw error(`The value of the attribute "${name}" is never closed`);
+			}
+
+			const value = template.slice(offset + 1, end);
+			offset = end + 1;
+			return decodeEntities(value);
+		}
+
+		const value = consumeMatch(/[^\s"'<>=`]+/y);
+		if (value == null) {
+			throw error(`Missing the value of the attribute "${name}"`);
+		}
+
+		return decodeEntities(value);
+	}
+
+	function parseText() {
+		const nodes = [];
+		let textStart = offset;
+
+		function pushText(end) {
+			if (end > textStart) {
+				nodes.push({
+					type: NODE_TYPES.TEXT,
+					value: decodeEntities(template.slice(textStart, end)),
+					loc: locationAt(textStart),
+				});
+			}
+		}
+
+		while (!isEnd() && !isTagStart()) {
+			if (!startsWith('{{')) {
+				offset++;
+				continue;
+			}
+
+			pushText(offset);
+			const start = offset;
+			const end = template.indexOf('}}', offset + 2);
+			if (end === -1) {
+				throw error('Interpolation is never closed', start);
+			}
+
+			const expression = template.slice(offset + 2, end).trim();
+			if (expression === '') {
+				throw error('Empty interpolation', start);
+			}
+
+			nodes.push({
+				type: NODE_TYPES.INTERPOLATION,
+				expression,
+				loc: locationAt(start),
+			});
+			offset = end + 2;
+			textStart = offset;
+		}
+
+		pushText(offset);
+		return nodes;
+	}
+
+	const children = condenseWhitespace(parseChildren());
+
+	if (!isEnd()) {
+		const closingTag = consumeMatch(/<\/[A-Za-z][\w-]*/y) ?? '</';
+		throw error(
+			`Unexpected closing tag ${closingTag}>`,
+			offset - closingTag.length
+		);
+	}
+
+	return { type: NODE_TYPES.ROOT, children };
+}
+
+/**
+ * Removes the whitespace-only text nodes containing a line break, which are only
+ * there to indent the template, and condenses the whitespace of the other ones.
+ *
+ * @param {TemplateNode[]} children the nodes to process
+ * @returns {TemplateNode[]} the processed nodes
+ */
+function condenseWhitespace(children) {
+	return children
+		.filter(
+			(node) =>
+				node.type !== NODE_TYPES.TEXT ||
+				!/^[ \t\n\r\f]*$/.test(node.value) ||
+				!node.value.includes('\n')
+		)
+		.map((node) =>
+			node.type === NODE_TYPES.TEXT
+				? { ...node, value: node.value.replace(/[ \t\n\r\f]+/g, ' ') }
+				: node
+		);
+}
+
+/**
+ * Decodes the most common named HTML entities and the numeric ones.
+ *
+ * @param {string} text the text to decode
+ * @returns {string} the decoded text
+ */
+function decodeEntities(text) {
+	return text.replace(/&(#x[\da-f]+|#\d+|\w+);/gi, (entity, code) => {
+		if (code.startsWith('#x') || code.startsWith('#X')) {
+			return String.fromCodePoint(parseInt(code.slice(2), 16));
+		}
+
+		if (code.startsWith('#')) {
+			return String.fromCodePoint(parseInt(code.slice(1), 10));
+		}
+
+		return NAMED_ENTITIES[code] ?? entity;
+	});
+}
@@ -3,6 +3,7 @@ import filesize from 'rollup-plugin-filesize';
 
 export default {
 	input: 'src/index.js', // The entry point of the framework code.
+	external: ['turbie', 'turbie-compiler'], // The compiler and runtime aren't bundled.
 	plugins: [cleanup()], // Remove all comments in source files.
 	output: [
 		{
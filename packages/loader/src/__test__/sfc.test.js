@@ -0,0 +1,60 @@
+import { expect, test } from 'vitest';
+import { parseSFC } from '../sfc';
+
+const source = `<template>
+	<template t-if="state.open"><p>Open</p></template>
+</template>
+
+<script>
+export default {
+	state: () => ({ open: true }),
+};
+</script>
+
+<style>
+p { color: red; }
+</style>
+<style media="print">
+p { color: black; }
+</style>
+`;
+
+test('split the file in its blocks', () => {
+	const { template, script, styles } = parseSFC(source);
+
+	expect(template.content).toBe(
+		'\n\t<template t-if="state.open"><p>Open</p></template>\n'
+	);
+	expect(script.content).toContain('export default {');
+	expect(styles.map(({ content }) => content.trim())).toEqual([
+		'p { color: red; }',
+		'p { color: black; }',
+	]);
+	expect(styles[1].attrs).toEqual({ media: 'print' });
+});
+
+test('the blocks record where their content starts', () => {
+	const { template, script } = parseSFC(source);
+
+	expect(template).toMatchObject({ line: 1, column: 11 });
+	expect(script).toMatchObject({ line: 5, column: 9 });
+});
+
+test('the blocks are optional', () => {
+	expect(parseSFC('<template><p>hi</p></template>')).toMatchObject({
+		script: null,
+		styles: [],
+	});
+});
+
+test('a block that is never closed throws', () => {
+	expect(() => parseSFC('<template><p>hi</p>')).toThrow(
+		'The <template> block is never closed'
+	);
+});
+
+test('a second template throws', () => {
+	expect(() =>
+		parseSFC('<template><p>a</p></template><template><p>b</p></template>')
+	).toThrow('only have one <template> block');
+});
@@ -0,0 +1,130 @@
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { join } from 'node:path';
+import { afterAll, afterEach, expect, test, vi } from 'vitest';
+import { createApp, nextTick } from 'turbie';
+import { turbie } from '../index';
+import { transformSFC } from '../transform';
+
+// The modules are written next to the tests, where Vitest is allowed to load them.
+const tmpDir = mkdtempSync(join(__dirname, '.tmp-'));
+
+afterEach(() => {
+	document.head.innerHTML = '';
+	document.body.innerHTML = '';
+});
+
+afterAll(() => {
+	rmSync(tmpDir, { recursive: true });
+});
+
+const counterSource = `<template>
+	<div class="counter">
+		<Label :text="'Count: ' + state.count" />
+		<button @click="increment">+</button>
+	</div>
+</template>
+
+<script>
+import { defineComponent, h } from 'turbie';
+
+const Label = defineComponent({
+	render() {
+		return h('span', {}, [this.props.text]);
+	},
+});
+
+export default {
+	state() {
+		return { count: 0 };
+	},
+	increment() {
+		this.updateState({ count: this.state.count + 1 });
+	},
+};
+</script>
+
+<style>
+.counter { display: flex; }
+</style>
+`;
+
+/**
+ * Writes the transformed component to a file and imports it, as a bundler would.
+ */
+async function load(source, name) {
+	const file = join(tmpDir, `${name}.js`);
+	writeFileSync(file, transformSFC(source, { filename: `/src/${name}.turbie` }));
+
+	return (await import(/* @vite-ignore */ file)).default;
+}
+
+test('the component is compiled to a module exporting it', async () => {
+	const Counter = await load(counterSource, 'Counter');
+	createApp(Counter).mount(document.body);
+
+	document.querySelector('button').click();
+	await nextTick();
+
+	expect(Counter.name).toBe('Counter');
+	expect(document.body.innerHTML).toBe(
+		'<div class="counter"><span>Count: 1</span><button>+</button></div>'
+	);
+});
+
+test('the styles are inserted in the document', async () => {
+	await load(counterSource, 'StyledCounter');
+
+	const style = document.head.querySelector('style');
+	expect(style.textContent).toBe('.counter { display: flex; }');
+	expect(style.dataset.turbie).toBe('StyledCounter');
+});
+
+test('a component can have only a template', async () => {
+	const Hello = await load('<template><p>Hello</p></template>', 'Hello');
+	createApp(Hello).mount(document.body);
+
+	expect(document.body.innerHTML).toBe('<p>Hello</p>');
+});
+
+test('the template errors are reported at their position in the file', () => {
+	const source = '<template>\n\t<div>\n\t\t<p>text</div>\n</template>';
+
+	expect(() => transformSFC(source)).toThrow(
+		expect.objectContaining({
+			reason: 'Unexpected closing tag </div>, expected </p>',
+			line: 3,
+			column: 10,
+		})
+	);
+});
+
+test('the script must export the options by default', () => {
+	expect(() =>
+		transformSFC('<template><p /></template><script>const a = 1;</script>')
+	).toThrow('must export the component\'s options with "export default"');
+});
+
+test('the Rollup plugin only transforms the .turbie files', () => {
+	const plugin = turbie();
+
+	expect(plugin.transform('const a = 1;', '/src/main.js')).toBeNull();
+	expect(
+		plugin.transform('<template><p /></template>', '/src/Empty.turbie').code
+	).toContain('export default __defineComponent({ name: "Empty"');
+});
+
+test('the Rollup plugin reports the errors with their position', () => {
+	const plugin = turbie();
+	const context = { error: vi.fn() };
+
+	plugin.transform.call(
+		context,
+		'<template>\n<p>{{ }}</p>\n</template>',
+		'/src/Broken.turbie'
+	);
+
+	expect(context.error).toHaveBeenCalledWith(
+		expect.objectContaining({ reason: 'Empty interpolation' }),
+		{ line: 2, column: 3 }
+	);
+});
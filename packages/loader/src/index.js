@@ -1 +1,46 @@
-console.log('This will soon be a frontend framework!');
+import { transformSFC } from './transform';
+
+export { parseSFC } from './sfc';
+export { transformSFC } from './transform';
+
+/**
+ * Creates the Rollup plugin transforming the `.turbie` single-file components
+ * into ES modules. It works with the tools using Rollup plugins, like Vite.
+ *
+ * @example
+ * // rollup.config.mjs
+ * import { turbie } from 'turbie-loader';
+ *
+ * export default {
+ * 	input: 'src/main.js',
+ * 	external: ['turbie'],
+ * 	plugins: [turbie()],
+ * 	output: { file: 'dist/app.js', format: 'esm' },
+ * };
+ *
+ * @param {object} [options]
+ * @param {RegExp} [options.include] the files to transform, the `.turbie` files by default
+ * @returns {import('rollup').Plugin} the plugin
+ */
+export function turbie({ include = /\.turbie$/ } = {}) {
+	return {
+		name: 'turbie',
+
+		transform(source, id) {
+			if (!include.test(id)) {
+				return null;
+			}
+
+			try {
+				return { code: transformSFC(source, { filename: id }), map: null };
+			} catch (error) {
+				// Rollup's columns start at 0.
+				const position =
+					error.line != null
+						? { line: error.line, column: error.column - 1 }
+						: undefined;
+				this.error(error, position);
+			}
+		},
+	};
+}
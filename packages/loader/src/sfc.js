@@ -0,0 +1,120 @@
+/**
+ * A block of a single-file component, like its `<template>`.
+ *
+ * @typedef SFCBlock
+ * @type {object}
+ * @property {string} content - The content between the block's tags.
+ * @property {Object.<string, (string|true)>} attrs - The attributes of the block's start tag.
+ * @property {number} line - The line of the file where the content starts, from 1.
+ * @property {number} column - The column of the file where the content starts, from 1.
+ */
+
+/**
+ * The blocks of a single-file component.
+ *
+ * @typedef SFCDescriptor
+ * @type {object}
+ * @property {SFCBlock|null} template - The `<template>` block.
+ * @property {SFCBlock|null} script - The `<script>` block.
+ * @property {SFCBlock[]} styles - The `<style>` blocks.
+ */
+
+const BLOCK_TYPES = ['template', 'script', 'style'];
+
+/**
+ * Splits the source of a `.turbie` single-file component into its top-level
+ * blocks: a `<template>`, a `<script>` and any number of `<style>` blocks.
+ *
+ * @param {string} source the content of the file
+ * @returns {SFCDescriptor} the blocks
+ * @throws {Error} if a block isn't closed or there are several templates or scripts
+ */
+export function parseSFC(source) {
+	/**
+	 * @type {SFCDescriptor}
+	 */
+	const descriptor = { template: null, script: null, styles: [] };
+	const startTagRegex = new RegExp(
+		`<(${BLOCK_TYPES.join('|')})(\\s[^>]*)?>`,
+		'g'
+	);
+	let match = null;
+
+	while ((match = startTagRegex.exec(source)) !== null) {
+		const [startTag, type, attrs = ''] = match;
+		const contentStart = match.index + startTag.length;
+		const contentEnd = findClosingTag(source, type, contentStart);
+
+		if (contentEnd === -1) {
+			throw new Error(`The <${type}> block is never closed`);
+		}
+
+		const block = {
+			content: source.slice(contentStart, contentEnd),
+			attrs: parseAttributes(attrs),
+			...locationAt(source, contentStart),
+		};
+
+		if (type === 'style') {
+			descriptor.styles.push(block);
+		} else if (descriptor[type] != null) {
+			throw new Error(`A single-file component can only have one <${type}> block`);
+		} else {
+			descriptor[type] = block;
+		}
+
+		startTagRegex.lastIndex = contentEnd + `</${type}>`.length;
+	}
+
+	return descriptor;
+}
+
+/**
+ * Finds the closing tag of a block, taking into account the nested tags of the
+ * same name, like the `<template>` elements inside the template block.
+ *
+ * @param {string} source the content of the file
+ * @param {string} type the block type
+ * @param {number} from the index where the block content starts
+ * @returns {number} the index of the closing tag, or -1
+ */
+function findClosingTag(source, type, from) {
+	const tagRegex = new RegExp(`<(/?)${type}(?:\\s[^>]*)?>`, 'g');
+	tagRegex.lastIndex = from;
+	let depth = 0;
+	let match = null;
+
+	while ((match = tagRegex.exec(source)) !== null) {
+		const isClosing = match[1] === '/';
+		const isSelfClosing = match[0].endsWith('/>');
+
+		if (isClosing && depth === 0) {
+			return match.index;
+		}
+
+		if (isClosing) {
+			depth--;
+		} else if (!isSelfClosing && type === 'template') {
+			// Only the templates can contain elements of the same name.
+			depth++;
+		}
+	}
+
+	return -1;
+}
+
+function parseAttributes(attrs) {
+	const result = {};
+
+	for (const [, name, value] of attrs.matchAll(/([^\s=]+)(?:="([^"]*)")?/g)) {
+		result[name] = value ?? true;
+	}
+
+	return result;
+}
+
+function locationAt(source, index) {
+	const lines = source.slice(0, index).split('\n');
+
+	return { line: lines.length, column: lines.at(-1).length + 1 };
+}
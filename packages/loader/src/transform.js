@@ -0,0 +1,87 @@
+import { compile, CompilerError } from 'turbie-compiler';
+import { parseSFC } from './sfc';
+
+const EXPORT_DEFAULT_REGEX = /^(\s*)export\s+default\s/m;
+
+/**
+ * Transforms the source of a `.turbie` single-file component into an ES module
+ * whose default export is the component.
+ *
+ * The `<template>` block is compiled to the component's render function, which is
+ * added to the options exported by default by the `<script>` block, and the
+ * options are passed to `defineComponent()`. The components used in the template
+ * are the ones in scope in the script, like the imported ones. The component's
+ * name defaults to the file name.
+ *
+ * The content of the `<style>` blocks is inserted in the document's `<head>` when
+ * the module is loaded in a browser.
+ *
+ * @param {string} source the content of the `.turbie` file
+ * @param {object} [options]
+ * @param {string} [options.filename] the path of the file, used for the component's name and the errors
+ * @returns {string} the code of the ES module
+ * @throws {CompilerError} if the template is invalid, with its line and column in the file
+ */
+export function transformSFC(source, { filename = 'Anonymous.turbie' } = {}) {
+	const { template, script, styles } = parseSFC(source);
+
+	if (template == null) {
+		throw new Error(`${filename}: a single-file component needs a <template> block`);
+	}
+
+	const scriptContent = script?.content ?? 'export default {};';
+	if (!EXPORT_DEFAULT_REGEX.test(scriptContent)) {
+		throw new Error(
+			`${filename}: the <script> block must export the component's options with "export default"`
+		);
+	}
+
+	const name = filename.split(/[\\/]/).at(-1).replace(/\.turbie$/, '');
+	const css = styles.map(({ content }) => content.trim()).join('\n');
+
+	return [
+		"import { defineComponent as __defineComponent, h as __h, hFragment as __hFragment, hSlot as __hSlot, hString as __hString } from 'turbie';",
+		scriptContent.replace(EXPORT_DEFAULT_REGEX, '$1const __options = '),
+		'// The runtime functions are passed as parameters, so that they can be imported by the script too.',
+		`const __render = ((h, hFragment, hSlot, hString) => ${compileTemplate(template, source)})(__h, __hFragment, __hSlot, __hString);`,
+		css ? genStyleInjection(css, name) : '',
+		`export default __defineComponent({ name: ${JSON.stringify(name)}, ...__options, render: __render });`,
+		'',
+	].join('\n');
+}
+
+/**
+ * Compiles the template block, reporting the errors at their position in the file.
+ *
+ * @param {import('./sfc').SFCBlock} template the template block
+ * @param {string} source the content of the file
+ * @returns {string} the code of the render function
+ */
+function compileTemplate(template, source) {
+	try {
+		return compile(template.content);
+	} catch (error) {
+		if (!(error instanceof CompilerError)) {
+			throw error;
+		}
+
+		const line = template.line + error.line - 1;
+		const column =
+			error.line === 1 ? template.column + error.column - 1 : error.column;
+		const lineStart = source.split('\n').slice(0, line - 1).join('\n').length;
+		const offset = (line === 1 ? 0 : lineStart + 1) + column - 1;
+
+		throw new CompilerError(error.reason, { line, column, offset }, source);
+	}
+}
+
+function genStyleInjection(css, name) {
+	return [
+		"if (typeof document !== 'undefined') {",
+		"\tconst __style = document.createElement('style');",
+		`\t__style.dataset.turbie = ${JSON.stringify(name)};`,
+		`\t__style.textContent = ${JSON.stringify(css)};`,
+		'\tdocument.head.appendChild(__style);',
+		'}',
+	].join('\n');
+}
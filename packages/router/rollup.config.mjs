@@ -0,0 +1,15 @@
+import cleanup from 'rollup-plugin-cleanup';
+import filesize from 'rollup-plugin-filesize';
+
+export default {
+	input: 'src/index.js', // The entry point of the router code.
+	external: ['turbie'], // The runtime is a peer dependency, not bundled.
+	plugins: [cleanup()], // Remove all comments in source files.
+	output: [
+		{
+			file: 'dist/turbie-router.js',
+			format: 'esm', // The generated bundle should be an ES module.
+			plugins: [filesize()],
+		},
+	],
+};
@@ -0,0 +1,99 @@
+import { expect, test } from 'vitest';
+import { createMatcher } from '../matcher';
+
+const Home = {};
+const User = {};
+const UserPosts = {};
+const UserProfile = {};
+const NotFound = {};
+
+const routes = [
+	{ path: '/', name: 'home', component: Home },
+	{
+		path: '/users/:id',
+		name: 'user',
+		component: User,
+		meta: { requiresAuth: true },
+		children: [
+			{ path: '', component: UserProfile },
+			{ path: 'posts/:page?', name: 'user-posts', component: UserPosts },
+		],
+	},
+	{ path: '*', component: NotFound },
+];
+
+const { resolve } = createMatcher(routes);
+
+test('resolve a static path', () => {
+	const route = resolve('/');
+
+	expect(route.path).toBe('/');
+	expect(route.name).toBe('home');
+	expect(route.matched).toEqual([routes[0]]);
+});
+
+test('resolve the params, query and hash', () => {
+	const route = resolve('/users/42/posts?sort=date#top');
+
+	expect(route.params).toEqual({ id: '42' });
+	expect(route.query).toEqual({ sort: 'date' });
+	expect(route.hash).toBe('#top');
+	expect(route.fullPath).toBe('/users/42/posts?sort=date#top');
+});
+
+test('the nested routes are matched with their parents', () => {
+	const [user] = routes.slice(1);
+
+	expect(resolve('/users/42').matched).toEqual([user, user.children[0]]);
+	expect(resolve('/users/42/posts/2').matched).toEqual([user, user.children[1]]);
+	expect(resolve('/users/42/posts/2').params).toEqual({ id: '42', page: '2' });
+});
+
+test('the meta data is inherited from the parent routes', () => {
+	expect(resolve('/users/42/posts').meta).toEqual({ requiresAuth: true });
+});
+
+test('the trailing slash is optional', () => {
+	expect(resolve('/users/42/').params).toEqual({ id: '42' });
+});
+
+test('the params are decoded', () => {
+	expect(resolve('/users/j%C3%B6rg').params).toEqual({ id: 'jörg' });
+});
+
+test('the malformed params are kept as they are', () => {
+	expect(resolve('/users/%E0%A4%A').params).toEqual({ id: '%E0%A4%A' });
+});
+
+test('the wildcard matches the rest of the path', () => {
+	const route = resolve('/not/a/page');
+
+	expect(route.matched).toEqual([routes[2]]);
+	expect(route.params).toEqual({ pathMatch: 'not/a/page' });
+});
+
+test('resolve a named route with its params', () => {
+	const route = resolve({
+		name: 'user-posts',
+		params: { id: 'a b' },
+		query: { sort: 'date' },
+	});
+
+	expect(route.path).toBe('/users/a%20b/posts');
+	expect(route.fullPath).toBe('/users/a%20b/posts?sort=date');
+	expect(route.params).toEqual({ id: 'a b' });
+});
+
+test('a missing required param throws', () => {
+	expect(() => resolve({ name: 'user' })).toThrow(/Missing the "id" param/);
+});
+
+test('an unknown route name throws', () => {
+	expect(() => resolve({ name: 'nope' })).toThrow(/no route named "nope"/);
+});
+
+test('no route is matched when nothing matches', () => {
+	const { resolve } = createMatcher([{ path: '/', component: Home }]);
+
+	expect(resolve('/about').matched).toEqual([]);
+});
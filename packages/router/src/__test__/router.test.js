@@ -0,0 +1,369 @@
+import { afterEach, beforeEach, expect, test, vi } from 'vitest';
+import { createApp, defineComponent, h, nextTick } from 'turbie';
+import { RouterLink, RouterView } from '../components';
+import { createRouter, ROUTE_KEY } from '../router';
+
+const Home = defineComponent({
+	name: 'Home',
+	render() {
+		return h('h1', {}, ['Home']);
+	},
+});
+
+const About = defineComponent({
+	name: 'About',
+	render() {
+		return h('h1', {}, ['About']);
+	},
+});
+
+const User = defineComponent({
+	name: 'User',
+	render() {
+		return h('section', {}, [h('h1', {}, [`User ${this.props.id}`]), h(RouterView)]);
+	},
+});
+
+const UserPosts = defineComponent({
+	name: 'UserPosts',
+	render() {
+		const route = this.inject(ROUTE_KEY);
+		return h('p', {}, [`Posts of ${route.params.id}`]);
+	},
+});
+
+const App = defineComponent({
+	render() {
+		return h('div', {}, [
+			h('nav', {}, [
+				h(RouterLink, { to: '/' }, ['Home']),
+				h(RouterLink, { to: '/about', class: 'link' }, ['About']),
+			]),
+			h(RouterView),
+		]);
+	},
+});
+
+const routes = [
+	{ path: '/', component: Home },
+	{ path: '/about', component: About },
+	{
+		path: '/users/:id',
+		component: User,
+		props: true,
+		children: [{ path: 'posts', component: UserPosts }],
+	},
+	{ path: '/old-about', redirect: '/about' },
+];
+
+let app = null;
+let router = null;
+
+beforeEach(() => {
+	window.history.replaceState(null, '', '/');
+	vi.spyOn(window, 'scrollTo').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	app?.unmount();
+	router?.destroy();
+	app = null;
+	router = null;
+	vi.restoreAllMocks();
+});
+
+async function mountApp(options = {}) {
+	router = createRouter({ routes, ...options });
+	app = createApp(App).use(router);
+	app.mount(document.body);
+	await router.isReady();
+	await nextTick();
+}
+
+function view() {
+	return document.querySelector('div > :last-child').outerHTML;
+}
+
+function waitForPopState(count = 1) {
+	let remaining = count;
+
+	return new Promise((resolve) => {
+		function onPopState() {
+			if (--remaining === 0) {
+				window.removeEventListener('popstate', onPopState);
+				resolve();
+			}
+		}
+
+		window.addEventListener('popstate', onPopState);
+	});
+}
+
+async function flushNavigation() {
+	await new Promise((resolve) => setTimeout(resolve));
+	await nextTick();
+}
+
+test('the initial route is read from the URL', async () => {
+	window.history.replaceState(null, '', '/about');
+	await mountApp();
+
+	expect(view()).toBe('<h1>About</h1>');
+	expect(router.currentRoute.path).toBe('/about');
+});
+
+test('push a route to update the URL and the view', async () => {
+	await mountApp();
+
+	await router.push('/users/7');
+	await nextTick();
+
+	expect(window.location.pathname).toBe('/users/7');
+	expect(view()).toBe('<section><h1>User 7</h1></section>');
+});
+
+test('the nested routes are displayed in the nested views', async () => {
+	await mountApp();
+
+	await router.push('/users/7/posts');
+	await nextTick();
+
+	expect(view()).toBe('<section><h1>User 7</h1><p>Posts of 7</p></section>');
+});
+
+test('the route component is updated when only the params change', async () => {
+	await mountApp();
+	await router.push('/users/7');
+	await nextTick();
+	const section = document.querySelector('section');
+
+	await router.push('/users/8');
+	await nextTick();
+
+	expect(document.querySelector('section')).toBe(section);
+	expect(section.textContent).toBe('User 8');
+});
+
+test('replace the current history entry', async () => {
+	await mountApp();
+	const { length } = window.history;
+
+	await router.replace('/about');
+
+	expect(window.history.length).toBe(length);
+	expect(window.location.pathname).toBe('/about');
+});
+
+test('going back in the history navigates to the previous route', async () => {
+	await mountApp();
+	await router.push('/about');
+
+	const popState = waitForPopState();
+	router.back();
+	await popState;
+	await flushNavigation();
+
+	expect(router.currentRoute.path).toBe('/');
+	expect(view()).toBe('<h1>Home</h1>');
+});
+
+test('a route redirects to another', async () => {
+	await mountApp();
+
+	await router.push('/old-about');
+
+	expect(router.currentRoute.path).toBe('/about');
+	expect(window.location.pathname).toBe('/about');
+});
+
+test('the links navigate without reloading the page', async () => {
+	await mountApp();
+	const [homeLink, aboutLink] = document.querySelectorAll('a');
+
+	expect(aboutLink.getAttribute('href')).toBe('/about');
+	expect(homeLink.className).toBe('active');
+
+	aboutLink.click();
+	await flushNavigation();
+
+	expect(window.location.pathname).toBe('/about');
+	expect(view()).toBe('<h1>About</h1>');
+	expect(homeLink.className).toBe('');
+	expect(aboutLink.className).toBe('link active');
+});
+
+test('the links opening a new tab are left to the browser', async () => {
+	await mountApp();
+	const aboutLink = document.querySelectorAll('a')[1];
+	const event = new MouseEvent('click', { ctrlKey: true, cancelable: true });
+	// Stops jsdom from following the link, once the router let the event through.
+	aboutLink.addEventListener('click', (e) => e.preventDefault());
+
+	aboutLink.dispatchEvent(event);
+	await flushNavigation();
+
+	expect(router.currentRoute.path).toBe('/');
+});
+
+test('a guard cancels the navigation', async () => {
+	await mountApp();
+	router.beforeEach((to) => to.path !== '/about');
+
+	expect(await router.push('/about')).toBe(false);
+	expect(router.currentRoute.path).toBe('/');
+	expect(window.location.pathname).toBe('/');
+});
+
+test('a guard cancelling a move in the history moves back', async () => {
+	await mountApp();
+	await router.push('/about');
+	await router.push('/users/1');
+	let canLeave = false;
+	const guard = vi.fn(() => canLeave);
+	router.beforeEach(guard);
+
+	// The back move, then the forward move undoing it.
+	const popStates = waitForPopState(2);
+	router.back();
+	await popStates;
+	await flushNavigation();
+
+	expect(guard).toHaveBeenCalledTimes(1);
+	expect(router.currentRoute.path).toBe('/users/1');
+	expect(window.location.pathname).toBe('/users/1');
+
+	canLeave = true;
+	const popState = waitForPopState();
+	router.back();
+	await popState;
+	await flushNavigation();
+
+	expect(router.currentRoute.path).toBe('/about');
+	expect(window.location.pathname).toBe('/about');
+});
+
+test('an async guard redirects the navigation', async () => {
+	await mountApp();
+	router.beforeEach(async (to) => {
+		await Promise.resolve();
+		return to.path.startsWith('/users') ? '/' : true;
+	});
+
+	await router.push('/users/7');
+
+	expect(router.currentRoute.path).toBe('/');
+});
+
+test('the route guard runs when entering the route', async () => {
+	const beforeEnter = vi.fn();
+	await mountApp({
+		routes: [
+			{ path: '/', component: Home },
+			{ path: '/about', component: About, beforeEnter },
+		],
+	});
+
+	await router.push('/about');
+	await router.push('/about?tab=team');
+
+	expect(beforeEnter).toHaveBeenCalledTimes(1);
+});
+
+test('a pending navigation is abandoned when a new one starts', async () => {
+	await mountApp();
+	let resolveGuard = null;
+	const removeGuard = router.beforeEach(
+		() => new Promise((resolve) => (resolveGuard = resolve))
+	);
+
+	const first = router.push('/about');
+	removeGuard();
+	const second = router.push('/users/1');
+	resolveGuard(true);
+
+	expect(await first).toBe(false);
+	expect(await second).toBe(true);
+	expect(router.currentRoute.path).toBe('/users/1');
+});
+
+test('the after hooks are called after the navigation', async () => {
+	await mountApp();
+	const afterHook = vi.fn();
+	router.afterEach(afterHook);
+
+	await router.push('/about');
+
+	expect(afterHook).toHaveBeenCalledWith(
+		expect.objectContaining({ path: '/about' }),
+		expect.objectContaining({ path: '/' })
+	);
+});
+
+test('the page is scrolled to the top after pushing a route', async () => {
+	await mountApp();
+
+	await router.push('/about');
+
+	expect(window.scrollTo).toHaveBeenCalledWith(0, 0);
+});
+
+test("the page is scrolled to the element of the route's hash", async () => {
+	await mountApp();
+	const heading = document.createElement('h2');
+	heading.id = '1-intro';
+	heading.scrollIntoView = vi.fn();
+	document.body.append(heading);
+
+	await router.push('/about#1-intro');
+	heading.remove();
+
+	expect(heading.scrollIntoView).toHaveBeenCalled();
+});
+
+test('the scroll position is restored when going back', async () => {
+	await mountApp();
+	vi.spyOn(window, 'scrollY', 'get').mockReturnValue(300);
+	await router.push('/about');
+	window.scrollTo.mockClear();
+
+	const popState = waitForPopState();
+	router.back();
+	await popState;
+	await flushNavigation();
+
+	expect(window.scrollTo).toHaveBeenCalledWith(0, 300);
+});
+
+test('the scroll restoration is given back to the browser once destroyed', async () => {
+	window.history.scrollRestoration = 'auto';
+	await mountApp();
+	expect(window.history.scrollRestoration).toBe('manual');
+
+	router.destroy();
+
+	expect(window.history.scrollRestoration).toBe('auto');
+});
+
+test('the locations are kept in the hash in hash mode', async () => {
+	await mountApp({ mode: 'hash' });
+
+	await router.push('/users/3');
+	await nextTick();
+
+	expect(window.location.pathname).toBe('/');
+	expect(window.location.hash).toBe('#/users/3');
+	expect(document.querySelector('a').getAttribute('href')).toBe('#/');
+	expect(view()).toBe('<section><h1>User 3</h1></section>');
+});
+
+test('changing the hash by hand navigates in hash mode', async () => {
+	await mountApp({ mode: 'hash' });
+
+	const popState = waitForPopState();
+	window.location.hash = '#/about';
+	await popState;
+	await flushNavigation();
+
+	expect(router.currentRoute.path).toBe('/about');
+	expect(view()).toBe('<h1>About</h1>');
+});
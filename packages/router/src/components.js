@@ -0,0 +1,109 @@
+import { defineComponent, h, hSlot, hString } from 'turbie';
+import { ROUTER_KEY, ROUTE_KEY } from './router';
+
+/**
+ * The key the depth of the `RouterView` is provided under, so that a nested
+ * `RouterView` displays the nested route.
+ */
+const VIEW_DEPTH_KEY = Symbol('router view depth');
+
+/**
+ * Displays the component of the current route. A `RouterView` rendered by the
+ * component of a route displays the component of its matched child route.
+ *
+ * When the route changes but the component stays the same (only the params
+ * changed), the component isn't re-mounted: its props are updated.
+ */
+export const RouterView = defineComponent({
+	name: 'RouterView',
+
+	render() {
+		const route = this.inject(ROUTE_KEY);
+		const depth = this.inject(VIEW_DEPTH_KEY, 0);
+		this.provide(VIEW_DEPTH_KEY, depth + 1);
+
+		const definition = route?.matched[depth];
+		if (!definition?.component) {
+			return hString('');
+		}
+
+		return h(definition.component, resolveProps(definition, route));
+	},
+});
+
+/**
+ * Renders a link that navigates to the `to` location without reloading the page.
+ * The link has the `activeClass` (`'active'` by default) when its location is the
+ * current route. The `replace` prop replaces the current history entry instead of
+ * adding one. The other props are set on the `<a>` element.
+ */
+export const RouterLink = defineComponent({
+	name: 'RouterLink',
+
+	render() {
+		const router = this.inject(ROUTER_KEY);
+		const route = this.inject(ROUTE_KEY);
+		const { to, activeClass = 'active', class: className, ...attrs } = this.props;
+		delete attrs.replace;
+
+		const target = router.resolve(to);
+		const classes = toClassList(className);
+
+		if (route.path === target.path) {
+			classes.push(activeClass);
+		}
+
+		return h(
+			'a',
+			{
+				...attrs,
+				class: classes,
+				href: router.createHref(to),
+				on: { click: this.navigate },
+			},
+			[hSlot()]
+		);
+	},
+
+	navigate(event) {
+		// Let the browser handle the clicks opening the link in a new tab or window.
+		if (
+			event.defaultPrevented ||
+			event.button !== 0 ||
+			event.metaKey ||
+			event.ctrlKey ||
+			event.shiftKey ||
+			event.altKey ||
+			this.props.target === '_blank'
+		) {
+			return;
+		}
+
+		event.preventDefault();
+
+		const router = this.inject(ROUTER_KEY);
+		const { to, replace = false } = this.props;
+
+		return replace ? router.replace(to) : router.push(to);
+	},
+});
+
+function resolveProps({ props }, route) {
+	if (props === true) {
+		return { ...route.params };
+	}
+
+	if (typeof props === 'function') {
+		return props(route);
+	}
+
+	return props ?? {};
+}
+
+function toClassList(className) {
+	const classes = Array.isArray(className)
+		? className
+		: (className ?? '').split(/\s+/);
+
+	return classes.filter(Boolean);
+}
@@ -0,0 +1,122 @@
+/**
+ * A wrapper around the browser's history, which reads and writes the locations
+ * in the URL in one of the router modes.
+ *
+ * Each history entry saves its position in the history stack in its state, so
+ * that when the user goes back or forward, the router knows how many entries
+ * were crossed.
+ *
+ * @typedef RouterHistory
+ * @type {object}
+ *
+ * @property {string} location - The current location (path, query and hash) read from the URL.
+ * @property {number} position - The position of the current entry in the history stack.
+ * @property {(location: string) => string} createHref - Returns the `href` of a link to the location.
+ * @property {(location: string) => void} push - Adds a new entry to the history.
+ * @property {(location: string) => void} replace - Replaces the current entry.
+ * @property {(delta: number, triggerListeners?: boolean) => void} go - Moves in the history, like `history.go()`. With `triggerListeners` set to `false`, the listeners aren't called for this move.
+ * @property {(listener: HistoryListener) => () => void} listen - Calls the listener when the user moves in the history. Returns a function to stop listening.
+ */
+
+/**
+ * @typedef {(location: string, info: { from: number, to: number }) => void} HistoryListener
+ */
+
+/**
+ * Creates a history keeping the locations in the URL path, like `/users/1`.
+ * The server must serve the application for all the paths.
+ *
+ * @param {string} [base] the path the application is served from, like `/app`
+ * @returns {RouterHistory} the history
+ */
+export function createWebHistory(base = '') {
+	const normalizedBase = base.replace(/\/+$/, '');
+
+	return createHistory({
+		read() {
+			const { pathname, search, hash } = window.location;
+			const path = pathname.startsWith(normalizedBase)
+				? pathname.slice(normalizedBase.length)
+				: pathname;
+
+			return `${path || '/'}${search}${hash}`;
+		},
+		createHref(location) {
+			return normalizedBase + location;
+		},
+	});
+}
+
+/**
+ * Creates a history keeping the locations in the URL hash, like `/#/users/1`.
+ * It works without any server configuration.
+ *
+ * @returns {RouterHistory} the history
+ */
+export function createHashHistory() {
+	return createHistory({
+		read() {
+			return window.location.hash.slice(1) || '/';
+		},
+		createHref(location) {
+			return `#${location}`;
+		},
+	});
+}
+
+function createHistory({ read, createHref }) {
+	let position = window.history.state?.position ?? 0;
+	// Whether the next move in the history is made without calling the listeners.
+	let listenersPaused = false;
+	window.history.replaceState({ position }, '');
+
+	return {
+		get location() {
+			return read();
+		},
+
+		get position() {
+			return position;
+		},
+
+		createHref,
+
+		push(location) {
+			position++;
+			window.history.pushState({ position }, '', createHref(location));
+		},
+
+		replace(location) {
+			window.history.replaceState({ position }, '', createHref(location));
+		},
+
+		go(delta, triggerListeners = true) {
+			listenersPaused = !triggerListeners;
+			window.history.go(delta);
+		},
+
+		listen(listener) {
+			function onPopState(event) {
+				const from = position;
+
+				if (event.state?.position == null) {
+					// The URL was changed by hand (like editing the hash): it's a new entry.
+					position++;
+					window.history.replaceState({ position }, '');
+				} else {
+					position = event.state.position;
+				}
+
+				if (listenersPaused) {
+					listenersPaused = false;
+					return;
+				}
+
+				listener(read(), { from, to: position });
+			}
+
+			window.addEventListener('popstate', onPopState);
+			return () => window.removeEventListener('popstate', onPopState);
+		},
+	};
+}
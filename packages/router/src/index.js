@@ -0,0 +1,2 @@
+export { createRouter, ROUTER_KEY, ROUTE_KEY } from './router';
+export { RouterLink, RouterView } from './components';
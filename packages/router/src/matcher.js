@@ -0,0 +1,284 @@
+/**
+ * A route of the route table, as defined by the application.
+ *
+ * The path can contain dynamic segments: `:id` matches any segment and saves it in
+ * the `id` param, `:id?` does the same but the segment is optional, and `*` matches
+ * the rest of the path, saved in the `pathMatch` param. The children's paths are
+ * relative to their parent's path.
+ *
+ * @typedef RouteDefinition
+ * @type {object}
+ *
+ * @property {string} path - The path pattern, like `/users/:id`.
+ * @property {string} [name] - The name to navigate to the route by name.
+ * @property {import('turbie').Component} [component] - The component displayed by the `RouterView`.
+ * @property {string|((route: Route) => string)} [redirect] - The location to redirect to when the route matches.
+ * @property {boolean|Object|((route: Route) => Object)} [props] - The props passed to the component: `true` passes the params.
+ * @property {NavigationGuard} [beforeEnter] - A guard called when entering the route.
+ * @property {Object} [meta] - Any data attached to the route.
+ * @property {RouteDefinition[]} [children] - The nested routes, displayed by the `RouterView` inside the component.
+ */
+
+/**
+ * A route definition compiled for matching.
+ *
+ * @typedef RouteRecord
+ * @type {object}
+ *
+ * @property {string} path - The full path pattern, including the parents' paths.
+ * @property {RegExp} regex - The regular expression matching the full path.
+ * @property {string[]} keys - The names of the params, in the order of the regex groups.
+ * @property {RouteRecord|null} parent - The record of the parent route.
+ * @property {RouteDefinition} definition - The route definition.
+ */
+
+/**
+ * The result of resolving a location against the route table.
+ *
+ * @typedef Route
+ * @type {object}
+ *
+ * @property {string} path - The path, without the query and hash.
+ * @property {string} fullPath - The path with the query and hash.
+ * @property {string|null} name - The name of the matched route.
+ * @property {Object.<string, string>} params - The values of the dynamic segments.
+ * @property {Object.<string, string>} query - The query parameters.
+ * @property {string} hash - The hash, including the `#`.
+ * @property {Object} meta - The meta data of the matched routes, merged from parent to child.
+ * @property {RouteDefinition[]} matched - The matched route definitions, from the top-level route to the nested one.
+ */
+
+/**
+ * A location to navigate to: a path (with the query and hash), or an object.
+ *
+ * @typedef {string|{ path?: string, name?: string, params?: Object, query?: Object, hash?: string }} RouteLocation
+ */
+
+/**
+ * A function called before a navigation. It returns (or resolves to) `false` to
+ * cancel the navigation, a location to redirect to, or nothing to let it go on.
+ *
+ * @typedef {(to: Route, from: Route) => (boolean|RouteLocation|void|Promise<boolean|RouteLocation|void>)} NavigationGuard
+ */
+
+/**
+ * Creates the matcher of the given route table. The routes are matched in the
+ * order they are defined, and a parent route is tried after its children.
+ *
+ * @param {RouteDefinition[]} routes the route table
+ * @returns {{ resolve: (location: RouteLocation) => Route }} the matcher
+ */
+export function createMatcher(routes) {
+	const records = [];
+	const namedRecords = new Map();
+
+	function addRoute(definition, parent) {
+		const path = joinPaths(parent?.path ?? '', definition.path);
+		const { regex, keys } = compilePath(path);
+		const record = { path, regex, keys, parent, definition };
+
+		// The children are added first so that they take precedence over the parent.
+		for (const child of definition.children ?? []) {
+			addRoute(child, record);
+		}
+
+		records.push(record);
+		if (definition.name) {
+			namedRecords.set(definition.name, record);
+		}
+	}
+
+	routes.forEach((definition) => addRoute(definition, null));
+
+	/**
+	 * Resolves a location to a route.
+	 *
+	 * @param {RouteLocation} location the location to resolve
+	 * @returns {Route} the route, with an empty `matched` list if no route matches
+	 */
+	function resolve(location) {
+		const {
+			path: locationPath,
+			name,
+			params: locationParams = {},
+			query = {},
+			hash = '',
+		} = typeof location === 'string' ? parseLocation(location) : location;
+
+		let record = null;
+		let path = locationPath;
+		let params = {};
+
+		if (name != null) {
+			record = namedRecords.get(name);
+			if (!record) {
+				throw new Error(`There is no route named "${name}"`);
+			}
+
+			params = { ...locationParams };
+			path = fillPath(record, params);
+		} else {
+			path = normalizePath(path ?? '/');
+			record = records.find(({ regex }) => regex.test(path)) ?? null;
+			params = record ? extractParams(record, path) : {};
+		}
+
+		const matched = [];
+		for (let current = record; current; current = current.parent) {
+			matched.unshift(current.definition);
+		}
+
+		return {
+			path,
+			fullPath: path + stringifyQuery(query) + normalizeHash(hash),
+			name: record?.definition.name ?? null,
+			params,
+			query: { ...query },
+			hash: normalizeHash(hash),
+			meta: Object.assign({}, ...matched.map(({ meta }) => meta)),
+			matched,
+		};
+	}
+
+	return { resolve };
+}
+
+/**
+ * Compiles a path pattern to a regular expression, saving the names of the params.
+ *
+ * @param {string} path the path pattern
+ * @returns {{ regex: RegExp, keys: string[] }} the regex and the params' names
+ */
+function compilePath(path) {
+	const keys = [];
+	const pattern = path
+		.split('/')
+		.filter(Boolean)
+		.map((segment) => {
+			if (segment === '*') {
+				keys.push('pathMatch');
+				return '(?:/(.*))?';
+			}
+
+			const param = segment.match(/^:(\w+)(\?)?$/);
+			if (param) {
+				const [, key, isOptional] = param;
+				keys.push(key);
+				return isOptional ? '(?:/([^/]+))?' : '/([^/]+)';
+			}
+
+			return `/${escapeRegExp(segment)}`;
+		})
+		.join('');
+
+	return { regex: new RegExp(`^${pattern}/?$`, 'i'), keys };
+}
+
+function extractParams({ regex, keys }, path) {
+	const values = path.match(regex).slice(1);
+	const params = {};
+
+	keys.forEach((key, i) => {
+		if (values[i] !== undefined) {
+			params[key] = decodeParam(values[i]);
+		}
+	});
+
+	return params;
+}
+
+/**
+ * Decodes a param's value. A malformed value, like `%E0%A4%A`, is kept as it is,
+ * instead of throwing a `URIError`.
+ *
+ * @param {string} value the value in the path
+ * @returns {string} the decoded value
+ */
+function decodeParam(value) {
+	try {
+		return decodeURIComponent(value);
+	} catch {
+		return value;
+	}
+}
+
+function fillPath({ path, keys }, params) {
+	const missingKey = keys.find(
+		(key) => params[key] == null && !isOptionalKey(path, key)
+	);
+	if (missingKey) {
+		throw new Error(`Missing the "${missingKey}" param for the path "${path}"`);
+	}
+
+	const filledPath = path
+		.split('/')
+		.filter(Boolean)
+		.map((segment) => {
+			if (segment === '*') {
+				return params.pathMatch ?? '';
+			}
+
+			const param = segment.match(/^:(\w+)\??$/);
+			return param ? encodeURIComponent(params[param[1]] ?? '') : segment;
+		})
+		.filter(Boolean)
+		.join('/');
+
+	return `/${filledPath}`;
+}
+
+function isOptionalKey(path, key) {
+	return key === 'pathMatch' || path.includes(`:${key}?`);
+}
+
+/**
+ * Splits a location string in its path, query and hash.
+ *
+ * @param {string} location the location, like `/search?q=turbie#results`
+ * @returns {{ path: string, query: Object.<string, string>, hash: string }}
+ */
+export function parseLocation(location) {
+	const hashIndex = location.indexOf('#');
+	const hash = hashIndex >= 0 ? location.slice(hashIndex) : '';
+	const pathAndQuery = hashIndex >= 0 ? location.slice(0, hashIndex) : location;
+
+	const queryIndex = pathAndQuery.indexOf('?');
+	const path = queryIndex >= 0 ? pathAndQuery.slice(0, queryIndex) : pathAndQuery;
+	const search = queryIndex >= 0 ? pathAndQuery.slice(queryIndex) : '';
+
+	return {
+		path: path || '/',
+		query: Object.fromEntries(new URLSearchParams(search)),
+		hash,
+	};
+}
+
+function stringifyQuery(query) {
+	const search = new URLSearchParams(query).toString();
+	return search ? `?${search}` : '';
+}
+
+function normalizeHash(hash) {
+	return hash && !hash.startsWith('#') ? `#${hash}` : hash;
+}
+
+function normalizePath(path) {
+	const normalizedPath = path.startsWith('/') ? path : `/${path}`;
+
+	// The trailing slash is optional, except for the root path.
+	return normalizedPath.length > 1
+		? normalizedPath.replace(/\/+$/, '')
+		: normalizedPath;
+}
+
+function joinPaths(parentPath, path) {
+	if (path.startsWith('/')) {
+		return path;
+	}
+
+	return `${parentPath.replace(/\/+$/, '')}/${path}`;
+}
+
+function escapeRegExp(string) {
+	return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
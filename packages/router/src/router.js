@@ -0,0 +1,342 @@
+import { nextTick } from 'turbie';
+import { createHashHistory, createWebHistory } from './history';
+import { createMatcher } from './matcher';
+
+/**
+ * The key the router is provided under to the application's components.
+ */
+export const ROUTER_KEY = Symbol('router');
+
+/**
+ * The key the current route is provided under to the application's components.
+ * The components that inject it are re-rendered after each navigation.
+ */
+export const ROUTE_KEY = Symbol('route');
+
+/**
+ * The maximum number of redirects in a single navigation, to detect the loops.
+ */
+const MAX_REDIRECTS = 10;
+
+/**
+ * The route before the first navigation, which doesn't match any route.
+ *
+ * @type {import('./matcher').Route}
+ */
+const START_ROUTE = Object.freeze({
+	path: '/',
+	fullPath: '/',
+	name: null,
+	params: {},
+	query: {},
+	hash: '',
+	meta: {},
+	matched: [],
+});
+
+/**
+ * @typedef ScrollPosition
+ * @type {object}
+ *
+ * @property {number} [left] - The horizontal scroll position.
+ * @property {number} [top] - The vertical scroll position.
+ * @property {string} [el] - The CSS selector of an element to scroll into view, or the route's hash, like `#1-intro`, to scroll to the element with that id.
+ */
+
+/**
+ * @typedef {(to: import('./matcher').Route, from: import('./matcher').Route, savedPosition: ScrollPosition|null) => (ScrollPosition|false)} ScrollBehavior
+ */
+
+/**
+ * @typedef RouterOptions
+ * @type {object}
+ *
+ * @property {import('./matcher').RouteDefinition[]} routes - The route table.
+ * @property {'history'|'hash'} [mode] - Whether the locations are kept in the URL path (the default) or in its hash.
+ * @property {string} [base] - The path the application is served from, in history mode.
+ * @property {ScrollBehavior} [scrollBehavior] - Returns where to scroll after a navigation, or `false` to leave the scroll as it is.
+ */
+
+/**
+ * @typedef Router
+ * @type {object}
+ *
+ * @property {import('./matcher').Route} currentRoute - The current route.
+ * @property {(to: import('./matcher').RouteLocation) => Promise<boolean>} push - Navigates to a location, adding an entry to the history.
+ * @property {(to: import('./matcher').RouteLocation) => Promise<boolean>} replace - Navigates to a location, replacing the current history entry.
+ * @property {() => void} back - Goes back one entry in the history.
+ * @property {() => void} forward - Goes forward one entry in the history.
+ * @property {(delta: number) => void} go - Moves in the history.
+ * @property {(to: import('./matcher').RouteLocation) => import('./matcher').Route} resolve - Resolves a location to a route, without navigating.
+ * @property {(to: import('./matcher').RouteLocation) => string} createHref - Returns the `href` of a link to a location.
+ * @property {(guard: import('./matcher').NavigationGuard) => () => void} beforeEach - Adds a guard called before each navigation. Returns a function to remove it.
+ * @property {(hook: (to: import('./matcher').Route, from: import('./matcher').Route) => void) => () => void} afterEach - Adds a hook called after each navigation. Returns a function to remove it.
+ * @property {() => Promise<void>} isReady - Resolves when the initial navigation is done.
+ * @property {(app: import('turbie').Application) => void} install - Installs the router in an application, with `app.use(router)`.
+ * @property {() => void} destroy - Stops listening to the history, and gives the scroll restoration back to the browser.
+ */
+
+/**
+ * Creates a router for the given route table.
+ *
+ * The router is installed in an application with `app.use(router)`, which provides
+ * the router and the current route to the components (under `ROUTER_KEY` and
+ * `ROUTE_KEY`) and starts the initial navigation to the location in the URL.
+ *
+ * A navigation resolves the location, runs the guards (the global ones, then the
+ * `beforeEnter` guards of the routes being entered), which can be asynchronous,
+ * updates the URL and the current route, and restores the scroll position. If a
+ * new navigation starts while the guards of a previous one are pending, the
+ * previous one is abandoned.
+ *
+ * @param {RouterOptions} options the router options
+ * @returns {Router} the router
+ */
+export function createRouter({
+	routes,
+	mode = 'history',
+	base = '',
+	scrollBehavior = defaultScrollBehavior,
+}) {
+	const matcher = createMatcher(routes);
+	const history = mode === 'hash' ? createHashHistory() : createWebHistory(base);
+	const beforeGuards = new Set();
+	const afterHooks = new Set();
+	const savedScrollPositions = new Map();
+	const apps = new Set();
+
+	let currentRoute = START_ROUTE;
+	let navigationId = 0;
+	let ready = null;
+	let stopListening = null;
+	// The browser's scroll restoration is turned off while the router is started.
+	let previousScrollRestoration = null;
+
+	function setCurrentRoute(route) {
+		currentRoute = route;
+		apps.forEach((app) => app.provide(ROUTE_KEY, route));
+	}
+
+	/**
+	 * Navigates to a location, running the guards first.
+	 *
+	 * @param {import('./matcher').RouteLocation} location the location to navigate to
+	 * @param {object} options
+	 * @param {boolean} [options.replace] whether the current history entry is replaced
+	 * @param {{ from: number, to: number }|null} [options.pop] the positions in the history, if the user moved in it
+	 * @param {boolean} [options.isInitial] whether it's the first navigation
+	 * @param {number} [options.redirects] the number of redirects so far
+	 * @returns {Promise<boolean>} whether the navigation succeeded
+	 */
+	async function navigate(
+		location,
+		{ replace = false, pop = null, isInitial = false, redirects = 0 } = {}
+	) {
+		const id = ++navigationId;
+		const from = currentRoute;
+		const to = matcher.resolve(location);
+
+		const redirect = to.matched.at(-1)?.redirect;
+		const result = redirect
+			? typeof redirect === 'function'
+				? redirect(to)
+				: redirect
+			: await runGuards(to, from);
+
+		// A newer navigation started while the guards were running.
+		if (id !== navigationId) {
+			return false;
+		}
+
+		if (result === false) {
+			// The URL already changed when the user moved in the history: the move
+			// is undone, without navigating again.
+			if (pop) {
+				history.go(pop.from - pop.to, false);
+			}
+			return false;
+		}
+
+		if (result !== true) {
+			if (redirects >= MAX_REDIRECTS) {
+				throw new Error(`Too many redirects when navigating to "${to.fullPath}"`);
+			}
+
+			return navigate(result, {
+				// The redirect takes the place of the location in the history.
+				replace: replace || pop != null,
+				isInitial,
+				redirects: redirects + 1,
+			});
+		}
+
+		if (pop == null) {
+			savedScrollPositions.set(history.position, getScrollPosition());
+			replace ? history.replace(to.fullPath) : history.push(to.fullPath);
+		}
+
+		setCurrentRoute(to);
+		afterHooks.forEach((hook) => hook(to, from));
+
+		if (!isInitial) {
+			await nextTick();
+			const savedPosition = pop ? savedScrollPositions.get(pop.to) ?? null : null;
+			applyScrollPosition(scrollBehavior(to, from, savedPosition));
+		}
+
+		return true;
+	}
+
+	/**
+	 * Runs the guards one after the other, until one of them doesn't let the
+	 * navigation go on.
+	 *
+	 * @returns {Promise<boolean|import('./matcher').RouteLocation>} `true`, `false` or the location to redirect to
+	 */
+	async function runGuards(to, from) {
+		const enteredRoutes = to.matched.filter(
+			(route) => !from.matched.includes(route)
+		);
+		const guards = [
+			...beforeGuards,
+			...enteredRoutes.map(({ beforeEnter }) => beforeEnter).filter(Boolean),
+		];
+
+		for (const guard of guards) {
+			const result = await guard(to, from);
+
+			if (result != null && result !== true) {
+				return result;
+			}
+		}
+
+		return true;
+	}
+
+	function start() {
+		previousScrollRestoration = window.history.scrollRestoration;
+		window.history.scrollRestoration = 'manual';
+
+		stopListening = history.listen((location, pop) => {
+			savedScrollPositions.set(pop.from, getScrollPosition());
+			navigate(location, { pop }).catch((error) =>
+				console.error('[router]: the navigation failed', error)
+			);
+		});
+
+		ready = navigate(history.location, { replace: true, isInitial: true })
+			.then(() => {})
+			.catch((error) =>
+				console.error('[router]: the initial navigation failed', error)
+			);
+	}
+
+	const router = {
+		get currentRoute() {
+			return currentRoute;
+		},
+
+		push(to) {
+			return navigate(to);
+		},
+
+		replace(to) {
+			return navigate(to, { replace: true });
+		},
+
+		back() {
+			history.go(-1);
+		},
+
+		forward() {
+			history.go(1);
+		},
+
+		go(delta) {
+			history.go(delta);
+		},
+
+		resolve(to) {
+			return matcher.resolve(to);
+		},
+
+		createHref(to) {
+			return history.createHref(matcher.resolve(to).fullPath);
+		},
+
+		beforeEach(guard) {
+			beforeGuards.add(guard);
+			return () => beforeGuards.delete(guard);
+		},
+
+		afterEach(hook) {
+			afterHooks.add(hook);
+			return () => afterHooks.delete(hook);
+		},
+
+		isReady() {
+			return ready ?? Promise.resolve();
+		},
+
+		install(app) {
+			apps.add(app);
+			app.provide(ROUTER_KEY, router);
+			app.provide(ROUTE_KEY, currentRoute);
+
+			if (stopListening == null) {
+				start();
+			}
+		},
+
+		destroy() {
+			if (stopListening != null) {
+				window.history.scrollRestoration = previousScrollRestoration;
+			}
+
+			stopListening?.();
+			stopListening = null;
+			ready = null;
+			apps.clear();
+		},
+	};
+
+	return router;
+}
+
+/**
+ * Scrolls back to the saved position when the user moves in the history, to the
+ * element of the hash if there's one, and to the top of the page otherwise.
+ *
+ * @type {ScrollBehavior}
+ */
+function defaultScrollBehavior(to, from, savedPosition) {
+	if (savedPosition) {
+		return savedPosition;
+	}
+
+	return to.hash ? { el: to.hash } : { left: 0, top: 0 };
+}
+
+function getScrollPosition() {
+	return { left: window.scrollX, top: window.scrollY };
+}
+
+function applyScrollPosition(position) {
+	if (!position) {
+		return;
+	}
+
+	if (position.el) {
+		findScrollTarget(position.el)?.scrollIntoView();
+		return;
+	}
+
+	window.scrollTo(position.left ?? 0, position.top ?? 0);
+}
+
+function findScrollTarget(selector) {
+	// The ids aren't always valid CSS selectors, like `#1-intro`.
+	return selector.startsWith('#')
+		? document.getElementById(selector.slice(1))
+		: document.querySelector(selector);
+}
@@ -0,0 +1,15 @@
+import { fileURLToPath } from 'node:url';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+	resolve: {
+		alias: {
+			// Tests run against the runtime sources, which don't need to be built.
+			turbie: fileURLToPath(new URL('../runtime/src/index.js', import.meta.url)),
+		},
+	},
+	test: {
+		reporters: 'verbose',
+		environment: 'jsdom', // This tells Vitest to use JSDOM environment.
+	},
+});
@@ -1,14 +1,24 @@
 import cleanup from 'rollup-plugin-cleanup';
 import filesize from 'rollup-plugin-filesize';
 
-export default {
-	input: 'src/index.js', // The entry point of the framework code.
+/**
+ * Each entry point is bundled on its own: the framework and the JSX runtimes,
+ * imported by the JSX toolchains as `turbie/jsx-runtime` and `turbie/jsx-dev-runtime`.
+ */
+const entries = {
+	'src/index.js': 'dist/turbie.js', // The entry point of the framework code.
+	'src/jsx-runtime.js': 'dist/jsx-runtime.js',
+	'src/jsx-dev-runtime.js': 'dist/jsx-dev-runtime.js',
+};
+
+export default Object.entries(entries).map(([input, file]) => ({
+	input,
 	plugins: [cleanup()], // Remove all comments in source files.
 	output: [
 		{
-			file: 'dist/turbie.js',
+			file,
 			format: 'esm', // The generated bundle should be an ES module.
 			plugins: [filesize()],
 		},
 	],
-};
+}));
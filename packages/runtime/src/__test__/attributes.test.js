@@ -0,0 +1,115 @@
+import { afterEach, expect, test } from 'vitest';
+import { h } from '../h';
+import { mountDOM } from '../mount-dom';
+import { patchDOM } from '../patch-dom';
+import { renderToString } from '../render-to-string';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+test('the aria-* and role attributes are set as attributes', () => {
+	mountDOM(
+		h('div', { role: 'dialog', 'aria-modal': true, 'aria-hidden': false }),
+		document.body
+	);
+
+	expect(document.body.innerHTML).toBe(
+		'<div role="dialog" aria-modal="true" aria-hidden="false"></div>'
+	);
+});
+
+test('the attributes without a property are set as attributes', () => {
+	mountDOM(
+		h('label', { for: 'name', 'my-attr': 'value' }, ['Name']),
+		document.body
+	);
+
+	expect(document.body.innerHTML).toBe(
+		'<label for="name" my-attr="value">Name</label>'
+	);
+});
+
+test('the boolean attributes are present when true and absent when false', () => {
+	const oldVdom = h('input', { disabled: true, 'my-flag': true });
+	mountDOM(oldVdom, document.body);
+	const input = document.querySelector('input');
+
+	expect(document.body.innerHTML).toBe('<input disabled="" my-flag="">');
+
+	patchDOM(
+		oldVdom,
+		h('input', { disabled: false, 'my-flag': false }),
+		document.body
+	);
+
+	expect(input.disabled).toBe(false);
+	expect(document.body.innerHTML).toBe('<input>');
+});
+
+test('removing a prop resets its property', () => {
+	const oldVdom = h('input', {
+		type: 'checkbox',
+		checked: true,
+		disabled: true,
+		value: 'yes',
+	});
+	mountDOM(oldVdom, document.body);
+	const input = document.querySelector('input');
+
+	patchDOM(oldVdom, h('input', { type: 'checkbox' }), document.body);
+
+	expect(input.checked).toBe(false);
+	expect(input.disabled).toBe(false);
+	expect(input.hasAttribute('disabled')).toBe(false);
+	expect(input.value).toBe('on');
+});
+
+test('removing a renamed property removes its attribute', () => {
+	const oldVdom = h('td', { colSpan: 2, tabIndex: 0 });
+	mountDOM(oldVdom, document.createElement('tr'));
+
+	patchDOM(oldVdom, h('td', {}), oldVdom.el.parentNode);
+
+	expect(oldVdom.el.outerHTML).toBe('<td></td>');
+});
+
+test('the value of a select is set once its options are mounted', () => {
+	const options = (values) =>
+		values.map((value) => h('option', { key: value, value }, [value]));
+	const oldVdom = h('select', { value: 'b' }, options(['a', 'b']));
+	mountDOM(oldVdom, document.body);
+	const select = document.querySelector('select');
+
+	expect(select.value).toBe('b');
+
+	patchDOM(
+		oldVdom,
+		h('select', { value: 'c' }, options(['a', 'c'])),
+		document.body
+	);
+
+	expect(select.value).toBe('c');
+});
+
+test('the value of an input is set after its type and range', () => {
+	mountDOM(
+		h('input', { value: 150, max: 200, type: 'range' }),
+		document.body
+	);
+
+	expect(document.querySelector('input').value).toBe('150');
+});
+
+test('the server renders the attributes following the same rules', () => {
+	const html = renderToString(
+		h('div', {
+			role: 'switch',
+			'aria-checked': false,
+			hidden: true,
+			inert: false,
+		})
+	);
+
+	expect(html).toBe('<div role="switch" aria-checked="false" hidden></div>');
+});
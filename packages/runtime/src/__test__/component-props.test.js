@@ -0,0 +1,150 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { defineComponent } from '../component';
+import { h } from '../h';
+import { mountDOM } from '../mount-dom';
+import { nextTick } from '../scheduler';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+// The last rendered Greeting instance, to emit events from it.
+let greetingInstance = null;
+
+const Greeting = defineComponent({
+	render() {
+		greetingInstance = this;
+		const { greeting = 'Hello', name } = this.props;
+		return h('p', {}, [`${greeting}, ${name}`]);
+	},
+});
+
+function defineParent(childProps, children = []) {
+	return defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		render() {
+			return h('div', {}, [
+				`${this.state.count}`,
+				h(Greeting, childProps(this.state), children),
+			]);
+		},
+	});
+}
+
+test('the child re-renders when the parent passes new props', async () => {
+	const Parent = defineParent(({ count }) => ({ name: `user ${count}` }));
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<div>1<p>Hello, user 1</p></div>');
+});
+
+test("the child doesn't re-render when its props didn't change", async () => {
+	const Parent = defineParent(() => ({ name: 'Ann' }));
+	const renderSpy = vi.spyOn(Greeting.prototype, 'render');
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	renderSpy.mockClear();
+
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+
+	expect(renderSpy).not.toHaveBeenCalled();
+	expect(document.body.innerHTML).toBe('<div>1<p>Hello, Ann</p></div>');
+	renderSpy.mockRestore();
+});
+
+test('the props missing in the new props are removed', async () => {
+	const Parent = defineParent(({ count }) =>
+		count === 0 ? { name: 'Ann', greeting: 'Hi' } : { name: 'Ann' }
+	);
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	expect(document.body.innerHTML).toBe('<div>0<p>Hi, Ann</p></div>');
+
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<div>1<p>Hello, Ann</p></div>');
+});
+
+test("the key isn't passed as a prop", () => {
+	const vdom = h(Greeting, { key: 'greeting', name: 'Ann' });
+	mountDOM(vdom, document.body);
+
+	expect(vdom.component.props).toEqual({ name: 'Ann' });
+});
+
+test('the event handlers are replaced when the parent re-renders', async () => {
+	const first = vi.fn();
+	const second = vi.fn();
+	const Parent = defineParent(({ count }) => ({
+		name: 'Ann',
+		on: { greet: count === 0 ? first : second },
+	}));
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	const child = greetingInstance;
+
+	child.emit('greet', 'hi');
+	expect(first).toHaveBeenCalledWith('hi');
+
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+	child.emit('greet', 'hello');
+
+	expect(first).toHaveBeenCalledTimes(1);
+	expect(second).toHaveBeenCalledWith('hello');
+});
+
+test('the event handlers added or removed by the parent are wired', async () => {
+	const handler = vi.fn();
+	const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+	const Parent = defineParent(({ count }) => ({
+		name: 'Ann',
+		on: count === 1 ? { greet: handler } : {},
+	}));
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	const child = greetingInstance;
+
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+	child.emit('greet');
+	expect(handler).toHaveBeenCalledTimes(1);
+
+	vdom.component.updateState({ count: 2 });
+	await nextTick();
+	child.emit('greet');
+	expect(handler).toHaveBeenCalledTimes(1);
+
+	warnSpy.mockRestore();
+});
+
+test('a component with event handlers can be unmounted', () => {
+	const vdom = h(Greeting, { name: 'Ann', on: { greet: () => {} } });
+	mountDOM(vdom, document.body);
+
+	expect(() => vdom.component.unmount()).not.toThrow();
+	expect(document.body.innerHTML).toBe('');
+});
+
+test("a method can't replace the component's own methods", () => {
+	expect(() =>
+		defineComponent({ name: 'Form', render() {}, emit() {} })
+	).toThrow(
+		`Method "emit()" of the Form component would replace the component's own "emit" member`
+	);
+	expect(() => defineComponent({ render() {}, mount() {} })).toThrow(
+		'Method "mount()"'
+	);
+});
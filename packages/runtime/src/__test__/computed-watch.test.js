@@ -0,0 +1,313 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { defineComponent } from '../component';
+import { h } from '../h';
+import { mountDOM } from '../mount-dom';
+import { destroyDOM } from '../destroy-dom';
+import { reactive, toRaw } from '../reactivity';
+import { nextTick } from '../scheduler';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+test('a computed property is derived from the state and props', async () => {
+	const Greeting = defineComponent({
+		state() {
+			return { name: 'Ann' };
+		},
+		computed: {
+			greeting() {
+				return `${this.props.greeting}, ${this.state.name}!`;
+			},
+		},
+		render() {
+			return h('p', {}, [this.greeting]);
+		},
+	});
+
+	const vdom = h(Greeting, { greeting: 'Hello' });
+	mountDOM(vdom, document.body);
+	expect(document.body.innerHTML).toBe('<p>Hello, Ann!</p>');
+
+	vdom.component.updateState({ name: 'Bob' });
+	await nextTick();
+	expect(document.body.innerHTML).toBe('<p>Hello, Bob!</p>');
+});
+
+test('a computed property is cached until the values it read change', () => {
+	const getter = vi.fn(function () {
+		return this.state.todos.filter((todo) => todo.done).length;
+	});
+	const TodoList = defineComponent({
+		state() {
+			return { todos: [{ done: true }, { done: false }], filter: 'all' };
+		},
+		computed: { doneCount: getter },
+		render() {
+			return h('p', {}, [`${this.doneCount}`]);
+		},
+	});
+
+	const component = new TodoList();
+	expect(component.doneCount).toBe(1);
+	expect(component.doneCount).toBe(1);
+	expect(getter).toHaveBeenCalledTimes(1);
+
+	component.updateState({ filter: 'done' });
+	expect(component.doneCount).toBe(1);
+	expect(getter).toHaveBeenCalledTimes(1);
+
+	component.updateState({ todos: [{ done: true }, { done: true }] });
+	expect(component.doneCount).toBe(2);
+	expect(getter).toHaveBeenCalledTimes(2);
+});
+
+test('toRaw() unwraps the state read by a computed property', () => {
+	const initialState = { todos: [{ done: true }] };
+	let rawState = null;
+	let reactiveState = null;
+	const TodoList = defineComponent({
+		state() {
+			return initialState;
+		},
+		computed: {
+			doneCount() {
+				rawState = toRaw(this.state);
+				reactiveState = reactive(this.state);
+				return this.state.todos.filter((todo) => todo.done).length;
+			},
+		},
+		render() {
+			return h('p', {}, [`${this.doneCount}`]);
+		},
+	});
+
+	expect(new TodoList().doneCount).toBe(1);
+	expect(rawState).toBe(initialState);
+	expect(reactiveState).toBe(reactive(initialState));
+});
+
+test('a computed property reading another one depends on its values', () => {
+	const Price = defineComponent({
+		state() {
+			return { amount: 10, rate: 2 };
+		},
+		computed: {
+			converted() {
+				return this.state.amount * this.state.rate;
+			},
+			label() {
+				return `${this.converted} €`;
+			},
+		},
+		render() {
+			return h('p', {}, [this.label]);
+		},
+	});
+
+	const component = new Price();
+	expect(component.label).toBe('20 €');
+
+	component.updateState({ rate: 3 });
+	expect(component.label).toBe('30 €');
+});
+
+test('a computed property can use the component methods', () => {
+	const Cart = defineComponent({
+		state() {
+			return { items: [2, 3] };
+		},
+		computed: {
+			total() {
+				return this.sum(this.state.items);
+			},
+		},
+		sum(values) {
+			return values.reduce((a, b) => a + b, 0);
+		},
+		render() {
+			return h('p', {}, [`${this.total}`]);
+		},
+	});
+
+	expect(new Cart().total).toBe(5);
+});
+
+test("a computed property can't reuse the name of a method", () => {
+	expect(() =>
+		defineComponent({
+			computed: { total() {} },
+			total() {},
+			render() {},
+		})
+	).toThrow('Computed property "total" already exists in the component.');
+
+	expect(() =>
+		defineComponent({ computed: { state() {} }, render() {} })
+	).toThrow('Computed property "state" already exists in the component.');
+});
+
+test('a watcher is called with the new and old values after updateState()', () => {
+	const handler = vi.fn();
+	const Counter = defineComponent({
+		state() {
+			return { count: 0, clicks: 0 };
+		},
+		watch: { 'state.count': handler },
+		render() {
+			return h('p', {}, [`${this.state.count}`]);
+		},
+	});
+
+	const vdom = h(Counter);
+	mountDOM(vdom, document.body);
+	const { component } = vdom;
+
+	component.updateState({ clicks: 1 });
+	expect(handler).not.toHaveBeenCalled();
+
+	component.updateState({ count: 1 });
+	expect(handler).toHaveBeenCalledWith(1, 0);
+	expect(handler.mock.instances[0]).toBe(component);
+});
+
+test('a watcher reacts to new props', async () => {
+	const fetchUser = vi.fn();
+	const UserProfile = defineComponent({
+		watch: {
+			'props.id': {
+				handler(id, oldId) {
+					fetchUser(id, oldId);
+				},
+				immediate: true,
+			},
+		},
+		render() {
+			return h('p', {}, [`User ${this.props.id}`]);
+		},
+	});
+	const Parent = defineComponent({
+		state() {
+			return { id: 1 };
+		},
+		render() {
+			return h(UserProfile, { id: this.state.id });
+		},
+	});
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	expect(fetchUser).toHaveBeenCalledWith(1, undefined);
+
+	vdom.component.updateState({ id: 2 });
+	await nextTick();
+
+	expect(fetchUser).toHaveBeenLastCalledWith(2, 1);
+	expect(document.body.innerHTML).toBe('<p>User 2</p>');
+});
+
+test('a watcher can watch a computed property', () => {
+	const handler = vi.fn();
+	const Name = defineComponent({
+		state() {
+			return { first: 'Ann', last: 'Lee' };
+		},
+		computed: {
+			fullName() {
+				return `${this.state.first} ${this.state.last}`;
+			},
+		},
+		watch: { fullName: handler },
+		render() {
+			return h('p', {}, [this.fullName]);
+		},
+	});
+
+	const vdom = h(Name);
+	mountDOM(vdom, document.body);
+	vdom.component.updateState({ last: 'Kim' });
+
+	expect(handler).toHaveBeenCalledWith('Ann Kim', 'Ann Lee');
+});
+
+test('a deep watcher detects the changes inside nested objects', () => {
+	const handler = vi.fn();
+	const Settings = defineComponent({
+		state() {
+			return { options: { theme: 'light', tags: ['a'] } };
+		},
+		watch: { 'state.options': { handler, deep: true } },
+		render() {
+			return h('p', {}, [this.state.options.theme]);
+		},
+	});
+
+	const vdom = h(Settings);
+	mountDOM(vdom, document.body);
+	const { component } = vdom;
+
+	// A new object with the same content isn't a change.
+	component.updateState({ options: { theme: 'light', tags: ['a'] } });
+	expect(handler).not.toHaveBeenCalled();
+
+	component.state.options.tags.push('b');
+	component.updateState({});
+	expect(handler).toHaveBeenCalledWith(
+		{ theme: 'light', tags: ['a', 'b'] },
+		{ theme: 'light', tags: ['a'] }
+	);
+});
+
+test('the watchers are stopped when the component is unmounted', () => {
+	const handler = vi.fn();
+	const Counter = defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		watch: { 'state.count': handler },
+		render() {
+			return h('p', {}, [`${this.state.count}`]);
+		},
+	});
+
+	const vdom = h(Counter);
+	mountDOM(vdom, document.body);
+	const { component } = vdom;
+	destroyDOM(vdom);
+
+	component.updateState({ count: 1 });
+	expect(handler).not.toHaveBeenCalled();
+});
+
+test('the errors thrown by a watcher are passed to the error boundaries', async () => {
+	const onError = vi.fn();
+	const Child = defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		watch: {
+			async 'state.count'() {
+				throw new Error('Oops');
+			},
+		},
+		render() {
+			return h('p', {}, [`${this.state.count}`]);
+		},
+	});
+	const Parent = defineComponent({
+		onError,
+		render() {
+			return h(Child, { ref: 'child' });
+		},
+	});
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	vdom.component.refs.child.updateState({ count: 1 });
+	await nextTick();
+
+	expect(onError).toHaveBeenCalledWith(
+		expect.objectContaining({ message: expect.stringContaining('Oops') }),
+		expect.objectContaining({ source: 'watcher' })
+	);
+});
@@ -0,0 +1,159 @@
+import { bench, describe } from 'vitest';
+import { h } from '../h';
+import { areNodesEqual, nodeKey } from '../nodes-equal';
+import { ARRAY_DIFF_OP, arraysDiffSequence } from '../utils/arrays';
+
+const SIZE = 10_000;
+// The previous algorithm is quadratic, it's compared on shorter lists.
+const BASELINE_SIZE = 1_000;
+
+const rows = Array.from({ length: SIZE }, (_, i) => i);
+
+/**
+ * A deterministic shuffle, so that every run diffs the same lists.
+ */
+function shuffled(array) {
+	const result = [...array];
+	let seed = 42;
+
+	for (let i = result.length - 1; i > 0; i--) {
+		seed = (seed * 16807) % 2147483647;
+		const j = seed % (i + 1);
+		[result[i], result[j]] = [result[j], result[i]];
+	}
+
+	return result;
+}
+
+function swapped(array, i, j) {
+	const result = [...array];
+	[result[i], result[j]] = [result[j], result[i]];
+
+	return result;
+}
+
+const cases = {
+	'append 1,000 rows': [...rows, ...rows.map((i) => i + SIZE).slice(0, 1000)],
+	'prepend 1,000 rows': [...rows.map((i) => i + SIZE).slice(0, 1000), ...rows],
+	'remove every tenth row': rows.filter((i) => i % 10 !== 0),
+	'swap two rows': swapped(rows, 1, SIZE - 2),
+	'reverse the rows': [...rows].reverse(),
+	'shuffle the rows': shuffled(rows),
+};
+
+/**
+ * The previous arraysDiffSequence(), kept as the baseline of the benchmark: the
+ * items were looked up with linear scans of the arrays, from the first new item
+ * to the last one.
+ */
+function linearScanDiffSequence(
+	oldArray,
+	newArray,
+	equalsFn = (a, b) => a === b
+) {
+	const sequence = [];
+	const array = [...oldArray];
+	const originalIndices = oldArray.map((_, i) => i);
+
+	const findIndexFrom = (item, fromIndex) => {
+		for (let i = fromIndex; i < array.length; i++) {
+			if (equalsFn(item, array[i])) {
+				return i;
+			}
+		}
+
+		return -1;
+	};
+
+	const removeItem = (index) => {
+		sequence.push({ op: ARRAY_DIFF_OP.REMOVE, index, item: array[index] });
+		array.splice(index, 1);
+		originalIndices.splice(index, 1);
+	};
+
+	for (let index = 0; index < newArray.length; index++) {
+		const newItem = newArray[index];
+
+		if (
+			index < array.length &&
+			newArray.findIndex((item) => equalsFn(array[index], item)) === -1
+		) {
+			removeItem(index);
+			index--;
+			continue;
+		}
+
+		if (index < array.length && equalsFn(array[index], newItem)) {
+			sequence.push({
+				op: ARRAY_DIFF_OP.NOOP,
+				originalIndex: originalIndices[index],
+				index,
+				item: array[index],
+			});
+			continue;
+		}
+
+		const from = findIndexFrom(newItem, index);
+
+		if (from === -1) {
+			sequence.push({ op: ARRAY_DIFF_OP.ADD, index, item: newItem });
+			array.splice(index, 0, newItem);
+			originalIndices.splice(index, 0, -1);
+			continue;
+		}
+
+		sequence.push({
+			op: ARRAY_DIFF_OP.MOVE,
+			originalIndex: originalIndices[from],
+			from,
+			index,
+			item: array[from],
+		});
+		array.splice(index, 0, ...array.splice(from, 1));
+		originalIndices.splice(index, 0, ...originalIndices.splice(from, 1));
+	}
+
+	while (array.length > newArray.length) {
+		removeItem(newArray.length);
+	}
+
+	return sequence;
+}
+
+function toVNodes(keys) {
+	return keys.map((key) => h('li', { key }, [`Row ${key}`]));
+}
+
+describe(`arraysDiffSequence() on ${SIZE} items`, () => {
+	for (const [name, newArray] of Object.entries(cases)) {
+		bench(name, () => {
+			arraysDiffSequence(rows, newArray);
+		});
+	}
+});
+
+describe(`arraysDiffSequence() on ${SIZE} keyed virtual nodes`, () => {
+	const oldNodes = toVNodes(rows);
+
+	for (const [name, newArray] of Object.entries(cases)) {
+		const newNodes = toVNodes(newArray);
+
+		bench(name, () => {
+			arraysDiffSequence(oldNodes, newNodes, areNodesEqual, nodeKey);
+		});
+	}
+});
+
+describe(`arraysDiffSequence() against the linear scans, on ${BASELINE_SIZE} keyed virtual nodes`, () => {
+	const baselineRows = rows.slice(0, BASELINE_SIZE);
+	const oldNodes = toVNodes(baselineRows);
+	const newNodes = toVNodes(shuffled(baselineRows));
+
+	bench('keyed diff', () => {
+		arraysDiffSequence(oldNodes, newNodes, areNodesEqual, nodeKey);
+	});
+
+	bench('linear scans', () => {
+		linearScanDiffSequence(oldNodes, newNodes, areNodesEqual);
+	});
+});
@@ -234,14 +234,8 @@ test('remove repeated element, add and move', () => {
 		},
 		{ op: ARRAY_DIFF_OP.ADD, index: 1, item: 'k' },
 		{ op: ARRAY_DIFF_OP.NOOP, originalIndex: 0, index: 2, item: 'a' },
-		{
-			op: ARRAY_DIFF_OP.MOVE,
-			originalIndex: 2,
-			from: 4,
-			index: 3,
-			item: 'b',
-		},
-		{ op: ARRAY_DIFF_OP.REMOVE, index: 4, item: 'a' },
+		{ op: ARRAY_DIFF_OP.REMOVE, index: 3, item: 'a' },
+		{ op: ARRAY_DIFF_OP.NOOP, originalIndex: 2, index: 3, item: 'b' },
 	]);
 
 	const actual = applyArraysDiffSequence(oldArray, diffSeq);
@@ -268,21 +262,15 @@ test.each([
 		oldArray: ['a', 'b', 'c'],
 		newArray: ['b', 'c', 'a'],
 		expected: [
+			{ op: ARRAY_DIFF_OP.NOOP, originalIndex: 1, index: 0, item: 'b' },
+			{ op: ARRAY_DIFF_OP.NOOP, originalIndex: 2, index: 1, item: 'c' },
 			{
 				op: ARRAY_DIFF_OP.MOVE,
-				item: 'b',
-				originalIndex: 1,
-				from: 1,
-				index: 0,
+				item: 'a',
+				originalIndex: 0,
+				from: 0,
+				index: 2,
 			},
-			{
-				op: ARRAY_DIFF_OP.MOVE,
-				item: 'c',
-				originalIndex: 2,
-				from: 2,
-				index: 1,
-			},
-			{ op: ARRAY_DIFF_OP.NOOP, originalIndex: 0, index: 2, item: 'a' },
 		],
 	},
 	{
@@ -334,3 +322,62 @@ test('removes the items at the end', () => {
 
 	expect(actual).toEqual(newArray);
 });
+
+test('adds items to an empty array with a custom equality function', () => {
+	const equalsFn = (a, b) => a.id === b.id;
+	const newArray = [{ id: 1 }, { id: 2 }];
+
+	const diffSeq = arraysDiffSequence([], newArray, equalsFn);
+
+	expect(diffSeq.map(({ op }) => op)).toEqual([
+		ARRAY_DIFF_OP.ADD,
+		ARRAY_DIFF_OP.ADD,
+	]);
+	expect(applyArraysDiffSequence([], diffSeq)).toEqual(newArray);
+});
+
+test('moves the fewest items', () => {
+	const oldArray = Array.from({ length: 100 }, (_, i) => i);
+	const newArray = [...oldArray.slice(1), 0];
+
+	const diffSeq = arraysDiffSequence(oldArray, newArray);
+	const moves = diffSeq.filter(({ op }) => op === ARRAY_DIFF_OP.MOVE);
+
+	expect(moves).toEqual([
+		{ op: ARRAY_DIFF_OP.MOVE, originalIndex: 0, from: 0, index: 99, item: 0 },
+	]);
+	expect(applyArraysDiffSequence(oldArray, diffSeq)).toEqual(newArray);
+});
+
+test('moves an item forward past items that move too', () => {
+	const oldArray = ['a', 'b', 'c', 'd', 'e'];
+	const newArray = ['c', 'X', 'd', 'a', 'e', 'b'];
+
+	const diffSeq = arraysDiffSequence(oldArray, newArray);
+	const moves = diffSeq.filter(({ op }) => op === ARRAY_DIFF_OP.MOVE);
+
+	expect(moves.map(({ item }) => item)).toEqual(['a', 'b']);
+	expect(applyArraysDiffSequence(oldArray, diffSeq)).toEqual(newArray);
+});
+
+test('groups the items by key to compare them', () => {
+	const equalsFn = (a, b) => a.id === b.id;
+	const keyFn = (item) => item.id;
+	const oldArray = [{ id: 1 }, { id: 2 }, { id: 3 }];
+	const newArray = [{ id: 3 }, { id: 4 }, { id: 1 }];
+
+	const diffSeq = arraysDiffSequence(oldArray, newArray, equalsFn, keyFn);
+
+	expect(diffSeq).toEqual([
+		{
+			op: ARRAY_DIFF_OP.MOVE,
+			originalIndex: 2,
+			from: 2,
+			index: 0,
+			item: { id: 3 },
+		},
+		{ op: ARRAY_DIFF_OP.ADD, index: 1, item: { id: 4 } },
+		{ op: ARRAY_DIFF_OP.NOOP, originalIndex: 0, index: 2, item: { id: 1 } },
+		{ op: ARRAY_DIFF_OP.REMOVE, index: 3, item: { id: 2 } },
+	]);
+});
@@ -21,4 +21,112 @@ describe('dispatcher test', () => {
 		expect(logSpy).toHaveBeenCalledWith('Hello, John!');
 		expect(logSpy).toHaveBeenCalledWith('Done greeting!');
 	});
+
+	it('should run the middlewares around the handlers, in order', () => {
+		const calls = [];
+		const myDispatcher = new Dispatcher();
+		myDispatcher.use((command, next) => {
+			calls.push(`first ${command.name}`);
+			return next(command);
+		});
+		myDispatcher.use((command, next) =>
+			next({ ...command, payload: command.payload.toUpperCase() })
+		);
+		myDispatcher.subscribe('greet', (name) => calls.push(`Hello, ${name}!`));
+
+		myDispatcher.dispatch('greet', 'John');
+
+		expect(calls).toEqual(['first greet', 'Hello, JOHN!']);
+	});
+
+	it('should drop the commands a middleware does not pass on', () => {
+		const handler = vitest.fn();
+		const myDispatcher = new Dispatcher();
+		const removeMiddleware = myDispatcher.use(() => {});
+		myDispatcher.subscribe('greet', handler);
+
+		myDispatcher.dispatch('greet', 'John');
+		removeMiddleware();
+		myDispatcher.dispatch('greet', 'Jane');
+
+		expect(handler).toHaveBeenCalledTimes(1);
+		expect(handler).toHaveBeenCalledWith('Jane');
+	});
+
+	it('should call the handlers of the matching wildcard patterns', () => {
+		const todosHandler = vitest.fn();
+		const allHandler = vitest.fn();
+		const myDispatcher = new Dispatcher();
+		myDispatcher.subscribe('todos/*', todosHandler);
+		myDispatcher.subscribe('*', allHandler);
+
+		myDispatcher.dispatch('todos/add', 'Walk the dog');
+		myDispatcher.dispatch('users/add', 'John');
+
+		expect(todosHandler).toHaveBeenCalledTimes(1);
+		expect(todosHandler).toHaveBeenCalledWith('Walk the dog');
+		expect(allHandler).toHaveBeenCalledTimes(2);
+	});
+
+	it('should call the once handlers only the first time', () => {
+		const handler = vitest.fn();
+		const myDispatcher = new Dispatcher();
+		myDispatcher.once('greet', handler);
+
+		myDispatcher.dispatch('greet', 'John');
+		myDispatcher.dispatch('greet', 'Jane');
+
+		expect(handler).toHaveBeenCalledTimes(1);
+		expect(handler).toHaveBeenCalledWith('John');
+	});
+
+	it('should resolve once all the async handlers finished', async () => {
+		const calls = [];
+		const myDispatcher = new Dispatcher();
+		myDispatcher.subscribe('save', async (item) => {
+			await new Promise((resolve) => setTimeout(resolve));
+			calls.push(`saved ${item}`);
+		});
+		myDispatcher.subscribe('save', (item) => calls.push(`logged ${item}`));
+
+		await myDispatcher.dispatch('save', 'todo');
+
+		expect(calls).toEqual(['logged todo', 'saved todo']);
+	});
+
+	it('should reject when an async handler rejects', async () => {
+		const myDispatcher = new Dispatcher();
+		myDispatcher.subscribe('save', async () => {
+			throw new Error('save failed');
+		});
+
+		await expect(myDispatcher.dispatch('save')).rejects.toThrow('save failed');
+	});
+
+	it('should reject instead of throwing when a handler throws', async () => {
+		const myDispatcher = new Dispatcher();
+		myDispatcher.subscribe('save', () => {
+			throw new Error('save failed');
+		});
+
+		const result = myDispatcher.dispatch('save');
+
+		await expect(result).rejects.toThrow('save failed');
+	});
+
+	it('should apply the unhandled command policy', async () => {
+		const warnSpy = vitest.spyOn(console, 'warn').mockImplementation(() => {});
+		const onUnhandled = vitest.fn();
+
+		new Dispatcher().dispatch('nope');
+		new Dispatcher({ onUnhandled: 'ignore' }).dispatch('nope');
+		new Dispatcher({ onUnhandled }).dispatch('nope', 1);
+
+		expect(warnSpy).toHaveBeenCalledTimes(1);
+		expect(onUnhandled).toHaveBeenCalledWith({ name: 'nope', payload: 1 });
+		await expect(
+			new Dispatcher({ onUnhandled: 'throw' }).dispatch('nope')
+		).rejects.toThrow('No handler for command nope');
+		warnSpy.mockRestore();
+	});
 });
@@ -0,0 +1,283 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { createApp } from '../app';
+import { defineComponent } from '../component';
+import { h } from '../h';
+import { mountDOM } from '../mount-dom';
+import { nextTick } from '../scheduler';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+	vi.restoreAllMocks();
+});
+
+const Broken = defineComponent({
+	name: 'Broken',
+	render() {
+		throw new Error('render failed');
+	},
+});
+
+const Clicker = defineComponent({
+	name: 'Clicker',
+	render() {
+		return h('button', { on: { click: this.onClick } }, ['click']);
+	},
+	onClick() {
+		throw new Error('click failed');
+	},
+});
+
+function defineBoundary(Child, onError = vi.fn()) {
+	return defineComponent({
+		name: 'Boundary',
+		state() {
+			return { error: null };
+		},
+		render() {
+			return this.state.error
+				? h('p', {}, ['Something went wrong'])
+				: h('div', {}, [h(Child)]);
+		},
+		onError(error, info) {
+			onError(error, info);
+			this.updateState({ error });
+		},
+	});
+}
+
+test('a boundary renders a fallback when a descendant render throws', async () => {
+	const onError = vi.fn();
+	const Boundary = defineBoundary(Broken, onError);
+
+	mountDOM(h(Boundary), document.body);
+	expect(document.body.innerHTML).toBe('<div></div>');
+
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<p>Something went wrong</p>');
+	expect(onError).toHaveBeenCalledWith(
+		expect.any(Error),
+		expect.objectContaining({ source: 'render' })
+	);
+});
+
+test('the error message includes the component stack', () => {
+	const onError = vi.fn();
+	const Boundary = defineBoundary(Broken, onError);
+
+	mountDOM(h(Boundary), document.body);
+	const [error, info] = onError.mock.calls[0];
+
+	expect(info.componentStack).toBe('    in Broken\n    in Boundary');
+	expect(error.message).toBe(
+		'render failed\n\nComponent stack:\n    in Broken\n    in Boundary'
+	);
+});
+
+test('a boundary catches the errors thrown by event handlers', async () => {
+	const onError = vi.fn();
+	const Boundary = defineBoundary(Clicker, onError);
+
+	mountDOM(h(Boundary), document.body);
+	document.querySelector('button').click();
+	await nextTick();
+
+	expect(onError).toHaveBeenCalledWith(
+		expect.objectContaining({ message: expect.stringMatching(/^click failed/) }),
+		expect.objectContaining({ source: 'event handler' })
+	);
+	expect(document.body.innerHTML).toBe('<p>Something went wrong</p>');
+});
+
+test('a boundary catches the rejections of async event handlers', async () => {
+	const onError = vi.fn();
+	const AsyncClicker = defineComponent({
+		render() {
+			return h('button', { on: { click: this.onClick } }, ['click']);
+		},
+		async onClick() {
+			await Promise.resolve();
+			throw new Error('async click failed');
+		},
+	});
+	const Boundary = defineBoundary(AsyncClicker, onError);
+
+	mountDOM(h(Boundary), document.body);
+	document.querySelector('button').click();
+	await nextTick();
+
+	expect(onError).toHaveBeenCalledTimes(1);
+	expect(document.body.innerHTML).toBe('<p>Something went wrong</p>');
+});
+
+test('a boundary catches the errors of the handlers of the emitted events', async () => {
+	const onError = vi.fn();
+	const Button = defineComponent({
+		render() {
+			return h('button', { on: { click: () => this.emit('press') } }, [
+				'press',
+			]);
+		},
+	});
+	const Form = defineComponent({
+		name: 'Form',
+		render() {
+			return h(Button, { on: { press: this.onPress } });
+		},
+		onPress() {
+			throw new Error('press failed');
+		},
+	});
+	const Boundary = defineBoundary(Form, onError);
+
+	mountDOM(h(Boundary), document.body);
+	document.querySelector('button').click();
+	await nextTick();
+
+	expect(onError).toHaveBeenCalledWith(
+		expect.objectContaining({ message: expect.stringMatching(/^press failed/) }),
+		expect.objectContaining({
+			source: 'event handler',
+			componentStack: '    in Form\n    in Boundary',
+		})
+	);
+	expect(document.body.innerHTML).toBe('<p>Something went wrong</p>');
+});
+
+test("the promise returned by emit() doesn't reject when no one handles the error", async () => {
+	const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+	let button = null;
+	const Button = defineComponent({
+		render() {
+			return h('button', {}, ['press']);
+		},
+	});
+	const Form = defineComponent({
+		render() {
+			return h(Button, {
+				ref: (component) => (button = component),
+				on: { press: this.onPress },
+			});
+		},
+		onPress() {
+			throw new Error('press failed');
+		},
+	});
+
+	mountDOM(h(Form), document.body);
+
+	await expect(button.emit('press')).resolves.toBeUndefined();
+	expect(consoleSpy).toHaveBeenCalledWith(
+		expect.any(String),
+		expect.objectContaining({ message: expect.stringMatching(/^press failed/) })
+	);
+	consoleSpy.mockRestore();
+});
+
+test('a boundary catches the errors thrown by lifecycle hooks', async () => {
+	const onError = vi.fn();
+	const FailingHook = defineComponent({
+		render() {
+			return h('span', {}, ['hi']);
+		},
+		async onMounted() {
+			throw new Error('hook failed');
+		},
+	});
+	const Boundary = defineBoundary(FailingHook, onError);
+
+	mountDOM(h(Boundary), document.body);
+	await nextTick();
+
+	expect(onError).toHaveBeenCalledWith(
+		expect.any(Error),
+		expect.objectContaining({ source: 'onMounted' })
+	);
+});
+
+test('the DOM is left untouched when a re-render throws', async () => {
+	const Fragile = defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		render() {
+			if (this.state.count > 0) {
+				throw new Error('cannot count');
+			}
+			return h('span', {}, [`${this.state.count}`]);
+		},
+	});
+	let fragile = null;
+	const Parent = defineComponent({
+		onError: vi.fn(),
+		render() {
+			return h('div', {}, [h(Fragile, { ref: (c) => (fragile = c) })]);
+		},
+	});
+
+	mountDOM(h(Parent), document.body);
+	fragile.updateState({ count: 1 });
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<div><span>0</span></div>');
+});
+
+test('an error rethrown by a boundary goes up the tree', async () => {
+	const outerOnError = vi.fn();
+	const Rethrowing = defineComponent({
+		name: 'Rethrowing',
+		render() {
+			return h(Broken);
+		},
+		onError(error) {
+			throw error;
+		},
+	});
+	const Outer = defineBoundary(Rethrowing, outerOnError);
+
+	mountDOM(h(Outer), document.body);
+
+	expect(outerOnError).toHaveBeenCalledWith(
+		expect.objectContaining({ message: expect.stringMatching(/^render failed/) }),
+		expect.anything()
+	);
+});
+
+test('the application error handler receives the unhandled errors', () => {
+	const onError = vi.fn();
+	const app = createApp(Broken, {}, { onError });
+
+	app.mount(document.body);
+
+	expect(onError).toHaveBeenCalledWith(
+		expect.any(Error),
+		expect.objectContaining({ source: 'render', componentStack: '    in Broken' })
+	);
+});
+
+test('the errors no one handles are rethrown', () => {
+	expect(() => mountDOM(h(Broken), document.body)).toThrow(/render failed/);
+});
+
+test('the async errors no one handles are logged', async () => {
+	const errorSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+	const AsyncClicker = defineComponent({
+		render() {
+			return h('button', { on: { click: this.onClick } }, ['click']);
+		},
+		async onClick() {
+			throw new Error('async click failed');
+		},
+	});
+
+	mountDOM(h(AsyncClicker), document.body);
+	document.querySelector('button').click();
+	await nextTick();
+
+	expect(errorSpy).toHaveBeenCalledWith(
+		expect.any(String),
+		expect.objectContaining({
+			message: expect.stringMatching(/^async click failed/),
+		})
+	);
+});
@@ -0,0 +1,160 @@
+import { afterEach, beforeEach, expect, test, vi } from 'vitest';
+import { createApp } from '../app';
+import { defineComponent } from '../component';
+import { h, hPortal } from '../h';
+import { nextTick } from '../scheduler';
+
+let appEl = null;
+
+beforeEach(() => {
+	document.body.innerHTML = '<div id="app"></div><div id="modals"></div>';
+	appEl = document.getElementById('app');
+});
+
+afterEach(() => {
+	document.body.innerHTML = '';
+	vi.restoreAllMocks();
+});
+
+function mountApp(RootComponent, props = {}) {
+	const app = createApp(RootComponent, props, { delegateEvents: true });
+	app.mount(appEl);
+
+	return app;
+}
+
+function click(el) {
+	el.dispatchEvent(
+		new MouseEvent('click', { bubbles: true, cancelable: true })
+	);
+}
+
+const Table = defineComponent({
+	state() {
+		return { selected: null };
+	},
+	render() {
+		return h(
+			'table',
+			{},
+			[1, 2, 3].map((id) =>
+				h('tr', { key: id, on: { click: () => this.selectRow(id) } }, [
+					h('td', {}, [id === this.state.selected ? `${id} ✓` : `${id}`]),
+				])
+			)
+		);
+	},
+	selectRow(id) {
+		this.updateState({ selected: id });
+	},
+});
+
+test('the root listens once per event type instead of each element', () => {
+	const addSpy = vi.spyOn(HTMLElement.prototype, 'addEventListener');
+	mountApp(Table);
+
+	expect(addSpy).toHaveBeenCalledTimes(1);
+	expect(addSpy).toHaveBeenCalledWith('click', expect.any(Function));
+	expect(addSpy.mock.instances[0]).toBe(appEl);
+});
+
+test('the delegated handlers handle the events of the descendants', async () => {
+	mountApp(Table);
+	const row = appEl.querySelectorAll('tr')[1];
+
+	click(row.firstChild);
+	await nextTick();
+
+	expect(row.textContent).toBe('2 ✓');
+});
+
+test('replacing the handlers on re-render touches no listener', async () => {
+	const addSpy = vi.spyOn(HTMLElement.prototype, 'addEventListener');
+	const removeSpy = vi.spyOn(HTMLElement.prototype, 'removeEventListener');
+	mountApp(Table);
+	addSpy.mockClear();
+
+	click(appEl.querySelector('tr'));
+	await nextTick();
+	click(appEl.querySelectorAll('tr')[2]);
+	await nextTick();
+
+	expect(addSpy).not.toHaveBeenCalled();
+	expect(removeSpy).not.toHaveBeenCalled();
+	expect(appEl.querySelector('table').textContent).toBe('123 ✓');
+});
+
+test('the events bubble through the elements until the propagation stops', () => {
+	const log = [];
+	const logTarget = (event) => log.push(event.currentTarget.localName);
+	const Nested = defineComponent({
+		render() {
+			return h('div', { on: { click: logTarget } }, [
+				h('p', { on: { click: logTarget } }, [
+					h('button', { on: { 'click.stop': logTarget } }),
+					h('span'),
+				]),
+			]);
+		},
+	});
+	mountApp(Nested);
+
+	click(appEl.querySelector('span'));
+	expect(log).toEqual(['p', 'div']);
+
+	log.length = 0;
+	click(appEl.querySelector('button'));
+	expect(log).toEqual(['button']);
+});
+
+test('the events that are not delegated get a listener on their element', () => {
+	const onFocus = vi.fn();
+	const onClick = vi.fn();
+	const Input = defineComponent({
+		render() {
+			return h('input', { on: { focus: onFocus, 'click.once': onClick } });
+		},
+	});
+	mountApp(Input);
+	const input = appEl.querySelector('input');
+
+	input.dispatchEvent(new FocusEvent('focus'));
+	click(input);
+	click(input);
+
+	expect(onFocus).toHaveBeenCalledTimes(1);
+	expect(onClick).toHaveBeenCalledTimes(1);
+});
+
+test('the events of a portal content bubble to the portal place', () => {
+	const onClick = vi.fn();
+	const Modal = defineComponent({
+		render() {
+			return h('div', { on: { click: onClick } }, [
+				hPortal('#modals', [h('button', {}, ['Close'])]),
+			]);
+		},
+	});
+	mountApp(Modal);
+
+	click(document.querySelector('#modals button'));
+
+	expect(onClick).toHaveBeenCalledTimes(1);
+});
+
+test('unmounting the application removes the root listeners', () => {
+	const onClick = vi.fn();
+	const Button = defineComponent({
+		render() {
+			return h('button', { on: { click: onClick } });
+		},
+	});
+	const app = mountApp(Button);
+	const button = appEl.querySelector('button');
+
+	app.unmount();
+	appEl.append(button);
+	click(button);
+
+	expect(onClick).not.toHaveBeenCalled();
+});
@@ -0,0 +1,193 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { defineComponent } from '../component';
+import { destroyDOM } from '../destroy-dom';
+import { h } from '../h';
+import { mountDOM } from '../mount-dom';
+import { patchDOM } from '../patch-dom';
+import { nextTick } from '../scheduler';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+function dispatch(el, type, init = {}) {
+	const EventClass = type.startsWith('key') ? KeyboardEvent : MouseEvent;
+	const event = new EventClass(type, {
+		bubbles: true,
+		cancelable: true,
+		...init,
+	});
+	el.dispatchEvent(event);
+
+	return event;
+}
+
+test('the prevent and stop modifiers are applied before the handler', () => {
+	const handler = vi.fn();
+	const outerHandler = vi.fn();
+	mountDOM(
+		h('div', { on: { click: outerHandler } }, [
+			h('a', { on: { 'click.prevent.stop': handler } }),
+		]),
+		document.body
+	);
+
+	const event = dispatch(document.querySelector('a'), 'click');
+
+	expect(handler).toHaveBeenCalledWith(event);
+	expect(event.defaultPrevented).toBe(true);
+	expect(outerHandler).not.toHaveBeenCalled();
+});
+
+test('the key modifiers limit the handler to the keys', () => {
+	const handler = vi.fn();
+	mountDOM(
+		h('input', { on: { 'keydown.enter.esc.prevent': handler } }),
+		document.body
+	);
+	const input = document.querySelector('input');
+
+	const ignoredEvent = dispatch(input, 'keydown', { key: 'a' });
+	expect(handler).not.toHaveBeenCalled();
+	expect(ignoredEvent.defaultPrevented).toBe(false);
+
+	dispatch(input, 'keydown', { key: 'Enter' });
+	dispatch(input, 'keydown', { key: 'Escape' });
+	expect(handler).toHaveBeenCalledTimes(2);
+});
+
+test('the kebab-cased keys and the system modifiers can be combined', () => {
+	const handler = vi.fn();
+	mountDOM(
+		h('input', { on: { 'keyup.ctrl.page-down': handler } }),
+		document.body
+	);
+	const input = document.querySelector('input');
+
+	dispatch(input, 'keyup', { key: 'PageDown' });
+	expect(handler).not.toHaveBeenCalled();
+
+	dispatch(input, 'keyup', { key: 'PageDown', ctrlKey: true });
+	expect(handler).toHaveBeenCalledTimes(1);
+});
+
+test('the self modifier ignores the events of the children', () => {
+	const handler = vi.fn();
+	mountDOM(
+		h('div', { on: { 'click.self': handler } }, [h('button')]),
+		document.body
+	);
+
+	dispatch(document.querySelector('button'), 'click');
+	expect(handler).not.toHaveBeenCalled();
+
+	dispatch(document.querySelector('div'), 'click');
+	expect(handler).toHaveBeenCalledTimes(1);
+});
+
+test('a once listener is removed after the first matching event', () => {
+	const handler = vi.fn();
+	mountDOM(
+		h('input', { on: { 'keydown.enter.once': handler } }),
+		document.body
+	);
+	const input = document.querySelector('input');
+
+	dispatch(input, 'keydown', { key: 'a' });
+	dispatch(input, 'keydown', { key: 'Enter' });
+	dispatch(input, 'keydown', { key: 'Enter' });
+
+	expect(handler).toHaveBeenCalledTimes(1);
+});
+
+test('the capture and passive modifiers are passed to addEventListener()', () => {
+	const addSpy = vi.spyOn(HTMLElement.prototype, 'addEventListener');
+	const removeSpy = vi.spyOn(HTMLElement.prototype, 'removeEventListener');
+	const vdom = h('div', {
+		on: {
+			'click.capture': () => {},
+			scroll: { handler() {}, passive: true },
+		},
+	});
+	mountDOM(vdom, document.body);
+
+	expect(addSpy).toHaveBeenCalledWith('click', expect.any(Function), {
+		capture: true,
+		passive: false,
+	});
+	expect(addSpy).toHaveBeenCalledWith('scroll', expect.any(Function), {
+		capture: false,
+		passive: true,
+	});
+
+	destroyDOM(vdom);
+
+	expect(removeSpy).toHaveBeenCalledWith('click', expect.any(Function), {
+		capture: true,
+	});
+	addSpy.mockRestore();
+	removeSpy.mockRestore();
+});
+
+test('an unknown modifier of a mouse event throws', () => {
+	expect(() =>
+		mountDOM(h('button', { on: { 'click.enter': () => {} } }), document.body)
+	).toThrow('Unknown modifier "enter" of the "click.enter" event');
+});
+
+test('an unknown key of a keyboard event is reported in development', () => {
+	const warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+	mountDOM(
+		h('input', { on: { 'keydown.entr': () => {}, 'keyup.f5.a': () => {} } }),
+		document.body
+	);
+
+	expect(warnSpy).toHaveBeenCalledTimes(1);
+	expect(warnSpy).toHaveBeenCalledWith(
+		expect.stringContaining('"entr" of the "keydown.entr" event')
+	);
+	warnSpy.mockRestore();
+});
+
+test('the listeners kept when patching are removed with the element', () => {
+	const handler = vi.fn();
+	const oldVdom = h('button', {
+		on: { click: handler, focus() {} },
+	});
+	const newVdom = h('button', {
+		on: { click: handler, blur() {} },
+	});
+	mountDOM(oldVdom, document.body);
+	const button = oldVdom.el;
+
+	patchDOM(oldVdom, newVdom, document.body);
+	destroyDOM(newVdom);
+	dispatch(button, 'click');
+
+	expect(handler).not.toHaveBeenCalled();
+});
+
+test('the inline listener options are compared by value when patching', async () => {
+	const handler = vi.fn();
+	const Button = defineComponent({
+		state() {
+			return { label: 'Save' };
+		},
+		render() {
+			return h('button', { on: { keydown: { handler, once: true } } }, [
+				this.state.label,
+			]);
+		},
+	});
+	const vdom = h(Button);
+	mountDOM(vdom, document.body);
+	const button = document.querySelector('button');
+
+	dispatch(button, 'keydown', { key: 'a' });
+	vdom.component.updateState({ label: 'Saved' });
+	await nextTick();
+	dispatch(button, 'keydown', { key: 'b' });
+
+	expect(handler).toHaveBeenCalledTimes(1);
+});
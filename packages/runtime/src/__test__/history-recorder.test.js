@@ -0,0 +1,158 @@
+import { afterEach, expect, test } from 'vitest';
+import { createApp } from '../app';
+import { defineComponent } from '../component';
+import { h } from '../h';
+import { createHistoryRecorder } from '../history-recorder';
+import { nextTick } from '../scheduler';
+import { createStore } from '../store';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+function createCounterStore() {
+	return createStore({
+		state: { count: 0 },
+		reducers: {
+			add: (state, amount) => ({ count: state.count + amount }),
+		},
+	});
+}
+
+test('each command is recorded with the resulting state', () => {
+	const store = createCounterStore();
+	const history = createHistoryRecorder(store);
+
+	store.dispatch('add', 1);
+	store.dispatch('add', 2);
+
+	expect(history.entries).toEqual([
+		{ command: null, state: { count: 0 } },
+		{ command: { name: 'add', payload: 1 }, state: { count: 1 } },
+		{ command: { name: 'add', payload: 2 }, state: { count: 3 } },
+	]);
+	expect(history.index).toBe(2);
+});
+
+test('undo and redo move between the states', () => {
+	const store = createCounterStore();
+	const history = createHistoryRecorder(store);
+	store.dispatch('add', 1);
+	store.dispatch('add', 2);
+
+	history.undo();
+	expect(store.state).toEqual({ count: 1 });
+	history.undo();
+	history.undo();
+	expect(store.state).toEqual({ count: 0 });
+	expect(history.canUndo).toBe(false);
+
+	history.redo();
+	expect(store.state).toEqual({ count: 1 });
+	expect(history.canRedo).toBe(true);
+});
+
+test('a command dispatched in the past drops the entries after it', () => {
+	const store = createCounterStore();
+	const history = createHistoryRecorder(store);
+	store.dispatch('add', 1);
+	store.dispatch('add', 2);
+
+	history.jumpTo(1);
+	store.dispatch('add', 10);
+
+	expect(history.entries.map(({ state }) => state.count)).toEqual([0, 1, 11]);
+	expect(history.canRedo).toBe(false);
+});
+
+test('jumping to a missing entry throws', () => {
+	const history = createHistoryRecorder(createCounterStore());
+
+	expect(() => history.jumpTo(3)).toThrow(/no history entry at index 3/);
+});
+
+test('the oldest entries are dropped past the limit', () => {
+	const store = createCounterStore();
+	const history = createHistoryRecorder(store, { limit: 2 });
+
+	store.dispatch('add', 1);
+	store.dispatch('add', 2);
+	store.dispatch('add', 3);
+
+	expect(history.entries).toEqual([
+		{ command: null, state: { count: 1 } },
+		{ command: { name: 'add', payload: 2 }, state: { count: 3 } },
+		{ command: { name: 'add', payload: 3 }, state: { count: 6 } },
+	]);
+});
+
+test('a serialized log is replayed in another store', async () => {
+	const store = createCounterStore();
+	const history = createHistoryRecorder(store);
+	store.dispatch('add', 1);
+	store.dispatch('add', 2);
+	history.undo();
+
+	const otherStore = createCounterStore();
+	const otherHistory = createHistoryRecorder(otherStore);
+	await otherHistory.replay(history.serialize());
+
+	expect(otherStore.state).toEqual({ count: 1 });
+	expect(otherHistory.entries).toHaveLength(2);
+});
+
+test('the replay stops at the first failing command', async () => {
+	const store = createStore({
+		state: { count: 0 },
+		reducers: {
+			add: (state, amount) => {
+				if (amount < 0) {
+					throw new Error('The amount must be positive');
+				}
+				return { count: state.count + amount };
+			},
+		},
+	});
+	const history = createHistoryRecorder(store);
+	const log = {
+		state: { count: 0 },
+		commands: [
+			{ name: 'add', payload: 1 },
+			{ name: 'add', payload: -1 },
+			{ name: 'add', payload: 2 },
+		],
+	};
+
+	await expect(history.replay(log)).rejects.toThrow(/must be positive/);
+	expect(store.state).toEqual({ count: 1 });
+	expect(history.entries).toHaveLength(2);
+});
+
+test('the commands are no longer recorded once stopped', () => {
+	const store = createCounterStore();
+	const history = createHistoryRecorder(store);
+
+	history.stop();
+	store.dispatch('add', 1);
+
+	expect(history.entries).toHaveLength(1);
+});
+
+test('the app re-renders to the past states', async () => {
+	const store = createCounterStore();
+	const history = createHistoryRecorder(store);
+	const Counter = defineComponent({
+		render() {
+			return h('p', {}, [`${this.select((state) => state.count)}`]);
+		},
+	});
+	createApp(Counter).use(store).mount(document.body);
+	store.dispatch('add', 5);
+	await nextTick();
+	expect(document.body.innerHTML).toBe('<p>5</p>');
+
+	history.undo();
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<p>0</p>');
+});
@@ -0,0 +1,251 @@
+import { afterEach, beforeEach, expect, test, vi } from 'vitest';
+import { createApp } from '../app';
+import { defineComponent } from '../component';
+import { h, hFragment, hSlot, hString } from '../h';
+import { hydrateDOM } from '../hydrate-dom';
+import { renderToString } from '../render-to-string';
+import { nextTick } from '../scheduler';
+
+let warnSpy = null;
+
+beforeEach(() => {
+	warnSpy = vi.spyOn(console, 'warn').mockImplementation(() => {});
+});
+
+afterEach(() => {
+	document.body.innerHTML = '';
+	vi.restoreAllMocks();
+	vi.unstubAllEnvs();
+});
+
+const Counter = defineComponent({
+	name: 'Counter',
+	state(props) {
+		return { count: props.start };
+	},
+	render() {
+		return h('div', { class: 'counter' }, [
+			h('span', {}, ['Count: ', `${this.state.count}`]),
+			h('button', { on: { click: this.increment } }, ['+']),
+		]);
+	},
+	increment() {
+		this.updateState({ count: this.state.count + 1 });
+	},
+});
+
+function serverRender(vdomOrComponent, props) {
+	document.body.innerHTML = renderToString(vdomOrComponent, props);
+}
+
+test('the existing nodes are saved in the vdom instead of being re-created', () => {
+	const vdom = h('div', { id: 'root' }, [h('p', {}, ['hello'])]);
+	serverRender(vdom);
+	const div = document.body.firstChild;
+	const p = div.firstChild;
+
+	hydrateDOM(vdom, document.body);
+
+	expect(vdom.el).toBe(div);
+	expect(vdom.children[0].el).toBe(p);
+	expect(vdom.children[0].children[0].el).toBe(p.firstChild);
+	expect(warnSpy).not.toHaveBeenCalled();
+});
+
+test('the event listeners are added to the existing elements', () => {
+	const onClick = vi.fn();
+	const vdom = h('button', { on: { click: onClick } }, ['click']);
+	serverRender(h('button', {}, ['click']));
+
+	hydrateDOM(vdom, document.body);
+	document.querySelector('button').click();
+
+	expect(onClick).toHaveBeenCalledTimes(1);
+});
+
+test('the adjacent text nodes merged by the parser are split', () => {
+	const vdom = h('p', {}, ['Count: ', '3']);
+	serverRender(vdom);
+	expect(document.body.firstChild.childNodes).toHaveLength(1);
+
+	hydrateDOM(vdom, document.body);
+
+	expect(vdom.children[0].el.data).toBe('Count: ');
+	expect(vdom.children[1].el.data).toBe('3');
+	expect(warnSpy).not.toHaveBeenCalled();
+});
+
+test('fragments and empty text nodes are hydrated', () => {
+	const vdom = hFragment([h('p', {}, ['a']), hString(''), h('p', {}, ['b'])]);
+	serverRender(vdom);
+
+	hydrateDOM(vdom, document.body);
+
+	expect(vdom.children[1].el).toBeInstanceOf(Text);
+	expect(vdom.children[2].el).toBe(document.body.lastChild);
+	expect(warnSpy).not.toHaveBeenCalled();
+});
+
+test('the application hydrates components, which can be updated', async () => {
+	serverRender(Counter, { start: 5 });
+	const button = document.querySelector('button');
+
+	createApp(Counter, { start: 5 }).hydrate(document.body);
+	button.click();
+	await nextTick();
+
+	expect(document.querySelector('button')).toBe(button);
+	expect(document.body.innerHTML).toBe(
+		'<div class="counter"><span>Count: 6</span><button>+</button></div>'
+	);
+	expect(warnSpy).not.toHaveBeenCalled();
+});
+
+test('the hooks of the hydrated components run', async () => {
+	const onMounted = vi.fn();
+	const WithHook = defineComponent({
+		render() {
+			return h('div', {}, [hSlot()]);
+		},
+		onMounted,
+	});
+	const App = defineComponent({
+		render() {
+			return h(WithHook, {}, [h('p', {}, ['content'])]);
+		},
+	});
+	serverRender(App);
+
+	createApp(App).hydrate(document.body);
+	await nextTick();
+
+	expect(onMounted).toHaveBeenCalledTimes(1);
+	expect(document.body.innerHTML).toBe('<div><p>content</p></div>');
+});
+
+test('a mismatched element is replaced and reported', () => {
+	document.body.innerHTML = '<div><span>a</span><p>b</p></div>';
+	const div = document.body.firstChild;
+	const p = div.lastChild;
+	const vdom = h('div', {}, [h('em', {}, ['a']), h('p', {}, ['b'])]);
+
+	hydrateDOM(vdom, document.body);
+
+	expect(document.body.innerHTML).toBe('<div><em>a</em><p>b</p></div>');
+	// Only the mismatched node is replaced
+	expect(vdom.el).toBe(div);
+	expect(vdom.children[1].el).toBe(p);
+	expect(warnSpy).toHaveBeenCalledWith(expect.stringContaining('<em>'));
+});
+
+test('a mismatched text is fixed and reported', () => {
+	document.body.innerHTML = '<p>server</p>';
+	const vdom = h('p', {}, ['client']);
+
+	hydrateDOM(vdom, document.body);
+
+	expect(document.body.innerHTML).toBe('<p>client</p>');
+	expect(warnSpy).toHaveBeenCalledTimes(1);
+});
+
+test('the missing nodes are mounted and the extra nodes removed', () => {
+	document.body.innerHTML = '<ul><li>a</li></ul><p>extra</p>';
+	const App = defineComponent({
+		render() {
+			return h('ul', {}, [h('li', {}, ['a']), h('li', {}, ['b'])]);
+		},
+	});
+
+	createApp(App).hydrate(document.body);
+
+	expect(document.body.innerHTML).toBe('<ul><li>a</li><li>b</li></ul>');
+	expect(warnSpy).toHaveBeenCalledTimes(2);
+});
+
+test('the content set by the innerHTML, textContent and value props is kept', () => {
+	const vdom = h('div', {}, [
+		h('div', { innerHTML: '<b>hi</b>' }),
+		h('p', { textContent: 'text' }),
+		h('textarea', { value: 'typed' }),
+	]);
+	serverRender(vdom);
+	const bold = document.querySelector('b');
+
+	hydrateDOM(vdom, document.body);
+
+	expect(document.body.innerHTML).toBe(
+		'<div><div><b>hi</b></div><p>text</p><textarea>typed</textarea></div>'
+	);
+	expect(document.querySelector('b')).toBe(bold);
+	expect(document.querySelector('textarea').value).toBe('typed');
+	expect(warnSpy).not.toHaveBeenCalled();
+});
+
+test('the attributes rendered like the props are not reported', () => {
+	const vdom = h('div', { class: ['a', 'b'], style: { color: 'red' } }, [
+		h('label', { htmlFor: 'name', 'aria-hidden': false }, ['Name']),
+		h('input', { id: 'name', type: 'text', value: 'x', disabled: true }),
+		h('select', { value: 'b' }, [
+			h('option', { value: 'a' }, ['A']),
+			h('option', { value: 'b' }, ['B']),
+		]),
+	]);
+	serverRender(vdom);
+
+	hydrateDOM(vdom, document.body);
+
+	expect(warnSpy).not.toHaveBeenCalled();
+	expect(document.querySelector('select').value).toBe('b');
+});
+
+test('the mismatched attributes are fixed and reported', () => {
+	document.body.innerHTML =
+		'<a href="/old" title="Home" target="_blank">Home</a><button disabled>Go</button>';
+	const vdom = hFragment([
+		h('a', { href: '/new', title: 'Home' }, ['Home']),
+		h('button', { disabled: false }, ['Go']),
+	]);
+
+	hydrateDOM(vdom, document.body);
+
+	expect(document.body.innerHTML).toBe(
+		'<a href="/new" title="Home">Home</a><button>Go</button>'
+	);
+	expect(warnSpy).toHaveBeenCalledTimes(3);
+	expect(warnSpy).toHaveBeenCalledWith(
+		expect.stringContaining('Attribute "href" of <a> is "/old"')
+	);
+	expect(warnSpy).toHaveBeenCalledWith(
+		expect.stringContaining('extra attribute "target"')
+	);
+});
+
+test('the mismatched class and style are fixed and reported', () => {
+	document.body.innerHTML =
+		'<p class="a b" style="color: red;">text</p><p class="c">text</p>';
+	const vdom = hFragment([
+		h('p', { class: ['a', 'c'], style: { color: 'blue', margin: 0 } }, [
+			'text',
+		]),
+		h('p', {}, ['text']),
+	]);
+
+	hydrateDOM(vdom, document.body);
+
+	expect(document.body.innerHTML).toBe(
+		'<p class="a c" style="color: blue; margin: 0px;">text</p><p>text</p>'
+	);
+	expect(warnSpy).toHaveBeenCalledTimes(3);
+});
+
+test('the mismatched attributes are fixed silently in production', () => {
+	vi.stubEnv('NODE_ENV', 'production');
+	document.body.innerHTML =
+		'<a href="/old" class="a" style="color: red;" target="_blank">Home</a>';
+	const vdom = h('a', { href: '/new', class: 'b' }, ['Home']);
+
+	hydrateDOM(vdom, document.body);
+
+	expect(document.body.innerHTML).toBe('<a href="/new" class="b">Home</a>');
+	expect(warnSpy).not.toHaveBeenCalled();
+});
@@ -0,0 +1,120 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { createApp } from '../app';
+import { defineComponent } from '../component';
+import { DOM_TYPES, hSlot } from '../h';
+import { mountDOM } from '../mount-dom';
+import { nextTick } from '../scheduler';
+import { createElement, Fragment, jsx } from '../jsx-runtime';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+test('an element is created with its props and text children', () => {
+	const vdom = <p class="intro" id="p1">Hello</p>;
+
+	expect(vdom).toMatchObject({
+		type: DOM_TYPES.ELEMENT,
+		tag: 'p',
+		props: { class: 'intro', id: 'p1' },
+		children: [{ type: DOM_TYPES.TEXT, value: 'Hello' }],
+	});
+});
+
+test('className is an alias of class and the key is a prop', () => {
+	const vdom = jsx('li', { className: ['a', 'b'] }, 'item-1');
+
+	expect(vdom.props).toEqual({ class: ['a', 'b'], key: 'item-1' });
+});
+
+test('a key after spread props is passed to createElement()', () => {
+	const props = { id: 'a', className: 'item' };
+	const vdom = <li {...props} key="a">Walk</li>;
+
+	expect(vdom.props).toEqual({ id: 'a', class: 'item', key: 'a' });
+	expect(vdom.children).toMatchObject([{ type: DOM_TYPES.TEXT, value: 'Walk' }]);
+	expect(createElement('li', null, 'a', ['b'])).toEqual(
+		<li>
+			a{'b'}
+		</li>
+	);
+});
+
+test('the on* props are the event handlers', () => {
+	const onClick = vi.fn();
+	mountDOM(<button onClick={onClick} onMouseEnter={() => {}}>+</button>, document.body);
+
+	document.querySelector('button').click();
+
+	expect(onClick).toHaveBeenCalledTimes(1);
+});
+
+test('the children are flattened and the empty ones are dropped', () => {
+	const items = ['a', 'b'];
+	const vdom = (
+		<ul>
+			{false && <li>hidden</li>}
+			{null}
+			{items.map((item) => (
+				<li key={item}>{item}</li>
+			))}
+			<li>{3}</li>
+		</ul>
+	);
+	mountDOM(vdom, document.body);
+
+	expect(document.body.innerHTML).toBe('<ul><li>a</li><li>b</li><li>3</li></ul>');
+	expect(vdom.children[0].props.key).toBe('a');
+});
+
+test('the fragments render their children', () => {
+	mountDOM(
+		<>
+			<h1>Title</h1>
+			<p>Body</p>
+		</>,
+		document.body
+	);
+
+	expect(document.body.innerHTML).toBe('<h1>Title</h1><p>Body</p>');
+	expect(jsx(Fragment, {}).type).toBe(DOM_TYPES.FRAGMENT);
+});
+
+test('the components receive their props, events and slot content', async () => {
+	const Counter = defineComponent({
+		state() {
+			return { count: this.props.start };
+		},
+		render() {
+			return (
+				<div>
+					<span>{this.state.count}</span>
+					<button onClick={() => this.increment()}>{hSlot()}</button>
+				</div>
+			);
+		},
+		increment() {
+			this.updateState({ count: this.state.count + 1 });
+			this.emit('countChanged', this.state.count);
+		},
+	});
+	const onCountChanged = vi.fn();
+	const App = defineComponent({
+		render() {
+			return (
+				<Counter start={5} onCountChanged={onCountChanged}>
+					Add one
+				</Counter>
+			);
+		},
+	});
+	createApp(App).mount(document.body);
+
+	document.querySelector('button').click();
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe(
+		'<div><span>6</span><button>Add one</button></div>'
+	);
+	expect(onCountChanged).toHaveBeenCalledWith(6);
+});
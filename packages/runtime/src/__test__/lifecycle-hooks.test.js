@@ -0,0 +1,165 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { defineComponent } from '../component';
+import { destroyDOM } from '../destroy-dom';
+import { h, hFragment } from '../h';
+import { mountDOM } from '../mount-dom';
+import { nextTick } from '../scheduler';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+	vi.restoreAllMocks();
+});
+
+function defineLoggingComponent(name, log, children = []) {
+	return defineComponent({
+		render() {
+			return h('div', {}, [name, ...children.map((Child) => h(Child))]);
+		},
+		onMounted() {
+			log.push(`${name} mounted`);
+		},
+		onUnmounted() {
+			log.push(`${name} unmounted`);
+		},
+	});
+}
+
+test('onMounted is called after the component is in the document', async () => {
+	let isInDocument = null;
+	const Comp = defineComponent({
+		render() {
+			return h('p', {}, ['hello']);
+		},
+		onMounted() {
+			isInDocument = document.body.contains(this.firstElement);
+		},
+	});
+
+	mountDOM(h(Comp), document.body);
+	expect(isInDocument).toBe(null);
+
+	await nextTick();
+	expect(isInDocument).toBe(true);
+});
+
+test('onMounted has access to the component', async () => {
+	const Comp = defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		render() {
+			return h('p', {}, [`${this.state.count}`]);
+		},
+		onMounted() {
+			this.updateState({ count: 1 });
+		},
+	});
+
+	mountDOM(h(Comp), document.body);
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<p>1</p>');
+});
+
+test('onUnmounted is called after the component is removed', async () => {
+	const onUnmounted = vi.fn();
+	const Comp = defineComponent({
+		render() {
+			return h('p', {}, ['hello']);
+		},
+		onUnmounted,
+	});
+
+	const vdom = h(Comp);
+	mountDOM(vdom, document.body);
+	destroyDOM(vdom);
+	expect(onUnmounted).not.toHaveBeenCalled();
+
+	await nextTick();
+	expect(onUnmounted).toHaveBeenCalledTimes(1);
+	expect(document.body.innerHTML).toBe('');
+});
+
+test('the hooks of the children run before the ones of their parent', async () => {
+	const log = [];
+	const GrandChild = defineLoggingComponent('grandchild', log);
+	const Child = defineLoggingComponent('child', log, [GrandChild]);
+	const Parent = defineLoggingComponent('parent', log, [Child]);
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	await nextTick();
+
+	expect(log).toEqual([
+		'grandchild mounted',
+		'child mounted',
+		'parent mounted',
+	]);
+
+	log.length = 0;
+	destroyDOM(vdom);
+	await nextTick();
+
+	expect(log).toEqual([
+		'grandchild unmounted',
+		'child unmounted',
+		'parent unmounted',
+	]);
+});
+
+test('the hooks of sibling components run in order', async () => {
+	const log = [];
+	const First = defineLoggingComponent('first', log);
+	const Second = defineLoggingComponent('second', log);
+
+	mountDOM(hFragment([h(First), h(Second)]), document.body);
+	await nextTick();
+
+	expect(log).toEqual(['first mounted', 'second mounted']);
+});
+
+test('async hooks are awaited before reporting their errors', async () => {
+	const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+	const error = new Error('fetch failed');
+	const Comp = defineComponent({
+		render() {
+			return h('p', {}, ['hello']);
+		},
+		async onMounted() {
+			await Promise.resolve();
+			throw error;
+		},
+	});
+
+	mountDOM(h(Comp), document.body);
+	await nextTick();
+
+	expect(consoleSpy).toHaveBeenCalledWith(expect.any(String), error);
+});
+
+test('errors thrown synchronously by a hook are reported', async () => {
+	const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+	const error = new Error('oops');
+	const onMounted = vi.fn();
+	const Failing = defineComponent({
+		render() {
+			return h('p', {}, ['failing']);
+		},
+		onMounted() {
+			throw error;
+		},
+	});
+	const Working = defineComponent({
+		render() {
+			return h('p', {}, ['working']);
+		},
+		onMounted,
+	});
+
+	mountDOM(hFragment([h(Failing), h(Working)]), document.body);
+	await nextTick();
+
+	expect(consoleSpy).toHaveBeenCalledWith(expect.any(String), error);
+	// The other hooks still run
+	expect(onMounted).toHaveBeenCalledTimes(1);
+});
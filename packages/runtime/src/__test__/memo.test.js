@@ -0,0 +1,240 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { defineComponent } from '../component';
+import { h, hFragment, hStatic } from '../h';
+import { memo } from '../memo';
+import { mountDOM } from '../mount-dom';
+import { nextTick } from '../scheduler';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+function defineParent(Child, childProps) {
+	return defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		render() {
+			return h('div', {}, [
+				`${this.state.count}`,
+				h(Child, childProps(this.state)),
+			]);
+		},
+	});
+}
+
+test('shouldUpdate receives the next props and state', async () => {
+	const shouldUpdate = vi.fn(() => true);
+	const Counter = defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		shouldUpdate,
+		render() {
+			return h('p', {}, [`${this.state.count}`]);
+		},
+	});
+
+	const vdom = h(Counter, { step: 1 });
+	mountDOM(vdom, document.body);
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+
+	expect(shouldUpdate).toHaveBeenCalledWith({ step: 1 }, { count: 1 });
+	expect(shouldUpdate.mock.instances[0]).toBe(vdom.component);
+	expect(document.body.innerHTML).toBe('<p>1</p>');
+});
+
+test("the component doesn't re-render when shouldUpdate returns false", async () => {
+	const Counter = defineComponent({
+		state() {
+			return { count: 0, clicks: 0 };
+		},
+		shouldUpdate(nextProps, nextState) {
+			return nextState.count !== this.state.count;
+		},
+		render() {
+			return h('p', {}, [`${this.state.count} (${this.state.clicks})`]);
+		},
+	});
+
+	const vdom = h(Counter);
+	mountDOM(vdom, document.body);
+	const { component } = vdom;
+
+	component.updateState({ clicks: 1 });
+	await nextTick();
+
+	expect(component.state.clicks).toBe(1);
+	expect(document.body.innerHTML).toBe('<p>0 (0)</p>');
+
+	component.updateState({ count: 1 });
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<p>1 (1)</p>');
+});
+
+test('shouldUpdate decides whether the new props re-render the child', async () => {
+	const Child = defineComponent({
+		shouldUpdate(nextProps) {
+			return nextProps.label !== this.props.label;
+		},
+		render() {
+			return h('span', {}, [`${this.props.label} ${this.props.count}`]);
+		},
+	});
+	const Parent = defineParent(Child, ({ count }) => ({
+		label: count < 2 ? 'low' : 'high',
+		count,
+	}));
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+	expect(document.body.innerHTML).toBe('<div>1<span>low 0</span></div>');
+
+	vdom.component.updateState({ count: 2 });
+	await nextTick();
+	expect(document.body.innerHTML).toBe('<div>2<span>high 2</span></div>');
+});
+
+test("a memo component doesn't re-render when its state is shallowly equal", async () => {
+	const Counter = memo(
+		defineComponent({
+			state() {
+				return { count: 0 };
+			},
+			render() {
+				return h('p', {}, [`${this.state.count}`]);
+			},
+		})
+	);
+	const renderSpy = vi.spyOn(Counter.prototype, 'render');
+
+	const vdom = h(Counter);
+	mountDOM(vdom, document.body);
+	renderSpy.mockClear();
+
+	vdom.component.updateState({ count: 0 });
+	await nextTick();
+	expect(renderSpy).not.toHaveBeenCalled();
+
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+	expect(renderSpy).toHaveBeenCalledTimes(1);
+	expect(document.body.innerHTML).toBe('<p>1</p>');
+});
+
+test('a memo component compares its props with the given function', async () => {
+	const Item = memo(
+		defineComponent({
+			render() {
+				return h('li', {}, [this.props.item.title]);
+			},
+		}),
+		(prevProps, nextProps) => prevProps.item.id === nextProps.item.id
+	);
+	const renderSpy = vi.spyOn(Item.prototype, 'render');
+	const Parent = defineParent(Item, ({ count }) => ({
+		item: { id: count < 2 ? 1 : 2, title: `Item ${count}` },
+	}));
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	renderSpy.mockClear();
+
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+	expect(renderSpy).not.toHaveBeenCalled();
+
+	vdom.component.updateState({ count: 2 });
+	await nextTick();
+	expect(renderSpy).toHaveBeenCalledTimes(1);
+	expect(document.body.innerHTML).toBe('<div>2<li>Item 2</li></div>');
+});
+
+test('a memo component keeps the shouldUpdate of the wrapped component', async () => {
+	const Counter = memo(
+		defineComponent({
+			state() {
+				return { count: 0 };
+			},
+			shouldUpdate(nextProps, nextState) {
+				return nextState.count % 2 === 0;
+			},
+			render() {
+				return h('p', {}, [`${this.state.count}`]);
+			},
+		})
+	);
+
+	const vdom = h(Counter);
+	mountDOM(vdom, document.body);
+
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+	expect(document.body.innerHTML).toBe('<p>0</p>');
+
+	vdom.component.updateState({ count: 2 });
+	await nextTick();
+	expect(document.body.innerHTML).toBe('<p>2</p>');
+	expect(Counter.name).toBe('Memo(Anonymous)');
+});
+
+test('the static subtrees are skipped when patching', async () => {
+	const Page = defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		render() {
+			return h('div', {}, [
+				hStatic(h('header', {}, [`Rendered at ${this.state.count}`])),
+				h('p', {}, [`${this.state.count}`]),
+			]);
+		},
+	});
+
+	const vdom = h(Page);
+	mountDOM(vdom, document.body);
+	const headerEl = document.querySelector('header');
+
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+	vdom.component.updateState({ count: 2 });
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe(
+		'<div><header>Rendered at 0</header><p>2</p></div>'
+	);
+	expect(document.querySelector('header')).toBe(headerEl);
+});
+
+test('the children of a static fragment are static', async () => {
+	const List = defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		render() {
+			return h('ul', {}, [
+				hStatic(
+					hFragment([
+						h('li', {}, ['Always ']),
+						h('li', {}, [`${this.state.count}`]),
+					])
+				),
+				h('li', {}, [`${this.state.count}`]),
+			]);
+		},
+	});
+
+	const vdom = h(List);
+	mountDOM(vdom, document.body);
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe(
+		'<ul><li>Always </li><li>0</li><li>1</li></ul>'
+	);
+});
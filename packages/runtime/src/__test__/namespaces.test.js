@@ -0,0 +1,110 @@
+import { afterEach, expect, test } from 'vitest';
+import { defineComponent } from '../component';
+import { h } from '../h';
+import { mountDOM } from '../mount-dom';
+import {
+	HTML_NAMESPACE,
+	MATHML_NAMESPACE,
+	SVG_NAMESPACE,
+} from '../namespaces';
+import { patchDOM } from '../patch-dom';
+
+const XLINK_NAMESPACE = 'http://www.w3.org/1999/xlink';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+function icon({
+	viewBox = '0 0 24 24',
+	className = 'icon',
+	href = '#star',
+} = {}) {
+	return h('svg', { viewBox, class: className }, [
+		h('path', { d: 'M0 0L24 24', 'stroke-width': 2 }),
+		h('use', { 'xlink:href': href }),
+	]);
+}
+
+test('the SVG elements and their descendants are created in the SVG namespace', () => {
+	mountDOM(icon(), document.body);
+	const svg = document.querySelector('svg');
+
+	expect(svg.namespaceURI).toBe(SVG_NAMESPACE);
+	expect(svg.querySelector('path').namespaceURI).toBe(SVG_NAMESPACE);
+	expect(svg.querySelector('use').namespaceURI).toBe(SVG_NAMESPACE);
+});
+
+test('the SVG attributes are set as attributes', () => {
+	mountDOM(icon(), document.body);
+	const svg = document.querySelector('svg');
+
+	expect(svg.getAttribute('viewBox')).toBe('0 0 24 24');
+	expect(svg.getAttribute('class')).toBe('icon');
+	expect(svg.querySelector('path').getAttribute('d')).toBe('M0 0L24 24');
+	expect(svg.querySelector('path').getAttribute('stroke-width')).toBe('2');
+	expect(
+		svg.querySelector('use').getAttributeNS(XLINK_NAMESPACE, 'href')
+	).toBe('#star');
+});
+
+test('the SVG attributes and classes are patched', () => {
+	const oldVdom = icon();
+	mountDOM(oldVdom, document.body);
+
+	patchDOM(
+		oldVdom,
+		icon({ viewBox: '0 0 16 16', className: ['icon', 'small'], href: null }),
+		document.body
+	);
+	const svg = document.querySelector('svg');
+
+	expect(svg.getAttribute('viewBox')).toBe('0 0 16 16');
+	expect(svg.getAttribute('class')).toBe('icon small');
+	expect(svg.querySelector('use').hasAttributeNS(XLINK_NAMESPACE, 'href')).toBe(
+		false
+	);
+});
+
+test('the elements inside a foreignObject are HTML elements', () => {
+	mountDOM(
+		h('svg', {}, [h('foreignObject', {}, [h('div', {}, ['Text'])])]),
+		document.body
+	);
+
+	expect(document.querySelector('foreignObject').namespaceURI).toBe(
+		SVG_NAMESPACE
+	);
+	expect(document.querySelector('div').namespaceURI).toBe(HTML_NAMESPACE);
+});
+
+test('the MathML elements are created in the MathML namespace', () => {
+	mountDOM(h('math', {}, [h('mi', {}, ['x'])]), document.body);
+
+	expect(document.querySelector('math').namespaceURI).toBe(MATHML_NAMESPACE);
+	expect(document.querySelector('mi').namespaceURI).toBe(MATHML_NAMESPACE);
+});
+
+test('a component rendered inside an SVG element renders SVG elements', () => {
+	const Circle = defineComponent({
+		render() {
+			return h('circle', { r: this.props.r });
+		},
+	});
+	mountDOM(h('svg', {}, [h(Circle, { r: 5 })]), document.body);
+	const circle = document.querySelector('circle');
+
+	expect(circle.namespaceURI).toBe(SVG_NAMESPACE);
+	expect(circle.getAttribute('r')).toBe('5');
+});
+
+test('the HTML attributes without a property are set with setAttribute()', () => {
+	mountDOM(
+		h('button', { 'aria-label': 'Close', hidden: true, disabled: false }),
+		document.body
+	);
+
+	expect(document.body.innerHTML).toBe(
+		'<button aria-label="Close" hidden=""></button>'
+	);
+});
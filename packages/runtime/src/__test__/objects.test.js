@@ -1,5 +1,5 @@
 import { expect, test } from 'vitest';
-import { objectsDiff } from '../utils/objects';
+import { objectsDiff, omit, shallowEqual } from '../utils/objects';
 
 test('same object, no change', () => {
 	const oldObj = { foo: 'bar' };
@@ -41,3 +41,24 @@ test('update value', () => {
 	expect(removed).toEqual([]);
 	expect(updated).toEqual(['foo']);
 });
+
+test('shallow equal objects', () => {
+	const arr = [1, 2, 3];
+
+	expect(shallowEqual({ foo: 'bar', arr }, { foo: 'bar', arr })).toBe(true);
+	expect(shallowEqual({}, {})).toBe(true);
+});
+
+test('shallow different objects', () => {
+	expect(shallowEqual({ foo: 'bar' }, { foo: 'baz' })).toBe(false);
+	expect(shallowEqual({ foo: 'bar' }, { foo: 'bar', baz: 1 })).toBe(false);
+	expect(shallowEqual({ foo: undefined }, { bar: undefined })).toBe(false);
+	expect(shallowEqual({ arr: [1] }, { arr: [1] })).toBe(false);
+});
+
+test('omit keys', () => {
+	const obj = { foo: 'bar', baz: 1, qux: true };
+
+	expect(omit(obj, ['baz', 'missing'])).toEqual({ foo: 'bar', qux: true });
+	expect(obj).toEqual({ foo: 'bar', baz: 1, qux: true });
+});
@@ -0,0 +1,47 @@
+import { afterEach, expect, test } from 'vitest';
+import { h } from '../h';
+import { mountDOM } from '../mount-dom';
+import { patchDOM } from '../patch-dom';
+
+// All tests use JSDOM environment.
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+function list(keys) {
+	return h(
+		'ul',
+		{},
+		keys.map((key) => h('li', { key }, [key]))
+	);
+}
+
+test.each([
+	{ oldKeys: ['a', 'b', 'c'], newKeys: ['b', 'c', 'a'] },
+	{ oldKeys: ['a', 'b', 'c', 'd', 'e'], newKeys: ['c', 'X', 'd', 'a', 'e', 'b'] },
+	{ oldKeys: ['a', 'b', 'c', 'd'], newKeys: ['d', 'c', 'b', 'a'] },
+	{ oldKeys: ['a', 'b', 'c', 'd'], newKeys: ['b', 'd', 'Y', 'a'] },
+])(
+	'reorders the keyed children from $oldKeys to $newKeys',
+	({ oldKeys, newKeys }) => {
+		const oldVdom = list(oldKeys);
+		const newVdom = list(newKeys);
+		mountDOM(oldVdom, document.body);
+		const elsByKey = new Map(
+			oldVdom.children.map(({ props, el }) => [props.key, el])
+		);
+
+		patchDOM(oldVdom, newVdom, document.body);
+
+		const items = [...document.querySelectorAll('li')];
+		expect(items.map((el) => el.textContent)).toEqual(newKeys);
+		// The kept items are moved, not recreated.
+		items.forEach((el, index) => {
+			const key = newKeys[index];
+			if (elsByKey.has(key)) {
+				expect(el).toBe(elsByKey.get(key));
+			}
+		});
+	}
+);
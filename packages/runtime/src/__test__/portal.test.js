@@ -0,0 +1,204 @@
+import { afterEach, beforeEach, expect, test, vi } from 'vitest';
+import { defineComponent } from '../component';
+import { destroyDOM } from '../destroy-dom';
+import { h, hFragment, hPortal } from '../h';
+import { hydrateDOM } from '../hydrate-dom';
+import { mountDOM } from '../mount-dom';
+import { renderToString } from '../render-to-string';
+import { nextTick } from '../scheduler';
+
+let appEl = null;
+let modalsEl = null;
+
+beforeEach(() => {
+	document.body.innerHTML = '<div id="app"></div><div id="modals"></div>';
+	appEl = document.getElementById('app');
+	modalsEl = document.getElementById('modals');
+});
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+const Modal = defineComponent({
+	state() {
+		return { open: true, message: 'Saved!', target: '#modals' };
+	},
+	render() {
+		const { open, message, target } = this.state;
+
+		return h('main', {}, [
+			h('h1', {}, ['Title']),
+			open
+				? hPortal(target, [
+						h('p', { ref: 'message', on: { click: this.close } }, [
+							message,
+						]),
+					])
+				: null,
+		]);
+	},
+	close() {
+		this.updateState({ open: false });
+	},
+});
+
+test('the portal content is mounted in the target element', () => {
+	mountDOM(h(Modal), appEl);
+
+	expect(appEl.innerHTML).toBe('<main><h1>Title</h1><!--portal--></main>');
+	expect(modalsEl.innerHTML).toBe('<p>Saved!</p>');
+});
+
+test('the target can be an element', () => {
+	mountDOM(hPortal(modalsEl, ['Hello']), appEl);
+
+	expect(modalsEl.innerHTML).toBe('Hello');
+});
+
+test("mounting a portal whose target doesn't exist throws", () => {
+	expect(() => mountDOM(hPortal('#nope', ['Hello']), appEl)).toThrow(
+		`The portal's target "#nope" doesn't exist`
+	);
+});
+
+test('the portal content belongs to the component rendering it', async () => {
+	const vdom = h(Modal);
+	mountDOM(vdom, appEl);
+	const { component } = vdom;
+
+	expect(component.refs.message).toBe(modalsEl.firstChild);
+
+	modalsEl.firstChild.click();
+	await nextTick();
+
+	expect(component.state.open).toBe(false);
+	expect(appEl.innerHTML).toBe('<main><h1>Title</h1></main>');
+	expect(modalsEl.innerHTML).toBe('');
+});
+
+test('the portal content injects the values provided to the component', () => {
+	const Label = defineComponent({
+		render() {
+			return h('span', {}, [this.inject('theme')]);
+		},
+	});
+	const App = defineComponent({
+		render() {
+			this.provide('theme', 'dark');
+			return h('div', {}, [hPortal('#modals', [h(Label)])]);
+		},
+	});
+
+	mountDOM(h(App), appEl);
+
+	expect(modalsEl.innerHTML).toBe('<span>dark</span>');
+});
+
+test('the portal content is patched in the target element', async () => {
+	modalsEl.innerHTML = '<p>Other</p>';
+	const vdom = h(Modal);
+	mountDOM(vdom, appEl);
+
+	vdom.component.updateState({ message: 'Deleted!' });
+	await nextTick();
+
+	expect(modalsEl.innerHTML).toBe('<p>Other</p><p>Deleted!</p>');
+});
+
+test('the portal content is added after the nodes already in the target', async () => {
+	modalsEl.innerHTML = '<p>Other</p>';
+	const List = defineComponent({
+		state() {
+			return { items: ['a', 'b'] };
+		},
+		render() {
+			return hPortal(
+				'#modals',
+				this.state.items.map((item) => h('i', { key: item }, [item]))
+			);
+		},
+	});
+	const vdom = h(List);
+	mountDOM(vdom, appEl);
+
+	vdom.component.updateState({ items: ['b', 'c', 'a'] });
+	await nextTick();
+
+	expect(modalsEl.innerHTML).toBe('<p>Other</p><i>b</i><i>c</i><i>a</i>');
+});
+
+test('the portal content moves when the target changes', async () => {
+	const otherEl = document.createElement('aside');
+	document.body.append(otherEl);
+	const vdom = h(Modal);
+	mountDOM(vdom, appEl);
+	const messageEl = modalsEl.firstChild;
+
+	vdom.component.updateState({ target: otherEl });
+	await nextTick();
+
+	expect(modalsEl.innerHTML).toBe('');
+	expect(otherEl.firstChild).toBe(messageEl);
+});
+
+test('the portal content is removed with the portal', async () => {
+	const onUnmounted = vi.fn();
+	const Child = defineComponent({
+		onUnmounted,
+		render() {
+			return h('p', {}, ['Child']);
+		},
+	});
+	const vdom = h('div', {}, [hPortal('#modals', [h(Child), 'Text'])]);
+	mountDOM(vdom, appEl);
+
+	destroyDOM(vdom);
+	await nextTick();
+
+	expect(appEl.innerHTML).toBe('');
+	expect(modalsEl.innerHTML).toBe('');
+	expect(onUnmounted).toHaveBeenCalled();
+});
+
+test('the patched nested elements ignore the offset of the component', async () => {
+	const Counter = defineComponent({
+		state() {
+			return { items: ['a'] };
+		},
+		render() {
+			return hFragment([
+				h('span', {}, ['Before']),
+				h(
+					'ul',
+					{},
+					this.state.items.map((item) => h('li', { key: item }, [item]))
+				),
+			]);
+		},
+	});
+	appEl.innerHTML = '<p>Outside</p>';
+	const vdom = h(Counter);
+	mountDOM(vdom, appEl);
+
+	vdom.component.updateState({ items: ['b', 'a'] });
+	await nextTick();
+
+	expect(appEl.innerHTML).toBe(
+		'<p>Outside</p><span>Before</span><ul><li>b</li><li>a</li></ul>'
+	);
+});
+
+test('the server renders the comment of the portal, hydrated in the browser', () => {
+	const vdom = h('div', {}, [hPortal('#modals', ['Hello']), 'World']);
+	appEl.innerHTML = renderToString(vdom);
+
+	expect(appEl.innerHTML).toBe('<div><!--portal-->World</div>');
+
+	const portalComment = appEl.firstChild.firstChild;
+	hydrateDOM(h('div', {}, [hPortal('#modals', ['Hello']), 'World']), appEl);
+
+	expect(appEl.innerHTML).toBe('<div><!--portal-->World</div>');
+	expect(appEl.firstChild.firstChild).toBe(portalComment);
+	expect(modalsEl.innerHTML).toBe('Hello');
+});
@@ -0,0 +1,164 @@
+import { afterEach, expect, test } from 'vitest';
+import { createApp } from '../app';
+import { defineComponent } from '../component';
+import { h, hSlot } from '../h';
+import { mountDOM } from '../mount-dom';
+import { nextTick } from '../scheduler';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+const Label = defineComponent({
+	render() {
+		return h('span', {}, [this.inject('theme', 'light')]);
+	},
+});
+
+// A component in between, to check that the values reach deep descendants.
+const Layout = defineComponent({
+	render() {
+		return h('div', {}, [h(Label)]);
+	},
+});
+
+const ThemeProvider = defineComponent({
+	state() {
+		return { theme: 'dark' };
+	},
+	render() {
+		this.provide('theme', this.state.theme);
+		return h('main', {}, [h(Layout)]);
+	},
+});
+
+test('a descendant injects the value provided by an ancestor', () => {
+	mountDOM(h(ThemeProvider), document.body);
+
+	expect(document.body.innerHTML).toBe(
+		'<main><div><span>dark</span></div></main>'
+	);
+});
+
+test('the default value is used when no ancestor provides the key', () => {
+	mountDOM(h(Layout), document.body);
+
+	expect(document.body.innerHTML).toBe('<div><span>light</span></div>');
+});
+
+test('the closest provider wins', () => {
+	const Nested = defineComponent({
+		render() {
+			this.provide('theme', 'blue');
+			return h(Label);
+		},
+	});
+	const Outer = defineComponent({
+		render() {
+			this.provide('theme', 'red');
+			return h('div', {}, [h(Label), h(Nested)]);
+		},
+	});
+
+	mountDOM(h(Outer), document.body);
+
+	expect(document.body.innerHTML).toBe(
+		'<div><span>red</span><span>blue</span></div>'
+	);
+});
+
+test("a component doesn't inject its own provided values", () => {
+	const Self = defineComponent({
+		render() {
+			this.provide('theme', 'mine');
+			return h('span', {}, [this.inject('theme', 'none')]);
+		},
+	});
+
+	mountDOM(h(Self), document.body);
+
+	expect(document.body.innerHTML).toBe('<span>none</span>');
+});
+
+test('the values can be injected in the state function', () => {
+	const Stateful = defineComponent({
+		state() {
+			return { theme: this.inject('theme') };
+		},
+		render() {
+			return h('span', {}, [this.state.theme]);
+		},
+	});
+	const Provider = defineComponent({
+		render() {
+			this.provide('theme', 'dark');
+			return h(Stateful);
+		},
+	});
+
+	mountDOM(h(Provider), document.body);
+
+	expect(document.body.innerHTML).toBe('<span>dark</span>');
+});
+
+test('the injecting components re-render when the provided value changes', async () => {
+	const vdom = h(ThemeProvider);
+	mountDOM(vdom, document.body);
+
+	vdom.component.updateState({ theme: 'solarized' });
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe(
+		'<main><div><span>solarized</span></div></main>'
+	);
+});
+
+test('the values provided by a component reach its slot content', () => {
+	const Frame = defineComponent({
+		render() {
+			this.provide('theme', 'framed');
+			return h('section', {}, [hSlot()]);
+		},
+	});
+
+	mountDOM(h(Frame, {}, [h(Label)]), document.body);
+
+	expect(document.body.innerHTML).toBe('<section><span>framed</span></section>');
+});
+
+test('the application can provide values', async () => {
+	const app = createApp(Layout).provide('theme', 'app');
+	app.mount(document.body);
+
+	expect(document.body.innerHTML).toBe('<div><span>app</span></div>');
+
+	app.provide('theme', 'updated');
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<div><span>updated</span></div>');
+	app.unmount();
+});
+
+test('the components stop depending on the values once unmounted', async () => {
+	const app = createApp(Layout).provide('theme', 'app');
+	app.mount(document.body);
+	app.unmount();
+
+	app.provide('theme', 'updated');
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('');
+});
+
+test('a plugin installed in the application can provide values', () => {
+	const themePlugin = {
+		install(app, theme) {
+			app.provide('theme', theme);
+		},
+	};
+	const app = createApp(Layout).use(themePlugin, 'plugin');
+	app.mount(document.body);
+
+	expect(document.body.innerHTML).toBe('<div><span>plugin</span></div>');
+	app.unmount();
+});
@@ -0,0 +1,250 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { defineComponent } from '../component';
+import { h } from '../h';
+import { mountDOM } from '../mount-dom';
+import { nextTick } from '../scheduler';
+import { isReactive, reactive, ReactiveEffect, toRaw } from '../reactivity';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+function watchEffect(fn) {
+	const scheduler = vi.fn();
+	const effect = new ReactiveEffect(scheduler);
+	effect.run(fn);
+
+	return scheduler;
+}
+
+test('an effect is notified when a value it read changes', () => {
+	const state = reactive({ count: 0, other: 0 });
+	const scheduler = watchEffect(() => state.count);
+
+	state.other = 1;
+	expect(scheduler).not.toHaveBeenCalled();
+
+	state.count = 0;
+	expect(scheduler).not.toHaveBeenCalled();
+
+	state.count = 1;
+	expect(scheduler).toHaveBeenCalledTimes(1);
+});
+
+test('the nested objects are reactive', () => {
+	const state = reactive({ todos: [{ text: 'Walk', done: false }] });
+	const scheduler = watchEffect(() => state.todos[0].done);
+
+	expect(isReactive(state.todos[0])).toBe(true);
+	expect(state.todos[0]).toBe(state.todos[0]);
+
+	state.todos[0].done = true;
+	expect(scheduler).toHaveBeenCalledTimes(1);
+	expect(toRaw(state).todos[0].done).toBe(true);
+});
+
+test('the array mutations notify the effects iterating over the array', () => {
+	const items = reactive(['a', 'b']);
+	const scheduler = watchEffect(() => items.map((item) => item));
+
+	items.push('c');
+	expect(scheduler).toHaveBeenCalled();
+
+	scheduler.mockClear();
+	items.length = 1;
+	expect(scheduler).toHaveBeenCalled();
+});
+
+test('adding or deleting a key notifies the effects iterating over the keys', () => {
+	const tags = reactive({ a: true });
+	const scheduler = watchEffect(() => Object.keys(tags));
+
+	tags.b = true;
+	expect(scheduler).toHaveBeenCalledTimes(1);
+
+	delete tags.a;
+	expect(scheduler).toHaveBeenCalledTimes(2);
+});
+
+test('the arrays find the items by their original object', () => {
+	const todo = { text: 'Walk' };
+	const todos = reactive([todo]);
+
+	expect(todos.includes(todo)).toBe(true);
+	expect(todos.indexOf(todos[0])).toBe(0);
+});
+
+test('the maps are reactive', () => {
+	const users = reactive(new Map([[1, { name: 'Ann' }]]));
+	const nameScheduler = watchEffect(() => users.get(1).name);
+	const sizeScheduler = watchEffect(() => users.size);
+
+	users.get(1).name = 'Bob';
+	expect(nameScheduler).toHaveBeenCalledTimes(1);
+	expect(sizeScheduler).not.toHaveBeenCalled();
+
+	users.set(2, { name: 'Cy' });
+	expect(sizeScheduler).toHaveBeenCalledTimes(1);
+
+	users.delete(1);
+	expect(nameScheduler).toHaveBeenCalledTimes(2);
+	expect([...users.values()].map(({ name }) => name)).toEqual(['Cy']);
+});
+
+test('changing the value of a key notifies the effects iterating over a map', () => {
+	const prices = reactive(new Map([['apple', 1]]));
+	const valuesScheduler = watchEffect(() => [...prices.values()]);
+	const entriesScheduler = watchEffect(() => prices.forEach(() => {}));
+
+	prices.set('apple', 1);
+	expect(valuesScheduler).not.toHaveBeenCalled();
+
+	prices.set('apple', 2);
+	expect(valuesScheduler).toHaveBeenCalledTimes(1);
+	expect(entriesScheduler).toHaveBeenCalledTimes(1);
+});
+
+test('the sets are reactive', () => {
+	const selected = reactive(new Set());
+	const hasScheduler = watchEffect(() => selected.has('a'));
+	const iterateScheduler = watchEffect(() => [...selected]);
+
+	selected.add('b');
+	expect(hasScheduler).not.toHaveBeenCalled();
+	expect(iterateScheduler).toHaveBeenCalledTimes(1);
+
+	selected.add('a');
+	expect(hasScheduler).toHaveBeenCalledTimes(1);
+
+	selected.clear();
+	expect(hasScheduler).toHaveBeenCalledTimes(2);
+	expect(iterateScheduler).toHaveBeenCalledTimes(3);
+});
+
+test('a stopped effect is no longer notified', () => {
+	const state = reactive({ count: 0 });
+	const scheduler = vi.fn();
+	const effect = new ReactiveEffect(scheduler);
+	effect.run(() => state.count);
+
+	effect.stop();
+	state.count = 1;
+
+	expect(scheduler).not.toHaveBeenCalled();
+});
+
+const TodoList = defineComponent({
+	reactive: true,
+	state() {
+		return { todos: [{ text: 'Walk', done: false }], title: 'Todos' };
+	},
+	render() {
+		return h(
+			'ul',
+			{},
+			this.state.todos.map((todo) =>
+				h('li', { class: todo.done ? 'done' : '' }, [todo.text])
+			)
+		);
+	},
+});
+
+test('mutating the reactive state re-renders the component', async () => {
+	const vdom = h(TodoList);
+	mountDOM(vdom, document.body);
+	const { state } = vdom.component;
+
+	state.todos[0].done = true;
+	state.todos.push({ text: 'Read', done: false });
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe(
+		'<ul><li class="done">Walk</li><li>Read</li></ul>'
+	);
+});
+
+test("mutating a value the render didn't read doesn't re-render", async () => {
+	const renderSpy = vi.spyOn(TodoList.prototype, 'render');
+	const vdom = h(TodoList);
+	mountDOM(vdom, document.body);
+	renderSpy.mockClear();
+
+	vdom.component.state.title = 'Chores';
+	await nextTick();
+
+	expect(renderSpy).not.toHaveBeenCalled();
+	renderSpy.mockRestore();
+});
+
+test('updateState() keeps working with a reactive state', async () => {
+	const vdom = h(TodoList);
+	mountDOM(vdom, document.body);
+	const { component } = vdom;
+	const { state } = component;
+
+	component.updateState({ todos: [{ text: 'Swim', done: false }] });
+	await nextTick();
+
+	expect(component.state).toBe(state);
+	expect(document.body.innerHTML).toBe('<ul><li>Swim</li></ul>');
+});
+
+test('only the components reading the mutated value re-render', async () => {
+	const todos = reactive([
+		{ text: 'Walk', done: false },
+		{ text: 'Read', done: false },
+	]);
+	const Item = defineComponent({
+		render() {
+			const { todo } = this.props;
+			return h('li', {}, [`${todo.text}${todo.done ? ' ✓' : ''}`]);
+		},
+	});
+	const List = defineComponent({
+		render() {
+			return h(
+				'ul',
+				{},
+				todos.map((todo) => h(Item, { todo }))
+			);
+		},
+	});
+	const itemRender = vi.spyOn(Item.prototype, 'render');
+	const listRender = vi.spyOn(List.prototype, 'render');
+
+	mountDOM(h(List), document.body);
+	itemRender.mockClear();
+	listRender.mockClear();
+
+	todos[1].done = true;
+	await nextTick();
+
+	expect(listRender).not.toHaveBeenCalled();
+	expect(itemRender).toHaveBeenCalledTimes(1);
+	expect(document.body.innerHTML).toBe('<ul><li>Walk</li><li>Read ✓</li></ul>');
+});
+
+test('the computed properties are recomputed when a reactive value changes', async () => {
+	const Counter = defineComponent({
+		reactive: true,
+		state() {
+			return { todos: [{ done: false }] };
+		},
+		computed: {
+			doneCount() {
+				return this.state.todos.filter((todo) => todo.done).length;
+			},
+		},
+		render() {
+			return h('p', {}, [`${this.doneCount}`]);
+		},
+	});
+
+	const vdom = h(Counter);
+	mountDOM(vdom, document.body);
+
+	vdom.component.state.todos[0].done = true;
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<p>1</p>');
+});
@@ -0,0 +1,188 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { defineComponent } from '../component';
+import { h, hSlot } from '../h';
+import { mountDOM } from '../mount-dom';
+import { nextTick } from '../scheduler';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+const Child = defineComponent({
+	render() {
+		return h('p', {}, ['child']);
+	},
+	greet() {
+		return 'hello';
+	},
+});
+
+test('the elements with a ref are saved in the host component refs', () => {
+	const Form = defineComponent({
+		render() {
+			return h('form', { ref: 'form' }, [h('input', { ref: 'input' })]);
+		},
+	});
+
+	const vdom = h(Form);
+	mountDOM(vdom, document.body);
+	const { refs } = vdom.component;
+
+	expect(refs.form).toBeInstanceOf(HTMLFormElement);
+	expect(refs.input).toBeInstanceOf(HTMLInputElement);
+	expect(document.body.innerHTML).toBe('<form><input></form>');
+});
+
+test('the child components with a ref are saved in the host component refs', () => {
+	const Parent = defineComponent({
+		render() {
+			return h('div', {}, [h(Child, { ref: 'child' })]);
+		},
+	});
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+
+	expect(vdom.component.refs.child.greet()).toBe('hello');
+	expect(vdom.component.refs.child.props).toEqual({});
+});
+
+test('callback refs are called with the element and with null when removed', async () => {
+	const ref = vi.fn();
+	const Toggle = defineComponent({
+		state() {
+			return { visible: true };
+		},
+		render() {
+			return h('div', {}, [this.state.visible ? h('span', { ref }) : null]);
+		},
+	});
+
+	const vdom = h(Toggle);
+	mountDOM(vdom, document.body);
+	expect(ref).toHaveBeenLastCalledWith(expect.any(HTMLSpanElement));
+
+	vdom.component.updateState({ visible: false });
+	await nextTick();
+
+	expect(ref).toHaveBeenLastCalledWith(null);
+});
+
+test('the ref is updated when the element is replaced', async () => {
+	const Switch = defineComponent({
+		state() {
+			return { on: false };
+		},
+		render() {
+			return this.state.on
+				? h('strong', { ref: 'label' }, ['on'])
+				: h('em', { ref: 'label' }, ['off']);
+		},
+	});
+
+	const vdom = h(Switch);
+	mountDOM(vdom, document.body);
+	expect(vdom.component.refs.label.tagName).toBe('EM');
+
+	vdom.component.updateState({ on: true });
+	await nextTick();
+
+	expect(vdom.component.refs.label.tagName).toBe('STRONG');
+	expect(vdom.component.refs.label.isConnected).toBe(true);
+});
+
+test('the ref follows the element when the ref name changes', async () => {
+	const Renamed = defineComponent({
+		state() {
+			return { name: 'first' };
+		},
+		render() {
+			return h('input', { ref: this.state.name });
+		},
+	});
+
+	const vdom = h(Renamed);
+	mountDOM(vdom, document.body);
+	const input = vdom.component.refs.first;
+
+	vdom.component.updateState({ name: 'second' });
+	await nextTick();
+
+	expect(vdom.component.refs).toEqual({ second: input });
+});
+
+test('the refs are kept when keyed elements move', async () => {
+	const List = defineComponent({
+		state() {
+			return { items: ['a', 'b', 'c'] };
+		},
+		render() {
+			return h(
+				'ul',
+				{},
+				this.state.items.map((item) =>
+					h('li', { key: item, ref: item }, [item])
+				)
+			);
+		},
+	});
+
+	const vdom = h(List);
+	mountDOM(vdom, document.body);
+	const { a, b, c } = vdom.component.refs;
+
+	vdom.component.updateState({ items: ['c', 'a', 'b'] });
+	await nextTick();
+
+	expect(vdom.component.refs).toEqual({ a, b, c });
+	expect(document.body.innerHTML).toBe(
+		'<ul><li>c</li><li>a</li><li>b</li></ul>'
+	);
+});
+
+test('the refs are cleared when the component is unmounted', () => {
+	const Parent = defineComponent({
+		render() {
+			return h('div', { ref: 'root' }, [h(Child, { ref: 'child' })]);
+		},
+	});
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	vdom.component.unmount();
+
+	expect(vdom.component.refs).toEqual({});
+});
+
+test('the refs of the slot content are saved in the component passing it', async () => {
+	const Frame = defineComponent({
+		render() {
+			return h('section', {}, [hSlot()]);
+		},
+	});
+	const Parent = defineComponent({
+		state() {
+			return { showChild: true };
+		},
+		render() {
+			return h(Frame, { ref: 'frame' }, [
+				h('input', { ref: 'input' }),
+				this.state.showChild ? h(Child, { ref: 'child' }) : null,
+			]);
+		},
+	});
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	const { refs } = vdom.component;
+
+	expect(refs.input).toBe(document.querySelector('input'));
+	expect(refs.child.greet()).toBe('hello');
+	expect(refs.frame.refs).toEqual({});
+
+	vdom.component.updateState({ showChild: false });
+	await nextTick();
+
+	expect(refs.input).toBe(document.querySelector('input'));
+	expect(refs).not.toHaveProperty('child');
+});
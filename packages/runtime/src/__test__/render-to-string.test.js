@@ -0,0 +1,158 @@
+// @vitest-environment node
+import { expect, test, vi } from 'vitest';
+import { defineComponent } from '../component';
+import { h, hFragment, hSlot, hString } from '../h';
+import { renderToString } from '../render-to-string';
+
+// These tests run in plain Node, without jsdom.
+
+test('there is no DOM available', () => {
+	expect(typeof document).toBe('undefined');
+});
+
+test('render a text node', () => {
+	expect(renderToString(hString('hello'))).toBe('hello');
+});
+
+test('render an element with children', () => {
+	const vdom = h('div', { id: 'foo' }, [h('p', {}, ['hello']), 'world']);
+
+	expect(renderToString(vdom)).toBe('<div id="foo"><p>hello</p>world</div>');
+});
+
+test('render a fragment', () => {
+	const vdom = hFragment([h('p', {}, ['foo']), hFragment([h('p', {}, ['bar'])])]);
+
+	expect(renderToString(vdom)).toBe('<p>foo</p><p>bar</p>');
+});
+
+test('render void elements without closing tag', () => {
+	const vdom = h('div', {}, [h('img', { src: 'a.png' }), h('br')]);
+
+	expect(renderToString(vdom)).toBe('<div><img src="a.png"><br></div>');
+});
+
+test('render the class as a string or a list', () => {
+	expect(renderToString(h('div', { class: 'foo bar' }))).toBe(
+		'<div class="foo bar"></div>'
+	);
+	expect(renderToString(h('div', { class: ['foo', '', 'bar'] }))).toBe(
+		'<div class="foo bar"></div>'
+	);
+});
+
+test('render the style', () => {
+	const vdom = h('p', {
+		style: { color: 'red', fontStyle: 'italic', 'font-weight': 'bold' },
+	});
+
+	expect(renderToString(vdom)).toBe(
+		'<p style="color: red; font-style: italic; font-weight: bold;"></p>'
+	);
+});
+
+test('render boolean and missing attributes', () => {
+	const vdom = h('input', {
+		type: 'checkbox',
+		checked: true,
+		disabled: false,
+		name: null,
+	});
+
+	expect(renderToString(vdom)).toBe('<input type="checkbox" checked>');
+});
+
+test('render properties with the attribute name', () => {
+	const vdom = h('label', { htmlFor: 'name', tabIndex: 0 }, ['Name']);
+
+	expect(renderToString(vdom)).toBe('<label for="name" tabindex="0">Name</label>');
+});
+
+test("don't render the event handlers, key and ref", () => {
+	const vdom = h('button', { key: 'b', ref: 'button', on: { click() {} } }, [
+		'Click',
+	]);
+
+	expect(renderToString(vdom)).toBe('<button>Click</button>');
+});
+
+test('escape the text and the attribute values', () => {
+	const vdom = h('a', { title: '"quoted" & <b>' }, ['<script>alert(1)</script>']);
+
+	expect(renderToString(vdom)).toBe(
+		'<a title="&quot;quoted&quot; &amp; &lt;b&gt;">&lt;script&gt;alert(1)&lt;/script&gt;</a>'
+	);
+});
+
+test('render the value of a textarea as its escaped content', () => {
+	const vdom = h('textarea', { name: 'bio', value: 'Hi <there> & bye' });
+
+	expect(renderToString(vdom)).toBe(
+		'<textarea name="bio">Hi &lt;there&gt; &amp; bye</textarea>'
+	);
+});
+
+test('render the value of a select as its selected option', () => {
+	const vdom = h('select', { name: 'size', value: 'm' }, [
+		h('option', { value: 's' }, ['Small']),
+		h('optgroup', { label: 'Big' }, [
+			h('option', { value: 'm' }, ['Medium']),
+			h('option', {}, ['l']),
+		]),
+	]);
+
+	expect(renderToString(vdom)).toBe(
+		'<select name="size"><option value="s">Small</option>' +
+			'<optgroup label="Big"><option value="m" selected>Medium</option>' +
+			'<option>l</option></optgroup></select>'
+	);
+});
+
+test('render the values of a multiple select as its selected options', () => {
+	const vdom = h('select', { multiple: true, value: ['a', 'c'] }, [
+		h('option', {}, ['a']),
+		h('option', {}, ['b']),
+		h('option', { value: 'c' }, ['C']),
+	]);
+
+	expect(renderToString(vdom)).toBe(
+		'<select multiple><option selected>a</option><option>b</option>' +
+			'<option value="c" selected>C</option></select>'
+	);
+});
+
+test('render a component with its initial state and props', () => {
+	const onMounted = vi.fn();
+	const Greeting = defineComponent({
+		state(props) {
+			return { name: props.name.toUpperCase() };
+		},
+		render() {
+			return h('p', {}, [`${this.props.greeting}, ${this.state.name}`]);
+		},
+		onMounted,
+	});
+
+	const html = renderToString(Greeting, { greeting: 'Hello', name: 'ann' });
+
+	expect(html).toBe('<p>Hello, ANN</p>');
+	expect(onMounted).not.toHaveBeenCalled();
+});
+
+test('render nested components, slots and provided values', () => {
+	const Title = defineComponent({
+		render() {
+			return h('h1', { class: this.inject('theme') }, [hSlot()]);
+		},
+	});
+	const Page = defineComponent({
+		render() {
+			this.provide('theme', 'dark');
+			return h('main', {}, [h(Title, {}, ['Welcome']), h('p', {}, ['Body'])]);
+		},
+	});
+
+	expect(renderToString(h(Page))).toBe(
+		'<main><h1 class="dark">Welcome</h1><p>Body</p></main>'
+	);
+});
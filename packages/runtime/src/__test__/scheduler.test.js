@@ -0,0 +1,148 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { defineComponent } from '../component';
+import { h } from '../h';
+import { mountDOM } from '../mount-dom';
+import { nextTick } from '../scheduler';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+const Counter = defineComponent({
+	state() {
+		return { count: 0 };
+	},
+	render() {
+		return h('p', {}, [`${this.state.count}`]);
+	},
+});
+
+test('the DOM is updated after the next tick', async () => {
+	const vdom = h(Counter);
+	mountDOM(vdom, document.body);
+
+	vdom.component.updateState({ count: 1 });
+	expect(document.body.innerHTML).toBe('<p>0</p>');
+
+	await nextTick();
+	expect(document.body.innerHTML).toBe('<p>1</p>');
+});
+
+test('several state updates result in a single render', async () => {
+	const vdom = h(Counter);
+	mountDOM(vdom, document.body);
+	const renderSpy = vi.spyOn(vdom.component, 'render');
+
+	vdom.component.updateState({ count: 1 });
+	vdom.component.updateState({ count: 2 });
+	vdom.component.updateState({ count: 3 });
+	await nextTick();
+
+	expect(renderSpy).toHaveBeenCalledTimes(1);
+	expect(document.body.innerHTML).toBe('<p>3</p>');
+});
+
+test('parents are re-rendered before their children', async () => {
+	const log = [];
+	let child = null;
+	const Child = defineComponent({
+		onMounted() {
+			child = this;
+		},
+		state() {
+			return { value: 'a' };
+		},
+		render() {
+			log.push('child');
+			return h('span', {}, [this.state.value]);
+		},
+	});
+	const Parent = defineComponent({
+		state() {
+			return { value: 'a' };
+		},
+		render() {
+			log.push('parent');
+			return h('div', {}, [this.state.value, h(Child)]);
+		},
+	});
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+	await nextTick();
+	const parent = vdom.component;
+
+	log.length = 0;
+	child.updateState({ value: 'b' });
+	parent.updateState({ value: 'b' });
+	await nextTick();
+
+	expect(log[0]).toBe('parent');
+	expect(document.body.innerHTML).toBe('<div>b<span>b</span></div>');
+});
+
+test('updates of unmounted components are dropped', async () => {
+	const vdom = h(Counter);
+	mountDOM(vdom, document.body);
+	const component = vdom.component;
+
+	component.updateState({ count: 1 });
+	component.unmount();
+
+	await expect(nextTick()).resolves.toBeUndefined();
+	expect(document.body.innerHTML).toBe('');
+});
+
+test('updates enqueued by an async handler are flushed', async () => {
+	const Async = defineComponent({
+		state() {
+			return { loading: false, data: null };
+		},
+		render() {
+			return h('p', {}, [this.state.loading ? 'loading' : `${this.state.data}`]);
+		},
+		async load() {
+			this.updateState({ loading: true });
+			const data = await Promise.resolve(42);
+			this.updateState({ loading: false, data });
+		},
+	});
+
+	const vdom = h(Async);
+	mountDOM(vdom, document.body);
+
+	await vdom.component.load();
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<p>42</p>');
+});
+
+test('an update enqueuing itself forever is stopped and reported', async () => {
+	const consoleSpy = vi.spyOn(console, 'error').mockImplementation(() => {});
+	const Looping = defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		render() {
+			this.updateState({ count: this.state.count + 1 });
+			return h('p', {}, [`${this.state.count}`]);
+		},
+	});
+
+	mountDOM(h(Looping), document.body);
+	await nextTick();
+
+	expect(consoleSpy).toHaveBeenCalledTimes(1);
+	expect(consoleSpy).toHaveBeenCalledWith(
+		expect.stringMatching(/maximum recursive updates exceeded/)
+	);
+	consoleSpy.mockRestore();
+
+	document.body.innerHTML = '';
+	const vdom = h(Counter);
+	mountDOM(vdom, document.body);
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<p>1</p>');
+});
@@ -0,0 +1,196 @@
+import { afterEach, expect, test } from 'vitest';
+import { defineComponent } from '../component';
+import { h, hFragment, hSlot } from '../h';
+import { mountDOM } from '../mount-dom';
+import { nextTick } from '../scheduler';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+});
+
+const Card = defineComponent({
+	render() {
+		return h('div', { class: 'card' }, [
+			h('header', {}, [hSlot('header', ['Untitled'])]),
+			h('section', {}, [hSlot()]),
+		]);
+	},
+});
+
+test('the children are rendered in the default slot', () => {
+	mountDOM(h(Card, {}, [h('p', {}, ['hello']), 'world']), document.body);
+
+	expect(document.body.innerHTML).toBe(
+		'<div class="card"><header>Untitled</header><section><p>hello</p>world</section></div>'
+	);
+});
+
+test('the children with a slot prop are rendered in the named slot', () => {
+	mountDOM(
+		h(Card, {}, [h('h2', { slot: 'header' }, ['Title']), 'Body']),
+		document.body
+	);
+
+	expect(document.body.innerHTML).toBe(
+		'<div class="card"><header><h2>Title</h2></header><section>Body</section></div>'
+	);
+});
+
+test('the default content is rendered when the slot is empty', () => {
+	const Button = defineComponent({
+		render() {
+			return h('button', {}, [hSlot(['Click me'])]);
+		},
+	});
+
+	mountDOM(hFragment([h(Button), h(Button, {}, ['Submit'])]), document.body);
+
+	expect(document.body.innerHTML).toBe(
+		'<button>Click me</button><button>Submit</button>'
+	);
+});
+
+test('a slot can be the top-level node of a component', () => {
+	const Wrapper = defineComponent({
+		render() {
+			return hSlot();
+		},
+	});
+
+	const vdom = h(Wrapper, {}, [h('span', {}, ['a']), h('span', {}, ['b'])]);
+	mountDOM(vdom, document.body);
+
+	expect(document.body.innerHTML).toBe('<span>a</span><span>b</span>');
+	expect(vdom.component.elements).toHaveLength(2);
+});
+
+test('the slot content is kept when the component re-renders', async () => {
+	const Counter = defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		render() {
+			return h('div', {}, [hSlot(), `${this.state.count}`]);
+		},
+	});
+
+	const vdom = h(Counter, {}, ['Count: ']);
+	mountDOM(vdom, document.body);
+
+	vdom.component.updateState({ count: 1 });
+	await nextTick();
+	vdom.component.updateState({ count: 2 });
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe('<div>Count: 2</div>');
+});
+
+test('the slot content is updated when the parent re-renders', async () => {
+	const Parent = defineComponent({
+		state() {
+			return { title: 'First' };
+		},
+		render() {
+			return h(Card, {}, [
+				h('h2', { slot: 'header' }, [this.state.title]),
+				'Body',
+			]);
+		},
+	});
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+
+	vdom.component.updateState({ title: 'Second' });
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe(
+		'<div class="card"><header><h2>Second</h2></header><section>Body</section></div>'
+	);
+});
+
+test('a component can forward its content to a child slot', () => {
+	const Panel = defineComponent({
+		render() {
+			return h(Card, {}, [h('h2', { slot: 'header' }, ['Panel']), hSlot()]);
+		},
+	});
+
+	mountDOM(h(Panel, {}, ['Forwarded']), document.body);
+
+	expect(document.body.innerHTML).toBe(
+		'<div class="card"><header><h2>Panel</h2></header><section>Forwarded</section></div>'
+	);
+});
+
+test('the event handlers of the slot content are bound to the component passing it', async () => {
+	const Panel = defineComponent({
+		render() {
+			return h(Card, {}, [hSlot()]);
+		},
+	});
+	const Parent = defineComponent({
+		state() {
+			return { count: 0 };
+		},
+		render() {
+			return h(Panel, {}, [
+				h(
+					'button',
+					{
+						on: {
+							click() {
+								this.updateState({ count: this.state.count + 1 });
+							},
+						},
+					},
+					[`${this.state.count}`]
+				),
+			]);
+		},
+	});
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+
+	document.querySelector('button').click();
+	await nextTick();
+	document.querySelector('button').click();
+	await nextTick();
+
+	expect(vdom.component.state.count).toBe(2);
+	expect(document.querySelector('button').textContent).toBe('2');
+});
+
+test('the event handlers of a slotted component are bound to the component passing it', async () => {
+	const Button = defineComponent({
+		render() {
+			return h('button', { on: { click: () => this.emit('press') } });
+		},
+	});
+	const Parent = defineComponent({
+		state() {
+			return { presses: 0 };
+		},
+		render() {
+			return h(Card, {}, [
+				h(Button, {
+					on: {
+						press() {
+							this.updateState({ presses: this.state.presses + 1 });
+						},
+					},
+				}),
+			]);
+		},
+	});
+
+	const vdom = h(Parent);
+	mountDOM(vdom, document.body);
+
+	document.querySelector('button').click();
+	await nextTick();
+	document.querySelector('button').click();
+
+	expect(vdom.component.state.presses).toBe(2);
+});
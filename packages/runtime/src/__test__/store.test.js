@@ -0,0 +1,127 @@
+import { afterEach, expect, test, vi } from 'vitest';
+import { createApp } from '../app';
+import { defineComponent } from '../component';
+import { h } from '../h';
+import { nextTick } from '../scheduler';
+import { createStore } from '../store';
+
+afterEach(() => {
+	document.body.innerHTML = '';
+	vi.restoreAllMocks();
+});
+
+function createTodoStore() {
+	return createStore({
+		state: { todos: [], filter: 'all' },
+		reducers: {
+			add: (state, text) => ({ ...state, todos: [...state.todos, text] }),
+			filter: (state, filter) => ({ ...state, filter }),
+			noop: (state) => state,
+		},
+	});
+}
+
+test('the reducers compute the new state from the commands', () => {
+	const store = createTodoStore();
+
+	store.dispatch('add', 'Walk the dog');
+	store.dispatch('filter', 'done');
+
+	expect(store.state).toEqual({ todos: ['Walk the dog'], filter: 'done' });
+});
+
+test('the listeners are notified only when the state changes', () => {
+	const store = createTodoStore();
+	const listener = vi.fn();
+	const unsubscribe = store.subscribe(listener);
+
+	store.dispatch('noop');
+	store.dispatch('add', 'Walk the dog');
+	unsubscribe();
+	store.dispatch('add', 'Feed the cat');
+
+	expect(listener).toHaveBeenCalledTimes(1);
+	expect(listener).toHaveBeenCalledWith(expect.objectContaining({ filter: 'all' }));
+});
+
+test('the components re-render only when their selected slice changes', async () => {
+	const store = createTodoStore();
+	const renderList = vi.fn();
+	const renderFilter = vi.fn();
+	const TodoList = defineComponent({
+		render() {
+			renderList();
+			const todos = this.select((state) => state.todos);
+			return h('ul', {}, todos.map((todo) => h('li', {}, [todo])));
+		},
+	});
+	const Filter = defineComponent({
+		render() {
+			renderFilter();
+			return h('p', {}, [this.select((state) => state.filter)]);
+		},
+	});
+	const App = defineComponent({
+		render() {
+			return h('div', {}, [h(TodoList), h(Filter)]);
+		},
+	});
+	createApp(App).use(store).mount(document.body);
+
+	store.dispatch('add', 'Walk the dog');
+	await nextTick();
+
+	expect(document.body.innerHTML).toBe(
+		'<div><ul><li>Walk the dog</li></ul><p>all</p></div>'
+	);
+	expect(renderList).toHaveBeenCalledTimes(2);
+	expect(renderFilter).toHaveBeenCalledTimes(1);
+});
+
+test('the components dispatch commands to the store', async () => {
+	const store = createTodoStore();
+	const AddButton = defineComponent({
+		render() {
+			return h('button', { on: { click: () => this.dispatch('add', 'New') } }, [
+				`${this.select((state) => state.todos.length)} todos`,
+			]);
+		},
+	});
+	createApp(AddButton).use(store).mount(document.body);
+
+	document.querySelector('button').click();
+	await nextTick();
+
+	expect(store.state.todos).toEqual(['New']);
+	expect(document.body.innerHTML).toBe('<button>1 todos</button>');
+});
+
+test('the unmounted components stop listening to the store', async () => {
+	const store = createTodoStore();
+	const listener = vi.spyOn(store, 'subscribe');
+	const Filter = defineComponent({
+		render() {
+			return h('p', {}, [this.select((state) => state.filter)]);
+		},
+	});
+	const app = createApp(Filter).use(store);
+	app.mount(document.body);
+	const unsubscribe = listener.mock.results[0].value;
+
+	app.unmount();
+
+	expect(unsubscribe()).toBe(false);
+});
+
+test('using the store without installing it throws', () => {
+	const Filter = defineComponent({
+		name: 'Filter',
+		render() {
+			return h('p', {}, [this.select((state) => state.filter)]);
+		},
+	});
+
+	expect(() => createApp(Filter).mount(document.body)).toThrow(
+		/Filter uses the store/
+	);
+});
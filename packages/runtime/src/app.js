@@ -1,13 +1,48 @@
 import { mountDOM } from './mount-dom';
 import { destroyDOM } from './destroy-dom';
+import { EventDelegator } from './event-delegation';
 import { h } from './h';
+import { hydrateDOM, removeExtraNodes } from './hydrate-dom';
+import { createProvides, provideValue } from './provide-inject';
 
 /**
  * @typedef Application
  * @type {object}
  *
  * @property {(parentEl: HTMLElement) => void} mount - Mounts the application into the DOM.
+ * @property {(parentEl: HTMLElement) => void} hydrate - Mounts the application on the server-rendered DOM inside the element.
  * @property {function} unmount - Unmounts the application from the DOM.
+ * @property {(key: (string|symbol), value: any) => Application} provide - Provides a value to all the application's components.
+ * @property {(plugin: Plugin, ...options: any[]) => Application} use - Installs a plugin in the application.
+ */
+
+/**
+ * A plugin adds application-level features, like a router, usually by providing
+ * values to the application's components.
+ *
+ * @typedef Plugin
+ * @type {object}
+ *
+ * @property {(app: Application, ...options: any[]) => void} install - Installs the plugin in the application.
+ */
+
+/**
+ * The context shared by all the components of an application.
+ *
+ * @typedef AppContext
+ * @type {object}
+ *
+ * @property {import('./provide-inject').Provides} provides - The values provided at the application level.
+ * @property {((error: any, info: import('./errors').ErrorInfo) => void)|null} errorHandler - The handler of the errors no component handled.
+ * @property {import('./event-delegation').EventDelegator|null} eventDelegator - The handler of the elements' events, when they're delegated.
+ */
+
+/**
+ * @typedef AppOptions
+ * @type {object}
+ *
+ * @property {(error: any, info: import('./errors').ErrorInfo) => void} [onError] - The handler of the errors no error boundary handled.
+ * @property {boolean} [delegateEvents=false] - Whether to handle the elements' events with a listener per event type on the element the application is mounted in, instead of a listener per element.
  */
 
 /**
@@ -17,15 +52,38 @@ import { h } from './h';
  *
  * @param {import('./component').Component} RootComponent the top-level component of the application's view tree
  * @param {Object.<string, Any>} props the top-level component's props
+ * @param {AppOptions} [options] the application options
  *
  * @returns {Application} the app object
  */
-export function createApp(RootComponent, props = {}) {
+export function createApp(RootComponent, props = {}, options = {}) {
 	let parentEl = null;
 	let isMounted = false;
 	let vdom = null;
 
+	/**
+	 * @type {AppContext}
+	 */
+	const context = {
+		provides: createProvides(),
+		errorHandler: options.onError ?? null,
+		eventDelegator: null,
+	};
+
+	function createRootVdom() {
+		if (options.delegateEvents) {
+			context.eventDelegator = new EventDelegator(parentEl);
+		}
+
+		const rootVdom = h(RootComponent, props);
+		rootVdom.appContext = context;
+
+		return rootVdom;
+	}
+
 	function reset() {
+		context.eventDelegator?.destroy();
+		context.eventDelegator = null;
 		parentEl = null;
 		isMounted = false;
 		vdom = null;
@@ -38,12 +96,31 @@ export function createApp(RootComponent, props = {}) {
 			}
 
 			parentEl = _parentEl;
-			vdom = h(RootComponent, props);
+			vdom = createRootVdom();
 			mountDOM(vdom, parentEl);
 
 			isMounted = true;
 		},
 
+		/**
+		 * Mounts the application on the HTML rendered by `renderToString()` inside the
+		 * given element, reusing its DOM nodes instead of re-creating them.
+		 *
+		 * @param {HTMLElement} _parentEl the element containing the server-rendered HTML
+		 */
+		hydrate(_parentEl) {
+			if (isMounted) {
+				throw new Error('The application is already mounted');
+			}
+
+			parentEl = _parentEl;
+			vdom = createRootVdom();
+			const nextNode = hydrateDOM(vdom, parentEl);
+			removeExtraNodes(parentEl, nextNode);
+
+			isMounted = true;
+		},
+
 		unmount() {
 			if (!isMounted) {
 				throw new Error('The application is not mounted');
@@ -52,5 +129,32 @@ export function createApp(RootComponent, props = {}) {
 			destroyDOM(vdom);
 			reset();
 		},
+
+		/**
+		 * Provides a value that any component of the application can inject.
+		 * It can be called before or after mounting the application: providing a
+		 * new value re-renders the components that injected the key.
+		 *
+		 * @param {string|symbol} key the key to provide the value under
+		 * @param {any} value the value to provide
+		 * @returns {Application} the app object, for chaining
+		 */
+		provide(key, value) {
+			provideValue(context.provides, key, value);
+			return this;
+		},
+
+		/**
+		 * Installs a plugin, calling its `install()` method with the app object and
+		 * the given options.
+		 *
+		 * @param {Plugin} plugin the plugin to install
+		 * @param {...any} options the options passed to the plugin
+		 * @returns {Application} the app object, for chaining
+		 */
+		use(plugin, ...options) {
+			plugin.install(this, ...options);
+			return this;
+		},
 	};
 }
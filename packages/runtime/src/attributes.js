@@ -1,3 +1,6 @@
+import { attributeNamespace, HTML_NAMESPACE } from './namespaces';
+import { hasOwnProperty } from './utils/objects';
+
 /**
  * Sets the attributes of an element.
  *
@@ -22,9 +25,7 @@ export function setAttributes(el, attrs) {
 		});
 	}
 
-	for (const [name, value] of Object.entries(otherAttrs)) {
-		setAttribute(el, name, value);
-	}
+	setAttributesInOrder(el, otherAttrs);
 }
 
 /**
@@ -49,10 +50,9 @@ function setClass(el, className) {
 	// 		class: 'foo, bar, baz',
 	// 	},
 	// };
-	el.className = '';
-
+	// The className of the SVG elements is read-only, so the attribute is set.
 	if (typeof className === 'string') {
-		el.className = className;
+		el.setAttribute('class', className);
 	}
 
 	// div.classList.add('foo', 'bar', 'baz') -> <div class="foo bar baz"></div>
@@ -61,37 +61,202 @@ function setClass(el, className) {
 	}
 }
 
+/**
+ * The props that are set as JS properties on the element, but whose attribute
+ * has a different name.
+ */
+export const PROPERTY_TO_ATTRIBUTE = {
+	className: 'class',
+	htmlFor: 'for',
+	tabIndex: 'tabindex',
+	readOnly: 'readonly',
+	maxLength: 'maxlength',
+	minLength: 'minlength',
+	colSpan: 'colspan',
+	rowSpan: 'rowspan',
+	contentEditable: 'contenteditable',
+};
+
+/**
+ * The attributes set with `setAttribute()` even when the element has a property
+ * of the same name: their property is read-only (`form`, `list`), or isn't
+ * implemented by all the browsers (`role`).
+ */
+const ATTRIBUTE_ONLY_NAMES = new Set(['role', 'form', 'list']);
+
+/**
+ * The properties holding the current state of a form control or media element,
+ * which its attribute only initializes, and the value they're reset to when the
+ * prop is removed. `innerHTML` and `textContent` have no attribute at all.
+ */
+const LIVE_PROPERTIES = {
+	value: '',
+	checked: false,
+	selected: false,
+	indeterminate: false,
+	muted: false,
+	innerHTML: '',
+	textContent: '',
+};
+
+/**
+ * The attributes that other attributes depend on, set first: the value of an
+ * `<input>` is sanitized according to its type.
+ */
+const FIRST_ATTRIBUTES = ['type'];
+
+/**
+ * The attributes set last, once the others (like `min`, `max` or `multiple`) are
+ * set: the value of an input would be clamped to the default range otherwise.
+ */
+const LAST_ATTRIBUTES = ['value', 'checked', 'selected'];
+
+/**
+ * Sets the attributes on the element, in the order they need to be set: `type`
+ * first, and `value`, `checked` and `selected` last.
+ *
+ * @param {Element} el The element to add the attributes to
+ * @param {Object} attrs the attributes to set, without the class and style
+ */
+export function setAttributesInOrder(el, attrs) {
+	const names = Object.keys(attrs).sort(
+		(nameOne, nameTwo) => attributeRank(nameOne) - attributeRank(nameTwo)
+	);
+
+	for (const name of names) {
+		setAttribute(el, name, attrs[name]);
+	}
+}
+
+function attributeRank(name) {
+	if (FIRST_ATTRIBUTES.includes(name)) {
+		return -1;
+	}
+
+	return LAST_ATTRIBUTES.includes(name) ? 1 : 0;
+}
+
 /**
  * Sets the attribute on the element.
  *
+ * Whether the attribute is set with the element's JS property or with
+ * `setAttribute()` is decided by `isSetAsProperty()`. When set as an attribute,
+ * a boolean attribute is present for `true` and removed for `false`, except for
+ * the `aria-*` attributes, whose `true` and `false` values are strings. The
+ * prefixed attributes, like `xlink:href`, are set with `setAttributeNS()`.
+ *
  * @param {HTMLElement} el The element to add the attribute to
  * @param {String} name The name of the attribute
- * @param {(String|Number|Null)} value The value of the attribute
+ * @param {(String|Number|Boolean|Null)} value The value of the attribute
  */
 export function setAttribute(el, name, value) {
 	if (value == null) {
 		removeAttribute(el, name);
-	} else if (name.startsWith('data-')) {
-		// If the attribute is the data-* custom data attributes
-		// https://developer.mozilla.org/en-US/docs/Web/API/Element/setAttribute
-		el.setAttribute(name, value);
-	} else {
-		// Other attributes like 'ariaXXX', 'id', 'innerHTML' ... can be set using JS object notation.
+		return;
+	}
+
+	if (isSetAsProperty(el, name)) {
 		el[name] = value;
+		return;
+	}
+
+	const attrValue = toAttributeValue(name, value);
+	if (attrValue == null) {
+		removeAttribute(el, name);
+		return;
+	}
+
+	const namespace = attributeNamespace(name);
+	if (namespace) {
+		el.setAttributeNS(namespace, name, attrValue);
+	} else {
+		el.setAttribute(name, attrValue);
 	}
 }
 
 /**
  * Removes the attribute from the element.
  *
+ * The live properties, like `value` or `checked`, are reset to their empty value.
+ * The other properties reflect their attribute, so removing it resets them.
+ *
  * @param {Element} el the element where the attribute is set
  * @param {String} name name of the attribute
  */
 export function removeAttribute(el, name) {
-	el[name] = null;
-	// The Element method removeAttribute() removes the attribute
-	// with the specified name from the element.
-	el.removeAttribute(name);
+	if (isSetAsProperty(el, name) && hasOwnProperty(LIVE_PROPERTIES, name)) {
+		el[name] = LIVE_PROPERTIES[name];
+	}
+
+	const namespace = attributeNamespace(name);
+	if (namespace) {
+		el.removeAttributeNS(namespace, name.slice(name.indexOf(':') + 1));
+	} else {
+		// The Element method removeAttribute() removes the attribute
+		// with the specified name from the element.
+		el.removeAttribute(PROPERTY_TO_ATTRIBUTE[name] ?? name);
+	}
+}
+
+/**
+ * Returns the string an attribute is set to, or `null` if the attribute isn't
+ * present: `true` is an empty attribute and `false` an absent one, except for
+ * the `aria-*` attributes, which are set to `"true"` or `"false"`.
+ *
+ * @param {String} name the name of the attribute
+ * @param {any} value the value of the prop
+ * @returns {string|null} the attribute's value
+ */
+export function toAttributeValue(name, value) {
+	if (value == null) {
+		return null;
+	}
+
+	if (typeof value === 'boolean' && !name.startsWith('aria-')) {
+		return value ? '' : null;
+	}
+
+	return String(value);
+}
+
+/**
+ * Decides if an attribute is set with the element's JS property of the same
+ * name, or with `setAttribute()`:
+ *
+ * | Attribute                                     | Element        | Set with         |
+ * | --------------------------------------------- | -------------- | ---------------- |
+ * | `data-*`, `aria-*`, `role`, `form`, `list`    | any            | `setAttribute()` |
+ * | prefixed, like `xlink:href`                   | any            | `setAttribute()` |
+ * | `innerHTML`, `textContent`                    | any            | property         |
+ * | any other                                     | SVG, MathML    | `setAttribute()` |
+ * | with a property, like `value` or `htmlFor`    | HTML, custom   | property         |
+ * | without a property, like `for` or `colspan`   | HTML, custom   | `setAttribute()` |
+ *
+ * The custom elements' properties are used too, so they can receive objects.
+ *
+ * @param {Element} el the element
+ * @param {String} name the name of the attribute
+ * @returns {boolean}
+ */
+function isSetAsProperty(el, name) {
+	if (
+		name.startsWith('data-') ||
+		name.startsWith('aria-') ||
+		name.includes(':') ||
+		ATTRIBUTE_ONLY_NAMES.has(name)
+	) {
+		return false;
+	}
+
+	if (name === 'innerHTML' || name === 'textContent') {
+		return true;
+	}
+
+	if (el.namespaceURI !== HTML_NAMESPACE) {
+		return false;
+	}
+
+	return name in el;
 }
 
 export function setStyle(el, name, value) {
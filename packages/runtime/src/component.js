@@ -1,9 +1,25 @@
 import { mountDOM } from './mount-dom';
+import { hydrateDOM } from './hydrate-dom';
 import { destroyDOM } from './destroy-dom';
 import { patchDOM } from './patch-dom';
-import { DOM_TYPES, extractChildren } from './h';
-import { hasOwnProperty } from './utils/objects';
+import { DOM_TYPES, extractChildren, hString } from './h';
+import { objectsDiff, shallowEqual } from './utils/objects';
 import { Dispatcher } from './dispatcher';
+import { fillSlots } from './slots';
+import { cancelUpdate, enqueueJob, enqueueUpdate } from './scheduler';
+import { createProvides, findProvision, provideValue } from './provide-inject';
+import { handleAsyncError, handleError } from './errors';
+import { STORE_KEY } from './store';
+import { ComputedValue } from './computed';
+import { Watcher } from './watch';
+import { reactive, ReactiveEffect } from './reactivity';
+
+const emptyFn = () => {};
+
+/**
+ * The properties set on every component instance.
+ */
+const INSTANCE_PROPERTIES = ['props', 'state', 'refs'];
 
 /**
  * @typedef Component
@@ -11,26 +27,81 @@ import { Dispatcher } from './dispatcher';
  * @property {function} mount - Mounts the component into the DOM.
  * @property {function} unmount - Unmounts the component from the DOM.
  * @property {function} patch - Updates the component's virtual DOM tree and patches the DOM to reflect the changes.
- * @property {function} updateProps - Updates all or part of the component's props.
- * @property {function} updateState - Updates all or part of the component's state and patches the DOM.
+ * @property {function} updateProps - Replaces the component's props and re-renders it if they changed.
+ * @property {function} updateState - Updates all or part of the component's state and schedules a re-render.
+ * @property {function} provide - Provides a value to the component's descendants.
+ * @property {function} inject - Returns the value provided by the closest ancestor.
+ * @property {function} select - Returns a slice of the store's state, re-rendering the component when it changes.
+ * @property {function} dispatch - Dispatches a command to the store.
  */
 
 /**
  * @typedef DefineComponentArgs
  * @type {object}
+ * @property {string} [name] - The component's name, used in the component stack of errors.
  * @property {function} render - The component's render function returning the virtual DOM tree representing the component in its current state.
- * @property {(props: Object?) => Object} state - The component's state function returning the component's initial state.
+ * @property {(props: Object?) => Object} state - The component's state function returning the component's initial state. It's bound to the component, so it can use `this.inject()`.
+ * @property {() => (void|Promise<void>)} [onMounted] - The hook called once the component's DOM has been inserted.
+ * @property {() => (void|Promise<void>)} [onUnmounted] - The hook called once the component's DOM has been removed.
+ * @property {(error: any, info: import('./errors').ErrorInfo) => void} [onError] - The handler of the errors thrown by the component's descendants.
+ * @property {(nextProps: Object, nextState: Object) => boolean} [shouldUpdate] - Decides whether the component re-renders when its props or state change.
+ * @property {Object<string, Function>} [computed] - The component's computed properties, read like `this.fullName`.
+ * @property {Object<string, (Function|import('./watch').WatchOptions)>} [watch] - The watchers of the component's values, by path, like `props.id`.
+ * @property {boolean} [reactive=false] - Whether the state is a reactive proxy, re-rendering the component when it's mutated.
  * @property {Object<string, Function>} methods - The component's methods.
  */
 
 /**
  * Defines a component that can be instantiated and mounted into the DOM.
  *
+ * The `onMounted()` and `onUnmounted()` hooks can be asynchronous. They don't run
+ * synchronously, but are enqueued in the scheduler when the component is mounted
+ * or unmounted, so they run once the whole tree has been inserted into or removed
+ * from the DOM. In a tree of components, the hooks of the children run before
+ * the ones of their parent.
+ *
+ * A component defining `onError()` is an error boundary: the errors thrown by its
+ * descendants' `render()`, lifecycle hooks and event handlers are passed to it. It
+ * can render a fallback UI by updating its state. To pass the error up the tree,
+ * `onError()` can rethrow it. A descendant whose `render()` throws renders nothing
+ * (an empty text node) until the boundary re-renders.
+ *
+ * `shouldUpdate()` is called with the next props and state before the component
+ * re-renders because of new props or `updateState()`, while `this.props` and
+ * `this.state` are still the current ones. Returning `false` skips the render,
+ * but the props and state are still replaced. It isn't called when the slots'
+ * content, an injected value or a selected slice of the store changes.
+ *
+ * The `computed` properties are getters whose value is cached until a value of
+ * the state or props they read changes. The `watch` handlers are called with the
+ * new and old value when the watched value changes after `updateState()` or new
+ * props. The watchers are set up when the component is mounted, and stopped when
+ * it's unmounted.
+ *
+ * With `reactive: true`, the state is a deep reactive proxy: mutating it, like
+ * `this.state.todos[0].done = true`, re-renders the component if its last render
+ * read the mutated value. `updateState()` assigns the given values to the proxy,
+ * and `shouldUpdate()` isn't called. The renders of all the components track the
+ * reactive values they read, so a component rendering a reactive object passed
+ * as a prop re-renders when it's mutated, too.
+ *
  * @param {DefineComponentArgs} definitionArguments
  * @returns {Component}
  */
 
-export function defineComponent({ render, state, ...methods }) {
+export function defineComponent({
+	name = 'Anonymous',
+	render,
+	state,
+	onMounted = emptyFn,
+	onUnmounted = emptyFn,
+	onError = null,
+	shouldUpdate = () => true,
+	computed = {},
+	watch = {},
+	reactive: hasReactiveState = false,
+	...methods
+}) {
 	class Component {
 		#isMounted = false;
 		/**
@@ -39,15 +110,123 @@ export function defineComponent({ render, state, ...methods }) {
 		#vdom = null;
 		#hostEl = null;
 		#eventHandlers = null;
+		/**
+		 * The children of the component's virtual node, inserted in its slots.
+		 * @type {import('./h').VNode[]}
+		 */
+		#externalContent = [];
+		/**
+		 * Whether the slots' content changed since the last render.
+		 */
+		#isContentDirty = false;
 		#parentComponent = null;
+		#appContext = null;
+		#depth = 0;
+		/**
+		 * @type {import('./provide-inject').Provides}
+		 */
+		#provides = null;
+		/**
+		 * The functions notifying the component when an injected value changes, by provision.
+		 * @type {Map<import('./provide-inject').Provision, () => void>}
+		 */
+		#injections = new Map();
 		#dispatcher = new Dispatcher();
-		#subscriptions = [];
+		/**
+		 * The functions un-registering the event handlers from the dispatcher, by event name.
+		 * @type {Map<string, () => void>}
+		 */
+		#subscriptions = new Map();
+		/**
+		 * The slices of the store's state selected in the last render, with their value.
+		 * @type {{ selector: (state: any) => any, value: any }[]}
+		 */
+		#selections = [];
+		#unsubscribeFromStore = null;
+		/**
+		 * @type {ComputedValue[]}
+		 */
+		#computedValues = [];
+		/**
+		 * @type {Watcher[]}
+		 */
+		#watchers = [];
+		/**
+		 * Tracks the reactive values read by the last render.
+		 */
+		#renderEffect = new ReactiveEffect(() => this.#onReactiveChange());
 
-		constructor(props = {}, eventHandler = {}, parentComponent = null) {
+		/**
+		 * @param {Object} [props] the component's props
+		 * @param {Object.<string, Function>} [eventHandler] the handlers of the events the component emits
+		 * @param {Component} [parentComponent] the component rendering this one
+		 * @param {import('./app').AppContext} [appContext] the application context, inherited from the parent by default
+		 */
+		constructor(
+			props = {},
+			eventHandler = {},
+			parentComponent = null,
+			appContext = parentComponent?.appContext ?? null
+		) {
 			this.props = props;
-			this.state = state ? state(props) : {};
+			/**
+			 * The elements and components rendered with a named `ref` prop.
+			 * @type {Object.<string, (Node|Component)>}
+			 */
+			this.refs = {};
 			this.#eventHandlers = eventHandler;
 			this.#parentComponent = parentComponent;
+			this.#depth = parentComponent ? parentComponent.depth + 1 : 0;
+			this.#appContext = appContext;
+			this.#provides = createProvides(
+				parentComponent?.provides ?? appContext?.provides ?? null
+			);
+			// The provides are set up first, so the state function can inject values.
+			const initialState = state ? state.call(this, props) : {};
+			this.state = hasReactiveState ? reactive(initialState) : initialState;
+
+			for (const [propertyName, getter] of Object.entries(computed)) {
+				const computedValue = new ComputedValue(this, getter, () =>
+					this.#onReactiveChange()
+				);
+				this.#computedValues.push(computedValue);
+
+				Object.defineProperty(this, propertyName, {
+					get: () => computedValue.value,
+					enumerable: true,
+				});
+			}
+		}
+
+		get parentComponent() {
+			return this.#parentComponent;
+		}
+
+		/**
+		 * @type {import('./app').AppContext}
+		 */
+		get appContext() {
+			return this.#appContext;
+		}
+
+		/**
+		 * The values provided by the component and, through its prototype chain, its ancestors.
+		 * @type {import('./provide-inject').Provides}
+		 */
+		get provides() {
+			return this.#provides;
+		}
+
+		/**
+		 * The number of ancestors of the component, used by the scheduler to
+		 * re-render parents before their children.
+		 */
+		get depth() {
+			return this.#depth;
+		}
+
+		get isMounted() {
+			return this.#isMounted;
 		}
 
 		get elements() {
@@ -55,8 +234,8 @@ export function defineComponent({ render, state, ...methods }) {
 				return [];
 			}
 
-			// If the vdom top node is a component, returns the elements inside the component
-			if (this.#vdom.type === DOM_TYPES.COMPONENT) {
+			// If the vdom top node is a fragment, returns the elements inside the fragment
+			if (this.#vdom.type === DOM_TYPES.FRAGMENT) {
 				return extractChildren(this.#vdom).flatMap((child) => {
 					if (child.type === DOM_TYPES.COMPONENT) {
 						return child.component.elements;
@@ -66,6 +245,11 @@ export function defineComponent({ render, state, ...methods }) {
 				});
 			}
 
+			// If the vdom top node is a component, returns the elements of that component
+			if (this.#vdom.type === DOM_TYPES.COMPONENT) {
+				return this.#vdom.component.elements;
+			}
+
 			// If the vdom top node is a single node, returns its element
 			return [this.#vdom.el];
 		}
@@ -76,26 +260,239 @@ export function defineComponent({ render, state, ...methods }) {
 
 		get offset() {
 			if (this.#vdom.type === DOM_TYPES.FRAGMENT) {
-				return Array.from(this.#hostEl.children).indexOf(this.firstElement);
+				return Array.from(this.#hostEl.childNodes).indexOf(this.firstElement);
 			}
 
 			return 0;
 		}
 
+		onMounted() {
+			// The promise executor turns a synchronous exception into a rejection.
+			return new Promise((resolve) => resolve(onMounted.call(this)));
+		}
+
+		onUnmounted() {
+			return new Promise((resolve) => resolve(onUnmounted.call(this)));
+		}
+
+		/**
+		 * Returns whether the component needs to re-render with the given props and state.
+		 *
+		 * @param {Object} nextProps the props the component will have
+		 * @param {Object} nextState the state the component will have
+		 * @returns {boolean}
+		 */
+		shouldUpdate(nextProps, nextState) {
+			return shouldUpdate.call(this, nextProps, nextState);
+		}
+
+		/**
+		 * Passes an error thrown by a descendant to the component's `onError()`.
+		 *
+		 * @param {any} error the thrown error
+		 * @param {import('./errors').ErrorInfo} info where the error was thrown
+		 * @returns {boolean} whether the component handled the error
+		 */
+		captureError(error, info) {
+			if (!onError) {
+				return false;
+			}
+
+			onError.call(this, error, info);
+			return true;
+		}
+
+		/**
+		 * Merges the given state into the component's state and schedules a re-render.
+		 * Several updates in a row result in a single re-render, once the DOM is
+		 * in sync again (await `nextTick()` to wait for it).
+		 *
+		 * @param {Object} state the state to merge
+		 */
 		updateState(state) {
-			this.state = { ...this.state, ...state };
-			this.#patch();
+			if (hasReactiveState) {
+				// The mutations schedule the re-render, if the last render read the values.
+				Object.assign(this.state, state);
+				this.#runWatchers();
+				return;
+			}
+
+			const nextState = { ...this.state, ...state };
+			const needsUpdate = this.shouldUpdate(this.props, nextState);
+
+			this.state = nextState;
+			this.#runWatchers();
+			if (needsUpdate) {
+				this.#scheduleUpdate();
+			}
+		}
+
+		/**
+		 * Provides a value to all the component's descendants, which can read it with
+		 * `inject()`. Providing a different value under the same key re-renders the
+		 * descendants that injected it.
+		 *
+		 * @param {string|symbol} key the key to provide the value under
+		 * @param {any} value the value to provide
+		 */
+		provide(key, value) {
+			provideValue(this.#provides, key, value);
+		}
+
+		/**
+		 * Returns the value provided under the given key by the closest ancestor, or the
+		 * application. The component is re-rendered when the provided value changes.
+		 *
+		 * @param {string|symbol} key the key the value is provided under
+		 * @param {any} [defaultValue] the value returned if no ancestor provides the key
+		 * @returns {any} the provided value
+		 */
+		inject(key, defaultValue) {
+			const provision = findProvision(this.#provides, key);
+
+			if (provision == null) {
+				return defaultValue;
+			}
+
+			if (!this.#injections.has(provision)) {
+				const notify = () => this.#scheduleUpdate();
+				provision.dependents.add(notify);
+				this.#injections.set(provision, notify);
+			}
+
+			return provision.value;
+		}
+
+		/**
+		 * Returns the slice of the store's state computed by the selector. After each
+		 * command, the slices selected in the last render are computed again and the
+		 * component is re-rendered only if one of them changed.
+		 *
+		 * @param {(state: any) => any} selector the function returning the slice of the state
+		 * @returns {any} the slice of the state
+		 */
+		select(selector) {
+			const store = this.#injectStore();
+			const value = selector(store.state);
+			this.#selections.push({ selector, value });
+
+			this.#unsubscribeFromStore ??= store.subscribe((state) => {
+				const hasChanged = this.#selections.some(
+					({ selector, value }) => selector(state) !== value
+				);
+
+				if (hasChanged) {
+					this.#scheduleUpdate();
+				}
+			});
+
+			return value;
+		}
+
+		/**
+		 * Dispatches a command to the store, to be handled by its reducer.
+		 *
+		 * A failing command is passed to the error boundaries, like the errors of
+		 * the event handlers, so the returned promise never rejects and doesn't
+		 * need to be awaited.
+		 *
+		 * @param {string} commandName the name of the command
+		 * @param {any} [payload] the payload of the command
+		 * @returns {Promise<void>} a promise settling when the command is handled
+		 */
+		dispatch(commandName, payload) {
+			return this.#injectStore()
+				.dispatch(commandName, payload)
+				.catch((error) => handleAsyncError(error, this, 'event handler'));
+		}
+
+		#injectStore() {
+			const store = this.inject(STORE_KEY);
+
+			if (store == null) {
+				throw new Error(
+					`The component ${name} uses the store, but no store was installed with app.use(store)`
+				);
+			}
+
+			return store;
 		}
 
+		/**
+		 * Replaces the component's props and re-renders it synchronously, so it's patched
+		 * along with its parent. The props missing in the new props are removed.
+		 *
+		 * If the props are shallowly equal to the current ones and the slots' content
+		 * didn't change, the component isn't re-rendered. Otherwise, unless the slots'
+		 * content changed, `shouldUpdate()` decides.
+		 *
+		 * @param {Object} props the new props
+		 */
 		updateProps(props) {
-			this.props = { ...this.props, ...props };
-			this.#patch;
+			if (!this.#isContentDirty && shallowEqual(this.props, props)) {
+				return;
+			}
+
+			const needsUpdate =
+				this.#isContentDirty || this.shouldUpdate(props, this.state);
+
+			this.props = { ...props };
+			this.#runWatchers();
+			if (needsUpdate) {
+				this.#patch();
+			}
+		}
+
+		/**
+		 * Sets the content to insert in the component's slots. The content is used
+		 * the next time the component renders.
+		 *
+		 * @param {import('./h').VNode[]} children the children of the component's virtual node
+		 */
+		setExternalContent(children) {
+			// Virtual nodes can't be compared cheaply, so any content is considered new.
+			this.#isContentDirty =
+				this.#externalContent.length > 0 || children.length > 0;
+			this.#externalContent = children;
+		}
+
+		/**
+		 * Replaces the handlers of the events emitted by the component.
+		 *
+		 * The handlers are looked up when the event is emitted, so replacing the
+		 * handler of an event doesn't require to subscribe to the dispatcher again,
+		 * only the added and removed events do.
+		 *
+		 * @param {Object.<string, Function>} eventHandlers the new event handlers
+		 */
+		updateEventHandlers(eventHandlers) {
+			const { added, removed } = objectsDiff(
+				this.#eventHandlers,
+				eventHandlers
+			);
+			this.#eventHandlers = eventHandlers;
+
+			if (!this.#isMounted) {
+				return;
+			}
+
+			for (const eventName of removed) {
+				this.#subscriptions.get(eventName)();
+				this.#subscriptions.delete(eventName);
+			}
+
+			for (const eventName of added) {
+				this.#wireEventHandler(eventName);
+			}
 		}
 
 		render() {
 			// Since the render function is passed from outside, it needs to be bound to the component
 			// to have access to this.state and other component variables.
-			return render.call(this);
+			this.#selections = [];
+			const vdom = this.#renderEffect.run(() => render.call(this));
+
+			return fillSlots(vdom, this.#externalContent, this);
 		}
 
 		mount(hostEl, index = null) {
@@ -103,24 +500,59 @@ export function defineComponent({ render, state, ...methods }) {
 				throw new Error('Component is already mounted!');
 			}
 
-			this.#vdom = this.render();
+			this.#vdom = this.#renderSafely();
 			mountDOM(this.#vdom, hostEl, index, this);
+			this.#finishMount(hostEl);
+		}
+
+		/**
+		 * Mounts the component on the DOM nodes rendered by the server, starting at
+		 * `startNode`, instead of creating them.
+		 *
+		 * @param {Element} hostEl the element containing the server-rendered nodes
+		 * @param {ChildNode|null} startNode the first DOM node of the component
+		 * @returns {ChildNode|null} the DOM node following the component's nodes
+		 */
+		hydrate(hostEl, startNode) {
+			if (this.#isMounted) {
+				throw new Error('Component is already mounted!');
+			}
+
+			this.#vdom = this.#renderSafely();
+			const nextNode = hydrateDOM(this.#vdom, hostEl, startNode, this);
+			this.#finishMount(hostEl);
+
+			return nextNode;
+		}
+
+		#finishMount(hostEl) {
 			this.#wireEventHandlers();
 
 			this.#hostEl = hostEl;
 			this.#isMounted = true;
+			this.#watchers = Object.entries(watch).map(
+				([path, options]) => new Watcher(this, path, options)
+			);
+
+			// The children components are mounted before this one finishes mounting,
+			// so their hooks are enqueued (and run) first.
+			enqueueJob(() =>
+				this.onMounted().catch((error) =>
+					handleError(error, this, 'onMounted')
+				)
+			);
 		}
 
 		#wireEventHandlers() {
-			this.#subscriptions = Object.entries(this.#eventHandlers).map(
-				([eventName, handler]) => {
-					this.#wireEventHandler(eventName, handler);
-				}
-			);
+			for (const eventName of Object.keys(this.#eventHandlers)) {
+				this.#wireEventHandler(eventName);
+			}
 		}
 
-		#wireEventHandler(eventName, handler) {
-			return this.#dispatcher.subscribe(eventName, (payload) => {
+		#wireEventHandler(eventName) {
+			const unsubscribe = this.#dispatcher.subscribe(eventName, (payload) => {
+				const handler = this.#eventHandlers[eventName];
+
 				if (this.#parentComponent) {
 					// If there is a parent component, binds the event handler's context to it and calls it
 					// You need to bind the event handler's context to the parent component instance because
@@ -130,29 +562,97 @@ export function defineComponent({ render, state, ...methods }) {
 					handler(payload);
 				}
 			});
+
+			this.#subscriptions.set(eventName, unsubscribe);
 		}
 
 		unmount() {
 			if (!this.#isMounted) {
 				throw new Error('Component is not mounted yet!');
 			}
-			destroyDOM(this.#vdom);
+			destroyDOM(this.#vdom, this);
 			this.#subscriptions.forEach((unsubscribe) => unsubscribe());
 
 			this.#vdom = null;
 			this.#hostEl = null;
-			this.mountDOM = false;
-			this.#subscriptions = [];
+			this.#isMounted = false;
+			this.#subscriptions.clear();
+			this.#injections.forEach((notify, provision) =>
+				provision.dependents.delete(notify)
+			);
+			this.#injections.clear();
+			this.#unsubscribeFromStore?.();
+			this.#unsubscribeFromStore = null;
+			this.#selections = [];
+			this.#watchers = [];
+			this.#computedValues.forEach((computedValue) => computedValue.reset());
+			this.#renderEffect.stop();
+			cancelUpdate(this);
+
+			enqueueJob(() =>
+				this.onUnmounted().catch((error) =>
+					handleError(error, this, 'onUnmounted')
+				)
+			);
 		}
 
 		/**
 		 * Emits an event to the parent component.
 		 *
+		 * The errors of the parent's event handler, thrown or rejected, are passed
+		 * to the error boundaries like the errors of the elements' event handlers,
+		 * so the returned promise never rejects and doesn't need to be awaited.
+		 *
 		 * @param {string} eventName The name of the event to emit
 		 * @param {Any} [payload] The payload to pass to the event handler
+		 * @returns {Promise<void>} a promise settling when the (async) event handler finishes
 		 */
 		emit(eventName, payload) {
-			this.#dispatcher.dispatch(eventName, payload);
+			return this.#dispatcher
+				.dispatch(eventName, payload)
+				.catch((error) =>
+					handleAsyncError(
+						error,
+						this.#parentComponent ?? this,
+						'event handler'
+					)
+				);
+		}
+
+		/**
+		 * Renders the component, passing the error to the boundaries if it throws.
+		 * The failed render results in an empty text node, so the component still
+		 * has a node in the DOM.
+		 *
+		 * @returns {import('./h').VNode}
+		 */
+		#renderSafely() {
+			try {
+				return this.render();
+			} catch (error) {
+				handleError(error, this, 'render');
+				return hString('');
+			}
+		}
+
+		#onReactiveChange() {
+			this.#runWatchers();
+			this.#scheduleUpdate();
+		}
+
+		#runWatchers() {
+			for (const watcher of this.#watchers) {
+				watcher.check();
+			}
+		}
+
+		#scheduleUpdate() {
+			enqueueUpdate(this, () => {
+				// The component might have been unmounted while waiting for the update.
+				if (this.#isMounted) {
+					this.#patch();
+				}
+			});
 		}
 
 		#patch() {
@@ -160,21 +660,47 @@ export function defineComponent({ render, state, ...methods }) {
 				throw new Error('Component is not mounted!');
 			}
 
-			const vdom = this.render();
+			// The component is brought up to date, so a pending update is no longer needed.
+			cancelUpdate(this);
+			this.#isContentDirty = false;
+
+			let vdom = null;
+			try {
+				vdom = this.render();
+			} catch (error) {
+				// The DOM is left as it was, until a boundary re-renders it.
+				handleError(error, this, 'render');
+				return;
+			}
+
 			// To use the component's offset here, the component instance "this" is needed to be passed
 			this.#vdom = patchDOM(this.#vdom, vdom, this.#hostEl, this);
 		}
 	}
 
+	// The name shows up in the component stack of the errors.
+	Object.defineProperty(Component, 'name', { value: name });
+
 	for (const methodName in methods) {
-		if (hasOwnProperty(Component, methodName)) {
+		if (methodName in Component.prototype) {
 			throw new Error(
-				`Method "${methodName}()" already exists in the component.`
+				`Method "${methodName}()" of the ${name} component would replace the component's own "${methodName}" member, it needs another name.`
 			);
 		}
 
 		Component.prototype[methodName] = methods[methodName];
 	}
 
+	for (const propertyName in computed) {
+		if (
+			propertyName in Component.prototype ||
+			INSTANCE_PROPERTIES.includes(propertyName)
+		) {
+			throw new Error(
+				`Computed property "${propertyName}" already exists in the component.`
+			);
+		}
+	}
+
 	return Component;
 }
@@ -0,0 +1,144 @@
+import { RAW, ReactiveEffect, toRaw } from './reactivity';
+
+/**
+ * A value of the component's state or props read by a computed property.
+ *
+ * @typedef Dependency
+ * @type {object}
+ * @property {'state'|'props'} source - Where the value was read.
+ * @property {string|null} key - The key of the value, or `null` if the whole object was read (like by spreading it).
+ * @property {any} value - The value when it was read, unwrapped with `toRaw()`.
+ */
+
+/**
+ * The dependencies collected by the computed property being evaluated, so that
+ * a computed property reading another one depends on its dependencies too.
+ * @type {Dependency[]|null}
+ */
+let activeDependencies = null;
+
+/**
+ * A computed property of a component: a value derived from the component's state
+ * and props, cached until one of the values it read changes.
+ *
+ * The state and props are read through proxies while the getter runs, to know
+ * which values it depends on. The values are compared with `Object.is()`, so
+ * mutating an object of the state in place doesn't invalidate the cache: the
+ * state must be updated with `updateState()`. The reactive values read by the
+ * getter are tracked as well: mutating them clears the cache.
+ */
+export class ComputedValue {
+	#component = null;
+	#getter = null;
+	#value = undefined;
+	/**
+	 * The values read by the last evaluation, `null` if the value isn't cached.
+	 * @type {Dependency[]|null}
+	 */
+	#dependencies = null;
+	/**
+	 * Tracks the reactive values read by the last evaluation.
+	 */
+	#effect = null;
+
+	/**
+	 * @param {import('./component').Component} component the component the property belongs to
+	 * @param {Function} getter the function computing the value, called with the component as `this`
+	 * @param {() => void} [onInvalidate] the function called when a reactive value read by the getter changes
+	 */
+	constructor(component, getter, onInvalidate = () => {}) {
+		this.#component = component;
+		this.#getter = getter;
+		this.#effect = new ReactiveEffect(() => {
+			this.#dependencies = null;
+			onInvalidate();
+		});
+	}
+
+	get value() {
+		if (this.#isStale()) {
+			this.#evaluate();
+		}
+
+		activeDependencies?.push(...this.#dependencies);
+		return this.#value;
+	}
+
+	/**
+	 * Clears the cached value, so it's computed again the next time it's read.
+	 */
+	reset() {
+		this.#value = undefined;
+		this.#dependencies = null;
+		this.#effect.stop();
+	}
+
+	#isStale() {
+		return (
+			this.#dependencies == null ||
+			this.#dependencies.some(
+				({ source, key, value }) =>
+					!Object.is(readDependency(this.#component, source, key), value)
+			)
+		);
+	}
+
+	#evaluate() {
+		const component = this.#component;
+		const { state, props } = component;
+		const outerDependencies = activeDependencies;
+		const dependencies = [];
+
+		activeDependencies = dependencies;
+		// While another computed property of the component is evaluated, the state
+		// and props are its tracking proxies, which record these reads too.
+		component.state = trackReads(state, 'state', dependencies);
+		component.props = trackReads(props, 'props', dependencies);
+
+		try {
+			this.#value = this.#effect.run(() => this.#getter.call(component));
+			this.#dependencies = dependencies;
+		} finally {
+			component.state = state;
+			component.props = props;
+			activeDependencies = outerDependencies;
+		}
+	}
+}
+
+function readDependency(component, source, key) {
+	const object = toRaw(component[source]);
+	return key == null ? object : toRaw(object?.[key]);
+}
+
+function trackReads(object, source, dependencies) {
+	if (object == null) {
+		return object;
+	}
+
+	return new Proxy(object, {
+		get(target, key, receiver) {
+			if (key === RAW) {
+				return toRaw(target);
+			}
+
+			const value = Reflect.get(target, key, receiver);
+			if (typeof key === 'string') {
+				dependencies.push({ source, key, value: toRaw(value) });
+			}
+
+			return value;
+		},
+		has(target, key) {
+			if (typeof key === 'string') {
+				dependencies.push({ source, key, value: toRaw(target[key]) });
+			}
+
+			return Reflect.has(target, key);
+		},
+		ownKeys(target) {
+			dependencies.push({ source, key: null, value: toRaw(target) });
+			return Reflect.ownKeys(target);
+		},
+	});
+}
@@ -1,15 +1,18 @@
 import { DOM_TYPES } from './h';
 import { removeEventListeners } from './events';
+import { unsetRef } from './refs';
+import { ownerOf } from './slots';
 
 /**
  * Unmounts the DOM nodes for a virtual DOM tree recursively.
  *
- * Removes all `el` references from the vdom tree and removes all the event
- * listeners from the DOM.
+ * Removes all `el` references from the vdom tree, removes all the event
+ * listeners from the DOM and clears the refs pointing at the removed nodes.
  *
  * @param {import('./h').VNode} vdom the virtual DOM node to destroy
+ * @param {import('./component').Component} [hostComponent] The component whose refs point at the nodes
  */
-export function destroyDOM(vdom) {
+export function destroyDOM(vdom, hostComponent = null) {
 	const { type } = vdom;
 
 	switch (type) {
@@ -17,13 +20,21 @@ export function destroyDOM(vdom) {
 			removeTextNode(vdom);
 			break;
 		case DOM_TYPES.ELEMENT:
-			removeElementNode(vdom);
+			removeElementNode(vdom, hostComponent);
 			break;
 		case DOM_TYPES.FRAGMENT:
-			removeFragmentNodes(vdom);
+			removeFragmentNodes(vdom, hostComponent);
 			break;
 		case DOM_TYPES.COMPONENT:
 			vdom.component.unmount();
+			unsetRef(
+				vdom.props.ref,
+				vdom.component,
+				ownerOf(vdom, hostComponent)
+			);
+			break;
+		case DOM_TYPES.PORTAL:
+			removePortalNodes(vdom, hostComponent);
 			break;
 		default:
 			throw new Error(`Can't destroy DOM of type: ${type}`);
@@ -37,14 +48,15 @@ function removeTextNode(vdom) {
 	el.remove();
 }
 
-function removeElementNode(vdom) {
+function removeElementNode(vdom, hostComponent) {
 	const { el, children, listeners } = vdom;
 
 	// The Element.remove() method removes the element from the DOM.
 	el.remove();
+	unsetRef(vdom.props.ref, el, ownerOf(vdom, hostComponent));
 
 	// Destroy DOM recursively.
-	children.forEach(destroyDOM);
+	children.forEach((child) => destroyDOM(child, hostComponent));
 
 	if (listeners) {
 		removeEventListeners(listeners, el);
@@ -53,7 +65,15 @@ function removeElementNode(vdom) {
 	}
 }
 
-function removeFragmentNodes(vdom) {
+function removePortalNodes(vdom, hostComponent) {
+	const { el, children } = vdom;
+
+	el.remove();
+	children.forEach((child) => destroyDOM(child, hostComponent));
+	delete vdom.targetEl;
+}
+
+function removeFragmentNodes(vdom, hostComponent) {
 	const { children } = vdom;
-	children.forEach(destroyDOM);
+	children.forEach((child) => destroyDOM(child, hostComponent));
 }
@@ -2,6 +2,31 @@
  * @typedef {Map<string, Function[]>} CommandHandlersMap
  */
 
+/**
+ * A command going through the dispatcher.
+ *
+ * @typedef Command
+ * @type {object}
+ * @property {string} name - The name of the command.
+ * @property {any} payload - The payload of the command.
+ */
+
+/**
+ * A middleware wraps every dispatch: it receives the command and a `next()` function
+ * passing the command (or a transformed one) to the next middleware, and finally to
+ * the handlers. Not calling `next()` drops the command. A middleware should return
+ * the value returned by `next()`, so that `dispatch()` can wait for the handlers.
+ *
+ * @typedef {(command: Command, next: (command: Command) => any) => any} Middleware
+ */
+
+/**
+ * What to do when a command has no handlers: display a warning (the default),
+ * ignore it, throw an error or call the given function.
+ *
+ * @typedef {'warn'|'ignore'|'throw'|((command: Command) => void)} UnhandledCommandPolicy
+ */
+
 export class Dispatcher {
 	/**
 	 * @private
@@ -11,12 +36,33 @@ export class Dispatcher {
 
 	#afterHandlers = [];
 
+	/**
+	 * @type {Middleware[]}
+	 */
+	#middlewares = [];
+
+	/**
+	 * @type {UnhandledCommandPolicy}
+	 */
+	#onUnhandled;
+
+	/**
+	 * @param {object} [options]
+	 * @param {UnhandledCommandPolicy} [options.onUnhandled] what to do when a command has no handlers
+	 */
+	constructor({ onUnhandled = 'warn' } = {}) {
+		this.#onUnhandled = onUnhandled;
+	}
+
 	/**
 	 * Registers an handler function that executes in response to a specific command
 	 * being dispatched and returns a function that un-registers the handler.
 	 *
-	 * @param {string} commandName the name of the command to register the handler for
-	 * @param {(any) => void} handler the handler of the command
+	 * The command name can be a pattern: `todos/*` matches all the commands in the
+	 * `todos/` namespace (like `todos/add`), and `*` matches all the commands.
+	 *
+	 * @param {string} commandName the name (or pattern) of the command to register the handler for
+	 * @param {(any) => (void|Promise<void>)} handler the handler of the command
 	 * @returns {() => void} a function that un-registers the handler
 	 */
 	subscribe(commandName, handler) {
@@ -41,15 +87,35 @@ export class Dispatcher {
 		// When invoked, it finds the index of the handler in the array and removes it.
 		return () => {
 			const idx = handlers.indexOf(handler);
-			handlers.splice(idx, 1);
+			// The handler might have been removed already.
+			if (idx !== -1) {
+				handlers.splice(idx, 1);
+			}
 		};
 	}
 
+	/**
+	 * Registers a handler function that executes the first time the command is
+	 * dispatched, and is un-registered right after.
+	 *
+	 * @param {string} commandName the name (or pattern) of the command to register the handler for
+	 * @param {(any) => (void|Promise<void>)} handler the handler of the command
+	 * @returns {() => void} a function that un-registers the handler before it runs
+	 */
+	once(commandName, handler) {
+		const unsubscribe = this.subscribe(commandName, (payload) => {
+			unsubscribe();
+			return handler(payload);
+		});
+
+		return unsubscribe;
+	}
+
 	/**
 	 * Registers a handler function that runs after each command and returns a
 	 * function that un-registers the handler.
 	 *
-	 * @param {() => void} handler a function that runs after each command
+	 * @param {(command: Command) => void} handler a function that runs after each command
 	 * @returns {() => void} a function that un-registers the handler
 	 */
 	afterEveryCommand(handler) {
@@ -57,27 +123,122 @@ export class Dispatcher {
 
 		return () => {
 			const idx = this.#afterHandlers.indexOf(handler);
-			this.#afterHandlers.splice(idx, 1);
+			if (idx !== -1) {
+				this.#afterHandlers.splice(idx, 1);
+			}
 		};
 	}
 
 	/**
-	 * Dispatches a command to all registered handlers and runs all
-	 * handlers registered to run after each command.
+	 * Adds a middleware wrapping every dispatch and returns a function that removes it.
+	 * The middlewares run in the order they were added.
 	 *
-	 * Displays a warning if the command has no handlers registered.
+	 * @param {Middleware} middleware the middleware
+	 * @returns {() => void} a function that removes the middleware
+	 */
+	use(middleware) {
+		this.#middlewares.push(middleware);
+
+		return () => {
+			const idx = this.#middlewares.indexOf(middleware);
+			if (idx !== -1) {
+				this.#middlewares.splice(idx, 1);
+			}
+		};
+	}
+
+	/**
+	 * Dispatches a command through the middlewares to all the handlers matching its
+	 * name, then runs all handlers registered to run after each command.
+	 *
+	 * The handlers are called synchronously, and can return promises: the returned
+	 * promise settles when all of them settle. `dispatch()` never throws: all the
+	 * failures reject the returned promise, whether a middleware or a handler throws
+	 * or rejects, or the unhandled command policy throws.
+	 *
+	 * When the command has no handlers, the unhandled command policy applies.
 	 *
 	 * @param {string} commandName the name of the command to dispatch
 	 * @param {any} payload the payload of the command
+	 * @returns {Promise<void>} a promise settling when all the handlers finished
 	 */
 	dispatch(commandName, payload) {
-		if (this.#subs.has(commandName)) {
-			const handlers = this.#subs.get(commandName);
-			handlers.forEach((handler) => handler(payload));
-		} else {
-			console.warn(`No handler for command ${commandName}`);
+		const middlewares = [...this.#middlewares];
+
+		const next = (index, command) => {
+			if (index === middlewares.length) {
+				return this.#handle(command);
+			}
+
+			return middlewares[index](command, (nextCommand) =>
+				next(index + 1, nextCommand)
+			);
+		};
+
+		// The errors thrown synchronously reject the promise too.
+		return new Promise((resolve) =>
+			resolve(next(0, { name: commandName, payload }))
+		).then(() => {});
+	}
+
+	/**
+	 * Calls the handlers of the command and the after command handlers.
+	 *
+	 * @param {Command} command the command
+	 * @returns {Promise<void>} a promise settling when all the handlers finished
+	 */
+	#handle(command) {
+		const handlers = this.#findHandlers(command.name);
+
+		if (handlers.length === 0) {
+			this.#handleUnhandled(command);
+		}
+
+		const results = handlers.map((handler) => handler(command.payload));
+		this.#afterHandlers.forEach((handler) => handler(command));
+
+		return Promise.all(results);
+	}
+
+	#findHandlers(commandName) {
+		const handlers = [];
+
+		for (const [pattern, patternHandlers] of this.#subs) {
+			if (matchesCommand(pattern, commandName)) {
+				// Copies the handlers, as the "once" handlers un-register while running.
+				handlers.push(...patternHandlers);
+			}
 		}
 
-		this.#afterHandlers.forEach((handler) => handler());
+		return handlers;
 	}
+
+	#handleUnhandled(command) {
+		const policy = this.#onUnhandled;
+
+		if (typeof policy === 'function') {
+			policy(command);
+		} else if (policy === 'throw') {
+			throw new Error(`No handler for command ${command.name}`);
+		} else if (policy === 'warn') {
+			console.warn(`No handler for command ${command.name}`);
+		}
+	}
+}
+
+/**
+ * Checks whether a command name matches a subscription pattern.
+ *
+ * @param {string} pattern the command name, `*` or a namespace like `todos/*`
+ * @param {string} commandName the name of the dispatched command
+ * @returns {boolean}
+ */
+function matchesCommand(pattern, commandName) {
+	if (pattern === commandName || pattern === '*') {
+		return true;
+	}
+
+	return (
+		pattern.endsWith('/*') && commandName.startsWith(pattern.slice(0, -1))
+	);
 }
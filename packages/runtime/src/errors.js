@@ -0,0 +1,112 @@
+/**
+ * Where an error was thrown: `render`, `onMounted`, `onUnmounted`, `event handler`
+ * or `watcher`.
+ * @typedef {string} ErrorSource
+ */
+
+/**
+ * @typedef ErrorInfo
+ * @type {object}
+ * @property {ErrorSource} source - Where the error was thrown.
+ * @property {string} componentStack - The names of the component that threw the error and its ancestors.
+ * @property {import('./component').Component} component - The component that threw the error.
+ */
+
+/**
+ * The errors whose message already includes the component stack. An error can
+ * go through several boundaries, but its message is annotated only once.
+ * @type {WeakSet<Error>}
+ */
+const annotatedErrors = new WeakSet();
+
+/**
+ * Handles an error thrown by a component: from its `render()`, one of its lifecycle
+ * hooks, one of its event handlers or one of its watchers.
+ *
+ * The error is passed to the `onError()` of the closest ancestor defining it. If that
+ * `onError()` throws, the thrown error goes up to the next ancestor, and so on. If no
+ * ancestor handles the error, it's passed to the application's error handler, or
+ * rethrown if the application doesn't have one.
+ *
+ * The error's message is annotated with the component stack.
+ *
+ * @param {any} error the thrown error
+ * @param {import('./component').Component} component the component that threw the error
+ * @param {ErrorSource} source where the error was thrown
+ */
+export function handleError(error, component, source) {
+	const componentStack = getComponentStack(component);
+	annotateError(error, componentStack);
+
+	/**
+	 * @type {ErrorInfo}
+	 */
+	const info = { source, componentStack, component };
+	let boundary = component.parentComponent;
+
+	while (boundary) {
+		try {
+			if (boundary.captureError(error, info)) {
+				return;
+			}
+		} catch (boundaryError) {
+			// The boundary couldn't handle the error, its own error goes up the tree.
+			annotateError(boundaryError, getComponentStack(boundary));
+			error = boundaryError;
+		}
+
+		boundary = boundary.parentComponent;
+	}
+
+	const errorHandler = component.appContext?.errorHandler;
+	if (errorHandler) {
+		errorHandler(error, info);
+		return;
+	}
+
+	throw error;
+}
+
+/**
+ * Handles the rejection of a promise returned by an async event handler or
+ * watcher. Like `handleError()`, but when no one handles the error, it's logged
+ * with `console.error()` instead of being rethrown, as rethrowing it would only
+ * result in an unhandled promise rejection.
+ *
+ * @param {any} error the rejection reason
+ * @param {import('./component').Component} component the component whose promise rejected
+ * @param {ErrorSource} source where the error was thrown
+ */
+export function handleAsyncError(error, component, source) {
+	try {
+		handleError(error, component, source);
+	} catch (unhandledError) {
+		console.error(`[${source}]: an async error wasn't handled`, unhandledError);
+	}
+}
+
+/**
+ * Returns the component stack of a component: its name and the names of its
+ * ancestors, one per line, from the component to the root.
+ *
+ * @param {import('./component').Component} component the component
+ * @returns {string} the component stack
+ */
+export function getComponentStack(component) {
+	const lines = [];
+
+	for (let current = component; current; current = current.parentComponent) {
+		lines.push(`    in ${current.constructor.name}`);
+	}
+
+	return lines.join('\n');
+}
+
+function annotateError(error, componentStack) {
+	if (!(error instanceof Error) || annotatedErrors.has(error)) {
+		return;
+	}
+
+	error.message = `${error.message}\n\nComponent stack:\n${componentStack}`;
+	annotatedErrors.add(error);
+}
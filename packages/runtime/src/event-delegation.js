@@ -0,0 +1,271 @@
+import { invokeEventHandler, parseEventBinding } from './events';
+import { extractChildren, extractNodes } from './h';
+
+/**
+ * The bubbling events handled by the delegator. The other events (like `focus`,
+ * `scroll` or the media events, which don't bubble) get a listener on their
+ * element, like the `capture`, `passive` and `once` listeners.
+ */
+const DELEGATED_EVENTS = new Set([
+	'click',
+	'dblclick',
+	'auxclick',
+	'contextmenu',
+	'mousedown',
+	'mouseup',
+	'mousemove',
+	'mouseover',
+	'mouseout',
+	'pointerdown',
+	'pointerup',
+	'pointermove',
+	'pointerover',
+	'pointerout',
+	'pointercancel',
+	'keydown',
+	'keyup',
+	'keypress',
+	'input',
+	'beforeinput',
+	'change',
+	'submit',
+	'reset',
+	'focusin',
+	'focusout',
+	'dragstart',
+	'drag',
+	'dragend',
+	'dragenter',
+	'dragleave',
+	'dragover',
+	'drop',
+	'copy',
+	'cut',
+	'paste',
+]);
+
+/**
+ * The handlers of an element, found by the delegator when an event bubbles
+ * through it.
+ *
+ * @typedef ElementHandlers
+ * @type {object}
+ * @property {import('./events').ParsedEventBinding[]} bindings - The parsed entries of the element's `on` prop.
+ * @property {import('./component').Component} [hostComponent] - The component the handlers are bound to.
+ */
+
+/**
+ * Handles the events of an application's elements with a single listener per
+ * event type, added to the element the application is mounted in, instead of a
+ * listener per element. It's enabled with the `delegateEvents` option of
+ * `createApp()`.
+ *
+ * The elements' handlers are saved by element: when an event is dispatched, the
+ * delegator walks from the event's target up to the root, calling the handlers
+ * of each element with `event.currentTarget` set to the element, until a handler
+ * stops the propagation. The portals' content is walked through as if it was
+ * rendered in place of the portal, so its events bubble to the component
+ * rendering the portal, and the portals' targets get the delegator's listeners
+ * too.
+ *
+ * As the handlers are looked up when an event is dispatched, replacing them
+ * (like with the inline arrow functions created by each render) doesn't touch
+ * the DOM.
+ */
+export class EventDelegator {
+	#rootEl = null;
+	/**
+	 * The elements with a listener per delegated event type: the root and the
+	 * portals' targets.
+	 * @type {Set<Element>}
+	 */
+	#containers = new Set();
+	/**
+	 * The event types the containers listen to.
+	 * @type {Set<string>}
+	 */
+	#eventTypes = new Set();
+	/**
+	 * @type {WeakMap<Element, ElementHandlers>}
+	 */
+	#handlers = new WeakMap();
+	/**
+	 * The portals' comment marking their place, by the nodes of their content.
+	 * @type {WeakMap<Node, Comment>}
+	 */
+	#portalAnchors = new WeakMap();
+	/**
+	 * The events already dispatched, as a container can contain another one.
+	 * @type {WeakSet<Event>}
+	 */
+	#dispatchedEvents = new WeakSet();
+
+	/**
+	 * @param {Element} rootEl the element the application is mounted in
+	 */
+	constructor(rootEl) {
+		this.#rootEl = rootEl;
+		this.#containers.add(rootEl);
+	}
+
+	/**
+	 * Saves the delegated handlers of an element, replacing the previous ones,
+	 * and returns the entries of the `on` prop that can't be delegated.
+	 *
+	 * @param {Element} el the element
+	 * @param {Object} events the element's `on` prop
+	 * @param {import('./component').Component} [hostComponent] The component the handlers are bound to
+	 * @returns {Object} the `on` prop entries to add a listener for
+	 */
+	bind(el, events, hostComponent) {
+		const bindings = [];
+		const otherEvents = {};
+
+		for (const [key, binding] of Object.entries(events)) {
+			const parsedBinding = parseEventBinding(key, binding);
+
+			if (this.#canDelegate(parsedBinding)) {
+				bindings.push(parsedBinding);
+				this.#listenTo(parsedBinding.eventName);
+			} else {
+				otherEvents[key] = binding;
+			}
+		}
+
+		if (bindings.length > 0) {
+			this.#handlers.set(el, { bindings, hostComponent });
+		} else {
+			this.#handlers.delete(el);
+		}
+
+		return otherEvents;
+	}
+
+	/**
+	 * Returns the entries of an `on` prop that aren't delegated.
+	 *
+	 * @param {Object} events the `on` prop
+	 * @returns {Object} the entries with a listener on the element
+	 */
+	undelegatedEvents(events) {
+		return Object.fromEntries(
+			Object.entries(events).filter(
+				([key, binding]) =>
+					!this.#canDelegate(parseEventBinding(key, binding))
+			)
+		);
+	}
+
+	/**
+	 * Listens to the events of a mounted portal's content, in the target element,
+	 * which bubble to the portal's place. It's called again when the portal is
+	 * patched, for its new content.
+	 *
+	 * @param {import('./h').PortalVNode} vdom the mounted portal
+	 */
+	addPortal(vdom) {
+		const { el: anchor, targetEl } = vdom;
+
+		for (const node of extractChildren(vdom).flatMap(extractNodes)) {
+			this.#portalAnchors.set(node, anchor);
+		}
+
+		if (!this.#containers.has(targetEl)) {
+			this.#containers.add(targetEl);
+			this.#eventTypes.forEach((type) =>
+				targetEl.addEventListener(type, this.#dispatch)
+			);
+		}
+	}
+
+	/**
+	 * Removes the listeners of the delegator, when the application is unmounted.
+	 */
+	destroy() {
+		for (const container of this.#containers) {
+			this.#eventTypes.forEach((type) =>
+				container.removeEventListener(type, this.#dispatch)
+			);
+		}
+
+		this.#containers.clear();
+		this.#eventTypes.clear();
+	}
+
+	/**
+	 * Checks if the handler of an `on` prop entry can be delegated: the event
+	 * bubbles, and it's not a `capture`, `passive` or `once` listener.
+	 */
+	#canDelegate({ eventName, options }) {
+		return (
+			DELEGATED_EVENTS.has(eventName) &&
+			!options.capture &&
+			!options.passive &&
+			!options.once
+		);
+	}
+
+	#listenTo(type) {
+		if (this.#eventTypes.has(type)) {
+			return;
+		}
+
+		this.#eventTypes.add(type);
+		this.#containers.forEach((container) =>
+			container.addEventListener(type, this.#dispatch)
+		);
+	}
+
+	#dispatch = (event) => {
+		if (this.#dispatchedEvents.has(event)) {
+			return;
+		}
+		this.#dispatchedEvents.add(event);
+
+		let node = event.target;
+
+		try {
+			while (node != null && !event.cancelBubble) {
+				this.#callHandlers(node, event);
+
+				if (node === this.#rootEl) {
+					break;
+				}
+
+				node = this.#portalAnchors.get(node)?.parentNode ?? node.parentNode;
+			}
+		} finally {
+			// Restores the currentTarget getter of the Event prototype.
+			delete event.currentTarget;
+		}
+	};
+
+	#callHandlers(el, event) {
+		const handlers = this.#handlers.get(el);
+		if (handlers == null) {
+			return;
+		}
+
+		Object.defineProperty(event, 'currentTarget', {
+			configurable: true,
+			value: el,
+		});
+
+		for (const parsedBinding of handlers.bindings) {
+			if (parsedBinding.eventName === event.type) {
+				invokeEventHandler(parsedBinding, event, el, handlers.hostComponent);
+			}
+		}
+	}
+}
+
+/**
+ * Returns the event delegator of a component's application, or `null` if the
+ * application doesn't delegate the events.
+ *
+ * @param {import('./component').Component} [component] the component
+ * @returns {EventDelegator|null} the delegator
+ */
+export function eventDelegatorOf(component) {
+	return component?.appContext?.eventDelegator ?? null;
+}
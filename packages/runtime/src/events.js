@@ -1,31 +1,354 @@
+import { handleAsyncError, handleError } from './errors';
+import { isDevelopment } from './utils/env';
+import { hasOwnProperty, shallowEqual } from './utils/objects';
+
+/**
+ * The options of an event listener, for the object form of the `on` prop values.
+ *
+ * @typedef EventListenerBinding
+ * @type {object}
+ * @property {(event: Event) => void} handler - The event handler.
+ * @property {boolean} [capture=false] - Whether the listener is called in the capture phase.
+ * @property {boolean} [once=false] - Whether the listener is removed after its first call.
+ * @property {boolean} [passive=false] - Whether the handler never calls `preventDefault()`, so scrolling isn't blocked.
+ * @property {boolean} [prevent=false] - Whether to call `event.preventDefault()` before the handler.
+ * @property {boolean} [stop=false] - Whether to call `event.stopPropagation()` before the handler.
+ * @property {boolean} [self=false] - Whether to only handle the events dispatched on the element itself, not its children.
+ */
+
+/**
+ * The modifiers setting the options of `addEventListener()`.
+ */
+const LISTENER_OPTIONS = ['capture', 'once', 'passive'];
+
+/**
+ * The modifiers changing how the event is handled.
+ */
+const HANDLING_MODIFIERS = ['prevent', 'stop', 'self'];
+
+/**
+ * The modifiers requiring a modifier key to be pressed, and the property of the
+ * event telling if it's pressed.
+ */
+const SYSTEM_MODIFIERS = {
+	ctrl: 'ctrlKey',
+	alt: 'altKey',
+	shift: 'shiftKey',
+	meta: 'metaKey',
+};
+
+/**
+ * The key modifiers whose name isn't the kebab-cased `event.key`.
+ */
+const KEY_ALIASES = {
+	esc: ['Escape'],
+	space: [' '],
+	up: ['ArrowUp'],
+	down: ['ArrowDown'],
+	left: ['ArrowLeft'],
+	right: ['ArrowRight'],
+	delete: ['Delete', 'Backspace'],
+};
+
+/**
+ * The kebab-cased `event.key` of the named keys, besides the aliases, the
+ * function keys and the single characters, to catch the misspelled key modifiers.
+ */
+const NAMED_KEYS = [
+	'enter',
+	'tab',
+	'escape',
+	'backspace',
+	'insert',
+	'home',
+	'end',
+	'page-up',
+	'page-down',
+	'arrow-up',
+	'arrow-down',
+	'arrow-left',
+	'arrow-right',
+	'shift',
+	'control',
+	'alt',
+	'meta',
+	'caps-lock',
+	'num-lock',
+	'scroll-lock',
+	'context-menu',
+	'print-screen',
+	'pause',
+];
+
+/**
+ * The event name and capture flag of each added listener, to remove it.
+ * @type {WeakMap<Function, {eventName: string, capture: boolean}>}
+ */
+const listenerRegistrations = new WeakMap();
+
 /**
  * Adds an event listener to an event target and returns the listener.
  *
- * @param {string} eventName the name of the event to listen to
- * @param {(event: Event) => void} handler the event handler
+ * The `key` is the event name, optionally followed by modifiers separated by
+ * dots, like `submit.prevent` or `keydown.enter`:
+ * - `capture`, `once` and `passive` are passed as options to `addEventListener()`.
+ * - `prevent` and `stop` call `event.preventDefault()` and `event.stopPropagation()`.
+ * - `self` ignores the events dispatched on the element's children.
+ * - `ctrl`, `alt`, `shift` and `meta` require the modifier key to be pressed.
+ * - In the keyboard events, the other modifiers are the kebab-cased keys the
+ *   handler is limited to, like `enter`, `page-down` or the `esc`, `space`,
+ *   `up`, `down`, `left`, `right` and `delete` aliases.
+ *
+ * The handler can also be an object with the handler and the modifiers as
+ * boolean options: `{ handler, passive: true }`.
+ *
+ * The events not matching the `self`, system and key modifiers are ignored: the
+ * handler isn't called, the default action isn't prevented, and a `once`
+ * listener isn't removed.
+ *
+ * If a host component exists, the errors thrown by the handler (or the rejections
+ * of the promise it returns) are passed to the host component's error boundaries.
+ *
+ * @param {string} key the name of the event to listen to, with its modifiers
+ * @param {((event: Event) => void)|EventListenerBinding} binding the event handler, or the object with its options
  * @param {EventTarget} el the element to add the event listener to
  * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
  * @returns {(event: Event) => void} the event handler
  */
-export function addEventListener(eventName, handler, el, hostComponent = null) {
-	// el.addEventListener(eventName, handler);
+export function addEventListener(key, binding, el, hostComponent = null) {
+	const parsedBinding = parseEventBinding(key, binding);
+	const { eventName, options } = parsedBinding;
+
+	function boundHandler(event) {
+		const isHandled = invokeEventHandler(
+			parsedBinding,
+			event,
+			el,
+			hostComponent
+		);
 
-	function boundHandler() {
-		// If a host component exists, binds it to the event handler context
-		hostComponent
-			? handler.apply(hostComponent, arguments)
-			: handler(...arguments);
+		// The `once` listeners are removed once an event matched.
+		if (isHandled && options.once) {
+			removeEventListener(boundHandler, el);
+		}
 	}
 
-	el.addEventListener(eventName, boundHandler);
+	el.addEventListener(eventName, boundHandler, {
+		capture: options.capture,
+		passive: options.passive,
+	});
+	listenerRegistrations.set(boundHandler, {
+		eventName,
+		capture: options.capture,
+	});
 
 	return boundHandler;
 }
 
+/**
+ * Calls the handler of a parsed `on` prop entry with an event, applying its
+ * modifiers. The events not matching the `self`, system and key modifiers are
+ * ignored.
+ *
+ * @param {ParsedEventBinding} parsedBinding the parsed `on` prop entry
+ * @param {Event} event the event
+ * @param {Element} el the element the handler is added to
+ * @param {import('./component').Component} [hostComponent] The component that the handler is bound to
+ * @returns {boolean} whether the handler was called
+ */
+export function invokeEventHandler(parsedBinding, event, el, hostComponent) {
+	const { eventName, handler, modifiers } = parsedBinding;
+
+	if (!matchesModifiers(event, eventName, modifiers, el)) {
+		return false;
+	}
+
+	if (modifiers.includes('prevent')) {
+		event.preventDefault();
+	}
+
+	if (modifiers.includes('stop')) {
+		event.stopPropagation();
+	}
+
+	if (!hostComponent) {
+		handler(event);
+		return true;
+	}
+
+	// If a host component exists, binds it to the event handler context
+	try {
+		const result = handler.call(hostComponent, event);
+
+		if (result instanceof Promise) {
+			result.catch((error) =>
+				handleAsyncError(error, hostComponent, 'event handler')
+			);
+		}
+	} catch (error) {
+		handleError(error, hostComponent, 'event handler');
+	}
+
+	return true;
+}
+
+/**
+ * Removes an event listener added with `addEventListener()`.
+ *
+ * @param {(event: Event) => void} listener the listener returned by `addEventListener()`
+ * @param {EventTarget} el the element to remove the event listener from
+ */
+export function removeEventListener(listener, el) {
+	const registration = listenerRegistrations.get(listener);
+
+	if (registration) {
+		// The event listener to be removed is identified using a combination
+		// of the event type, the event listener function itself and the capture flag.
+		el.removeEventListener(registration.eventName, listener, {
+			capture: registration.capture,
+		});
+	}
+}
+
+/**
+ * Checks if two values of the `on` prop add the same event listener.
+ *
+ * @param {Function|EventListenerBinding} bindingOne
+ * @param {Function|EventListenerBinding} bindingTwo
+ * @returns {boolean}
+ */
+export function areSameBindings(bindingOne, bindingTwo) {
+	if (typeof bindingOne === 'function' || typeof bindingTwo === 'function') {
+		return bindingOne === bindingTwo;
+	}
+
+	return shallowEqual(bindingOne, bindingTwo);
+}
+
+/**
+ * An entry of the `on` prop, with its event name and modifiers parsed.
+ *
+ * @typedef ParsedEventBinding
+ * @type {object}
+ * @property {string} eventName - The name of the event.
+ * @property {(event: Event) => void} handler - The event handler.
+ * @property {{capture: boolean, once: boolean, passive: boolean}} options - The options of `addEventListener()`.
+ * @property {string[]} modifiers - All the modifiers, from the key and the object form.
+ */
+
+/**
+ * Parses an entry of the `on` prop, throwing if a modifier is unknown. The
+ * modifiers of the keyboard events can be key names too: the unknown ones are
+ * reported in development only, as they might be keys missing from the list.
+ *
+ * @param {string} key the name of the event, with its modifiers
+ * @param {Function|EventListenerBinding} binding the event handler, or the object with its options
+ * @returns {ParsedEventBinding} the parsed entry
+ */
+export function parseEventBinding(key, binding) {
+	const [eventName, ...keyModifiers] = key.split('.');
+	const { handler, ...bindingOptions } =
+		typeof binding === 'function' ? { handler: binding } : binding;
+
+	if (typeof handler !== 'function') {
+		throw new Error(
+			`The listener of the "${key}" event needs a handler function`
+		);
+	}
+
+	const modifiers = keyModifiers.concat(
+		Object.keys(bindingOptions).filter((name) => bindingOptions[name])
+	);
+	const isKeyboardEvent = eventName.startsWith('key');
+
+	for (const modifier of modifiers) {
+		const isKnown =
+			LISTENER_OPTIONS.includes(modifier) ||
+			HANDLING_MODIFIERS.includes(modifier) ||
+			hasOwnProperty(SYSTEM_MODIFIERS, modifier);
+
+		if (isKnown || (isKeyboardEvent && isKeyName(modifier))) {
+			continue;
+		}
+
+		if (!isKeyboardEvent) {
+			throw new Error(`Unknown modifier "${modifier}" of the "${key}" event`);
+		}
+
+		if (isDevelopment()) {
+			console.warn(
+				`[events]: unknown key or modifier "${modifier}" of the "${key}" event`
+			);
+		}
+	}
+
+	const options = Object.fromEntries(
+		LISTENER_OPTIONS.map((name) => [name, modifiers.includes(name)])
+	);
+
+	return { eventName, handler, options, modifiers };
+}
+
+function matchesModifiers(event, eventName, modifiers, el) {
+	if (modifiers.includes('self') && event.target !== el) {
+		return false;
+	}
+
+	const isSystemKeyMissing = modifiers.some(
+		(modifier) =>
+			hasOwnProperty(SYSTEM_MODIFIERS, modifier) &&
+			!event[SYSTEM_MODIFIERS[modifier]]
+	);
+	if (isSystemKeyMissing) {
+		return false;
+	}
+
+	if (!eventName.startsWith('key')) {
+		return true;
+	}
+
+	const keyModifiers = modifiers.filter(
+		(modifier) =>
+			!LISTENER_OPTIONS.includes(modifier) &&
+			!HANDLING_MODIFIERS.includes(modifier) &&
+			!hasOwnProperty(SYSTEM_MODIFIERS, modifier)
+	);
+
+	return (
+		keyModifiers.length === 0 ||
+		keyModifiers.some((modifier) => isKey(event.key, modifier))
+	);
+}
+
+function isKeyName(modifier) {
+	return (
+		hasOwnProperty(KEY_ALIASES, modifier) ||
+		NAMED_KEYS.includes(modifier) ||
+		/^f\d{1,2}$/.test(modifier) ||
+		modifier.length === 1
+	);
+}
+
+function isKey(key, modifier) {
+	if (hasOwnProperty(KEY_ALIASES, modifier)) {
+		return KEY_ALIASES[modifier].includes(key);
+	}
+
+	const kebabKey = key.replace(
+		/([a-z])([A-Z])/g,
+		(_, lower, upper) => `${lower}-${upper}`
+	);
+	return kebabKey.toLowerCase() === modifier;
+}
+
 /**
  * Adds event listeners to an event target and returns an object containing
  * the added listeners.
  *
+ * If the host component's application delegates the events, the handlers that
+ * can be delegated are saved in the event delegator instead, and aren't part of
+ * the returned listeners.
+ *
  * @param {object} listeners The event listeners to add
  * @param {EventTarget} el The element to add the listeners to
  * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
@@ -33,8 +356,12 @@ export function addEventListener(eventName, handler, el, hostComponent = null) {
  */
 export function addEventListeners(listeners = {}, el, hostComponent = null) {
 	const addedListeners = {};
+	const delegator = hostComponent?.appContext?.eventDelegator;
+	const undelegatedListeners = delegator
+		? delegator.bind(el, listeners, hostComponent)
+		: listeners;
 
-	Object.entries(listeners).forEach(([eventName, handler]) => {
+	Object.entries(undelegatedListeners).forEach(([eventName, handler]) => {
 		const listener = addEventListener(eventName, handler, el, hostComponent);
 		addedListeners[eventName] = listener;
 	});
@@ -49,9 +376,7 @@ export function addEventListeners(listeners = {}, el, hostComponent = null) {
  * @param {EventTarget} el the element to remove the event listeners from
  */
 export function removeEventListeners(listeners = {}, el) {
-	Object.entries(listeners).forEach(([eventName, handler]) => {
-		// The event listener to be removed is identified using a combination
-		// of the event type, the event listener function itself.
-		el.removeEventListener(eventName, handler);
+	Object.values(listeners).forEach((listener) => {
+		removeEventListener(listener, el);
 	});
 }
@@ -6,13 +6,17 @@ export const DOM_TYPES = {
 	ELEMENT: 'element',
 	FRAGMENT: 'fragment',
 	COMPONENT: 'component',
+	SLOT: 'slot',
+	PORTAL: 'portal',
 };
 
+export const DEFAULT_SLOT = 'default';
+
 /**
  * A virtual node is an object representing a DOM element.
  * The virtual node can be a text node, an element node or a fragment node.
  * @typedef VNode
- * @type {TextVNode|ElementVNode|FragmentVNode|ComponentVNode}
+ * @type {TextVNode|ElementVNode|FragmentVNode|ComponentVNode|SlotVNode|PortalVNode}
  */
 
 /**
@@ -24,14 +28,16 @@ export const DOM_TYPES = {
  * @property {VNode[]} children - The children of the element.
  * @property {HTMLElement} [el] - The mounted element.
  * @property {Object.<string,Function>} [listeners] - The event listeners added to the element.
+ * @property {import('./component').Component} [owner] - The component that passed the element as slot content, which its listeners and ref belong to.
  */
 
 /**
  * @typedef ElementVNodeProps
  * @type {object}
- * @property {Object.<string,Function>} [on] - The event listeners to add to the element.
+ * @property {Object.<string,(Function|import('./events').EventListenerBinding)>} [on] - The event listeners to add to the element, by event name with optional modifiers, like `submit.prevent`.
  * @property {(string|string[])} [class] - The class or classes to add to the element.
  * @property {Object.<string,string>} [style] - The CSS properties to add to the element.
+ * @property {import('./refs').Ref} [ref] - The name under which the element is saved in the host component's `refs`, or a callback receiving it.
  */
 
 /**
@@ -39,7 +45,10 @@ export const DOM_TYPES = {
  * @type {object}
  * @property {import('./component').Component} tag - The reference to the component.
  * @property {string} type - The type of the virtual node = 'component'.
- * @property {any} props - The props of the component.
+ * @property {any} props - The props of the component. A `ref` prop saves the component instance in the host component's `refs`.
+ * @property {VNode[]} children - The content passed to the component's slots.
+ * @property {import('./app').AppContext} [appContext] - The application context, only set in the root component node.
+ * @property {import('./component').Component} [owner] - The component that passed the component node as slot content, which its event handlers and ref belong to.
  */
 
 /**
@@ -48,9 +57,14 @@ export const DOM_TYPES = {
  *
  * The props are added to the element as attributes.
  * There are some special props:
- * - `on`: an object containing event listeners to add to the element
+ * - `on`: an object containing event listeners to add to the element; the event
+ *   names can have modifiers, like `keydown.enter` or `click.once` (see
+ *   `addEventListener()` in events.js)
  * - `class`: a string or array of strings to add to the element's class list
  * - `style`: an object containing CSS properties to add to the element's style
+ * - `ref`: a name under which the element (or component) is saved in the host
+ *   component's `refs`, or a function called with it when mounted and with `null`
+ *   when removed
  *
  * The children are added to the element as child nodes.
  * If a child is a string, it is converted to a text node using `hString()`.
@@ -118,6 +132,117 @@ export function hFragment(vNodes) {
 	};
 }
 
+/**
+ * Marks a virtual node as static: it's rendered the same way every time, so once
+ * mounted, patching it is skipped entirely, with its whole subtree. The children
+ * of a static fragment are static too. Changes in a static subtree are ignored,
+ * but the components inside it can still re-render themselves.
+ *
+ * @example
+ * h('main', {}, [hStatic(h('footer', {}, ['Made with Turbie'])), h(TodoList)])
+ *
+ * @param {VNode} vNode the virtual node to mark
+ * @returns {VNode} the same virtual node
+ */
+export function hStatic(vNode) {
+	vNode.isStatic = true;
+
+	if (vNode.type === DOM_TYPES.FRAGMENT) {
+		vNode.children.forEach(hStatic);
+	}
+
+	return vNode;
+}
+
+/**
+ * @typedef SlotVNode
+ * @type {object}
+ * @property {string} type - The type of the virtual node = 'slot'.
+ * @property {string} name - The name of the slot.
+ * @property {VNode[]} children - The default content, used when no content is passed to the slot.
+ */
+
+/**
+ * Creates a slot virtual node: a placeholder, used inside a component's `render()`,
+ * where the content passed to the component as children is inserted.
+ *
+ * The children of the component virtual node with a `slot` prop go to the slot
+ * with that name, the rest go to the default slot. If no content is passed to
+ * the slot, the default content is rendered instead.
+ *
+ * @example
+ * h(Card, {}, [h('h2', { slot: 'header' }, ['Title']), 'Some text'])
+ * // Inside Card's render function:
+ * h('div', { class: 'card' }, [hSlot('header'), hSlot(['No content'])])
+ *
+ * @param {string|array} [name] the name of the slot, `default` if omitted
+ * @param {array} [children] the default content of the slot
+ * @returns {SlotVNode} the virtual node
+ */
+export function hSlot(name = DEFAULT_SLOT, children = []) {
+	if (Array.isArray(name)) {
+		return hSlot(DEFAULT_SLOT, name);
+	}
+
+	return {
+		type: DOM_TYPES.SLOT,
+		name,
+		children: mapTextNodes(withoutNulls(children)),
+	};
+}
+
+/**
+ * @typedef PortalVNode
+ * @type {object}
+ * @property {string} type - The type of the virtual node = 'portal'.
+ * @property {string|Element} target - The element the children are mounted into, or its CSS selector.
+ * @property {VNode[]} children - The children of the portal.
+ * @property {Comment} [el] - The comment marking the portal's place in its parent element.
+ * @property {Element} [targetEl] - The element the children are mounted into.
+ */
+
+/**
+ * Creates a portal virtual node: its children are mounted into another element
+ * of the document, like the `<body>`, instead of the portal's parent element.
+ * It's used for the modals, tooltips or toasts that would be clipped by an
+ * ancestor with `overflow: hidden`.
+ *
+ * The children still belong to the component rendering the portal: its event
+ * handlers, refs and provided values apply to them, and they are removed when
+ * the portal is. A comment marks the portal's place in its parent element.
+ *
+ * @example
+ * hPortal('body', [h('div', { class: 'modal' }, ['Saved!'])])
+ *
+ * @param {string|Element} target the element to mount the children into, or its CSS selector
+ * @param {array} children the children of the portal
+ * @returns {PortalVNode} the virtual node
+ */
+export function hPortal(target, children = []) {
+	return {
+		type: DOM_TYPES.PORTAL,
+		target,
+		children: mapTextNodes(withoutNulls(children)),
+	};
+}
+
+/**
+ * Returns the element a portal mounts its children into.
+ *
+ * @param {string|Element} target the element, or its CSS selector
+ * @returns {Element} the element
+ */
+export function resolvePortalTarget(target) {
+	const targetEl =
+		typeof target === 'string' ? document.querySelector(target) : target;
+
+	if (targetEl == null) {
+		throw new Error(`The portal's target "${target}" doesn't exist`);
+	}
+
+	return targetEl;
+}
+
 function mapTextNodes(children) {
 	return children.map((child) =>
 		typeof child === 'string' ? hString(child) : child
@@ -149,3 +274,16 @@ export function extractChildren(vdom) {
 
 	return children;
 }
+
+/**
+ * Returns the DOM nodes a mounted virtual node has in its parent element: the
+ * elements of a component, or else the node's `el`.
+ *
+ * @param {VNode} vdom the mounted virtual node, which isn't a fragment
+ * @returns {ChildNode[]} the DOM nodes
+ */
+export function extractNodes(vdom) {
+	return vdom.type === DOM_TYPES.COMPONENT
+		? vdom.component.elements
+		: [vdom.el];
+}
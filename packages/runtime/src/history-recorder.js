@@ -0,0 +1,145 @@
+/**
+ * An entry of the history: a command and the state resulting from it. The first
+ * entry holds the state the recording started from, without a command.
+ *
+ * @typedef HistoryEntry
+ * @type {object}
+ * @property {import('./dispatcher').Command|null} command - The command, or `null` for the first entry.
+ * @property {any} state - The state after the command.
+ */
+
+/**
+ * A serializable log of the recorded commands, which can be replayed.
+ *
+ * @typedef HistoryLog
+ * @type {object}
+ * @property {any} state - The state the commands start from.
+ * @property {import('./dispatcher').Command[]} commands - The commands, in the order they were dispatched.
+ */
+
+/**
+ * @typedef HistoryRecorder
+ * @type {object}
+ *
+ * @property {HistoryEntry[]} entries - The recorded entries, from the oldest to the newest.
+ * @property {number} index - The index of the entry whose state is the current one.
+ * @property {boolean} canUndo - Whether there's an entry before the current one.
+ * @property {boolean} canRedo - Whether there's an entry after the current one.
+ * @property {() => void} undo - Goes back to the previous entry's state.
+ * @property {() => void} redo - Goes forward to the next entry's state.
+ * @property {(index: number) => void} jumpTo - Goes to the state of the entry at the index.
+ * @property {() => string} serialize - Returns the log of the recorded commands, as JSON.
+ * @property {(log: (string|HistoryLog)) => Promise<void>} replay - Restores the log's state and dispatches its commands again, one after the other. Rejects, stopping the replay, if a command fails.
+ * @property {() => void} stop - Stops recording.
+ */
+
+/**
+ * Records the commands dispatched to a store and the resulting states, to move
+ * back and forth between them: for an undo/redo feature, or to time-travel while
+ * debugging. Replaying the serialized log of a session reproduces it, like a bug
+ * report.
+ *
+ * Moving in the history replaces the store's state, which re-renders the
+ * components that selected the changed slices. Dispatching a command while in the
+ * past drops the entries after the current one, that can't be redone anymore.
+ *
+ * The states aren't copied, so the reducers must not modify the state in place
+ * (which is already required for the components to notice the changes).
+ *
+ * @param {import('./store').Store} store the store to record
+ * @param {object} [options]
+ * @param {number} [options.limit] the maximum number of commands kept, the oldest ones being dropped
+ * @returns {HistoryRecorder} the history recorder
+ */
+export function createHistoryRecorder(store, { limit = Infinity } = {}) {
+	/**
+	 * @type {HistoryEntry[]}
+	 */
+	let entries = [{ command: null, state: store.state }];
+	let index = 0;
+
+	let stopRecording = store.afterEveryCommand((command, state) => {
+		entries = entries.slice(0, index + 1);
+		entries.push({ command, state });
+
+		if (entries.length - 1 > limit) {
+			// The oldest command's state becomes the starting state.
+			entries = [{ ...entries[1], command: null }, ...entries.slice(2)];
+		}
+
+		index = entries.length - 1;
+	});
+
+	function jumpTo(newIndex) {
+		if (newIndex < 0 || newIndex >= entries.length) {
+			throw new Error(
+				`There's no history entry at index ${newIndex} (${entries.length} entries)`
+			);
+		}
+
+		index = newIndex;
+		store.replaceState(entries[index].state);
+	}
+
+	return {
+		get entries() {
+			return [...entries];
+		},
+
+		get index() {
+			return index;
+		},
+
+		get canUndo() {
+			return index > 0;
+		},
+
+		get canRedo() {
+			return index < entries.length - 1;
+		},
+
+		undo() {
+			if (index > 0) {
+				jumpTo(index - 1);
+			}
+		},
+
+		redo() {
+			if (index < entries.length - 1) {
+				jumpTo(index + 1);
+			}
+		},
+
+		jumpTo,
+
+		serialize() {
+			/**
+			 * @type {HistoryLog}
+			 */
+			const log = {
+				state: entries[0].state,
+				commands: entries.slice(1, index + 1).map(({ command }) => command),
+			};
+
+			return JSON.stringify(log);
+		},
+
+		async replay(log) {
+			const { state, commands } =
+				typeof log === 'string' ? JSON.parse(log) : log;
+
+			entries = [{ command: null, state }];
+			index = 0;
+			store.replaceState(state);
+
+			for (const { name, payload } of commands) {
+				await store.dispatch(name, payload);
+			}
+		},
+
+		stop() {
+			stopRecording?.();
+			stopRecording = null;
+		},
+	};
+}
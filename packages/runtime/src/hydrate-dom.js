@@ -0,0 +1,390 @@
+import {
+	PROPERTY_TO_ATTRIBUTE,
+	setAttributesInOrder,
+	toAttributeValue,
+} from './attributes';
+import { DOM_TYPES, resolvePortalTarget } from './h';
+import { eventDelegatorOf } from './event-delegation';
+import { addEventListeners } from './events';
+import { mountDOM } from './mount-dom';
+import { HTML_NAMESPACE } from './namespaces';
+import { setRef } from './refs';
+import { bindToOwner, ownerOf } from './slots';
+import { isDevelopment } from './utils/env';
+import { omit } from './utils/objects';
+import { extractPropsAndEvents } from './utils/props';
+import { isNotBlankOrEmptyString } from './utils/strings';
+
+/**
+ * Hydrates the DOM nodes rendered by the server (with `renderToString()`) for a
+ * virtual DOM tree: instead of creating the DOM nodes, the existing ones are saved
+ * in the vdom tree, the event listeners are added to them and the components are
+ * instantiated. The nodes matching the virtual DOM aren't modified.
+ *
+ * The virtual DOM tree is walked along with the DOM nodes, starting at `startNode`.
+ * The portals' content isn't rendered by the server: it's mounted into the
+ * portals' target elements.
+ *
+ * When a DOM node doesn't match its virtual node, a warning is displayed (in
+ * development) and only the mismatched node is replaced by a freshly mounted one.
+ * In development, the attributes, class and style of the elements are compared
+ * with their props too, and the mismatched ones are reported and fixed.
+ *
+ * @param {import('./h').VNode} vdom the virtual DOM node to hydrate
+ * @param {Element} parentEl the element containing the server-rendered nodes
+ * @param {ChildNode|null} [startNode] the DOM node matching the virtual node
+ * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
+ * @returns {ChildNode|null} the DOM node following the hydrated ones
+ */
+export function hydrateDOM(
+	vdom,
+	parentEl,
+	startNode = parentEl.firstChild,
+	hostComponent = null
+) {
+	if (vdom.type === DOM_TYPES.PORTAL) {
+		return hydratePortalNodes(vdom, parentEl, startNode, hostComponent);
+	}
+
+	const node = skipComments(startNode);
+
+	switch (vdom.type) {
+		case DOM_TYPES.TEXT:
+			return hydrateTextNode(vdom, parentEl, node, hostComponent);
+		case DOM_TYPES.ELEMENT:
+			return hydrateElementNode(vdom, parentEl, node, hostComponent);
+		case DOM_TYPES.FRAGMENT:
+			return hydrateFragmentNodes(vdom, parentEl, node, hostComponent);
+		case DOM_TYPES.COMPONENT:
+			return hydrateComponentNode(vdom, parentEl, node, hostComponent);
+		default:
+			throw new Error(`Can't hydrate DOM of type: ${vdom.type}`);
+	}
+}
+
+/**
+ * Removes the DOM nodes that were left over after hydrating all the virtual nodes:
+ * the server rendered more nodes than the client.
+ *
+ * @param {Element} parentEl the element containing the server-rendered nodes
+ * @param {ChildNode|null} node the first node left over
+ */
+export function removeExtraNodes(parentEl, node) {
+	let current = skipComments(node);
+
+	while (current) {
+		warnMismatch(
+			`Removing the extra node ${describeNode(current)} in <${parentEl.localName}>`
+		);
+		const next = skipComments(current.nextSibling);
+		current.remove();
+		current = next;
+	}
+}
+
+function hydrateTextNode(vdom, parentEl, node, hostComponent) {
+	const { value } = vdom;
+
+	// Empty strings aren't rendered in the HTML, so their text node is created.
+	if (value === '') {
+		const textNode = document.createTextNode('');
+		parentEl.insertBefore(textNode, node);
+		vdom.el = textNode;
+
+		return node;
+	}
+
+	if (node?.nodeType !== Node.TEXT_NODE) {
+		return replaceNode(vdom, parentEl, node, hostComponent);
+	}
+
+	// The HTML parser merges the adjacent text nodes into one: the text nodes
+	// rendered one after the other on the server need to be split again.
+	if (node.data.length > value.length && node.data.startsWith(value)) {
+		node.splitText(value.length);
+	}
+
+	if (node.data !== value) {
+		warnMismatch(`Text content "${node.data}" should be "${value}"`);
+		node.data = value;
+	}
+
+	vdom.el = node;
+
+	return node.nextSibling;
+}
+
+function hydrateElementNode(vdom, parentEl, node, hostComponent) {
+	const { tag, children } = vdom;
+
+	if (node?.nodeType !== Node.ELEMENT_NODE || node.localName !== tag) {
+		return replaceNode(vdom, parentEl, node, hostComponent);
+	}
+
+	const owner = ownerOf(vdom, hostComponent);
+	const { events } = extractPropsAndEvents(vdom);
+	vdom.el = node;
+	vdom.listeners = addEventListeners(events, node, owner);
+	hydrateAttributes(node, vdom);
+
+	// The content set by a prop isn't described by virtual nodes: the server
+	// rendered it, so it's kept as it is.
+	if (!hasContentProp(vdom)) {
+		let childNode = node.firstChild;
+		for (const child of children) {
+			childNode = hydrateDOM(child, node, childNode, hostComponent);
+		}
+		removeExtraNodes(node, childNode);
+	}
+
+	setRef(vdom.props.ref, node, owner);
+
+	return node.nextSibling;
+}
+
+/**
+ * Compares the attributes, class and style of a server-rendered element with the
+ * props of its virtual node. The mismatched attributes are set to the props'
+ * values and the extra ones are removed, being reported in development only.
+ *
+ * @param {Element} el the server-rendered element
+ * @param {import('./h').ElementVNode} vdom the element virtual node
+ */
+function hydrateAttributes(el, vdom) {
+	const { tag } = vdom;
+	const { props } = extractPropsAndEvents(vdom);
+	// The content props aren't attributes, and the value of a <select> or a
+	// <textarea> is rendered in its content.
+	const contentProps =
+		tag === 'select' || tag === 'textarea'
+			? ['innerHTML', 'textContent', 'value']
+			: ['innerHTML', 'textContent'];
+	const attrs = omit(props, ['class', 'style', ...contentProps]);
+	// The HTML parser lowercases the attribute names of the HTML elements.
+	const normalizeName = (name) =>
+		el.namespaceURI === HTML_NAMESPACE ? name.toLowerCase() : name;
+	const expectedNames = new Set(['class', 'style']);
+	// The server renders the value of a <select> as its options' selected attribute.
+	if (tag === 'option') {
+		expectedNames.add('selected');
+	}
+	const mismatchedAttrs = {};
+
+	for (const [name, value] of Object.entries(attrs)) {
+		const attrName = PROPERTY_TO_ATTRIBUTE[name] ?? name;
+		const expected = toAttributeValue(name, value);
+		const actual = el.getAttribute(attrName);
+		expectedNames.add(normalizeName(attrName));
+
+		if (actual !== expected) {
+			warnMismatch(
+				`Attribute "${attrName}" of <${tag}> is ${describeValue(actual)}, but should be ${describeValue(expected)}`
+			);
+			mismatchedAttrs[name] = value;
+		}
+	}
+
+	for (const { name } of Array.from(el.attributes)) {
+		if (!expectedNames.has(normalizeName(name))) {
+			warnMismatch(`Removing the extra attribute "${name}" of <${tag}>`);
+			el.removeAttribute(name);
+		}
+	}
+
+	setAttributesInOrder(el, mismatchedAttrs);
+	hydrateClass(el, tag, props.class);
+	hydrateStyle(el, tag, props.style);
+}
+
+function hydrateClass(el, tag, className = '') {
+	const classes = Array.isArray(className) ? className : className.split(/\s+/);
+	const expected = classes.filter(isNotBlankOrEmptyString).join(' ');
+	const actual = Array.from(el.classList).join(' ');
+
+	if (actual === expected) {
+		return;
+	}
+
+	warnMismatch(`Class of <${tag}> is "${actual}", but should be "${expected}"`);
+	if (expected) {
+		el.setAttribute('class', expected);
+	} else {
+		el.removeAttribute('class');
+	}
+}
+
+function hydrateStyle(el, tag, style = {}) {
+	// The styles are compared once normalized by the browser, by setting them
+	// in an element that isn't in the document.
+	const { style: expectedStyle } = document.createElement('div');
+	for (const [name, value] of Object.entries(style)) {
+		expectedStyle[name] = value;
+	}
+
+	const expected = expectedStyle.cssText;
+	const actual = el.style.cssText;
+
+	if (actual === expected) {
+		return;
+	}
+
+	warnMismatch(`Style of <${tag}> is "${actual}", but should be "${expected}"`);
+	if (expected) {
+		el.style.cssText = expected;
+	} else {
+		el.removeAttribute('style');
+	}
+}
+
+/**
+ * Checks if an element's content is set by its props instead of its children:
+ * the `innerHTML` and `textContent` props, and the `value` of a `<textarea>`.
+ *
+ * @param {import('./h').ElementVNode} vdom the element virtual node
+ * @returns {boolean} whether the content is set by a prop
+ */
+function hasContentProp({ tag, props }) {
+	return (
+		props.innerHTML != null ||
+		props.textContent != null ||
+		(tag === 'textarea' && props.value != null)
+	);
+}
+
+function hydrateFragmentNodes(vdom, parentEl, node, hostComponent) {
+	// Like when mounting, a fragment references its parent element.
+	vdom.el = parentEl;
+
+	let childNode = node;
+	for (const child of vdom.children) {
+		childNode = hydrateDOM(child, parentEl, childNode, hostComponent);
+	}
+
+	return childNode;
+}
+
+function hydratePortalNodes(vdom, parentEl, node, hostComponent) {
+	const anchor = findPortalComment(node);
+
+	if (anchor) {
+		const targetEl = resolvePortalTarget(vdom.target);
+		vdom.el = anchor;
+		vdom.targetEl = targetEl;
+		vdom.children.forEach((child) =>
+			mountDOM(child, targetEl, null, hostComponent)
+		);
+		eventDelegatorOf(hostComponent)?.addPortal(vdom);
+
+		return anchor.nextSibling;
+	}
+
+	const nextNode = skipComments(node);
+	const index = nextNode
+		? Array.from(parentEl.childNodes).indexOf(nextNode)
+		: null;
+	mountDOM(vdom, parentEl, index, hostComponent);
+
+	return nextNode;
+}
+
+/**
+ * Finds the comment rendered for a portal among the comments starting at `node`.
+ *
+ * @param {ChildNode|null} node the first node
+ * @returns {Comment|null} the portal's comment
+ */
+function findPortalComment(node) {
+	let current = node;
+
+	while (current?.nodeType === Node.COMMENT_NODE) {
+		if (current.data === 'portal') {
+			return current;
+		}
+
+		current = current.nextSibling;
+	}
+
+	return null;
+}
+
+function hydrateComponentNode(vdom, parentEl, node, hostComponent) {
+	const Component = vdom.tag;
+	const { props, events } = extractPropsAndEvents(vdom);
+	const component = new Component(
+		props,
+		bindToOwner(events, vdom),
+		hostComponent,
+		vdom.appContext
+	);
+	component.setExternalContent(vdom.children);
+
+	const nextNode = component.hydrate(parentEl, node);
+	vdom.component = component;
+	vdom.el = component.firstElement;
+
+	setRef(vdom.props.ref, component, ownerOf(vdom, hostComponent));
+
+	return nextNode;
+}
+
+/**
+ * Recovers from a mismatch by replacing the DOM node with the mounted virtual node.
+ * If the DOM node is missing, the virtual node is mounted at the end of the parent.
+ *
+ * @param {import('./h').VNode} vdom the virtual node
+ * @param {Element} parentEl the parent element
+ * @param {ChildNode|null} node the mismatched DOM node
+ * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
+ * @returns {ChildNode|null} the DOM node following the mismatched one
+ */
+function replaceNode(vdom, parentEl, node, hostComponent) {
+	warnMismatch(
+		`Expected ${describeVNode(vdom)} in <${parentEl.localName}>, but found ${describeNode(node)}`
+	);
+
+	const nextNode = node?.nextSibling ?? null;
+	node?.remove();
+
+	const index = nextNode
+		? Array.from(parentEl.childNodes).indexOf(nextNode)
+		: null;
+	mountDOM(vdom, parentEl, index, hostComponent);
+
+	return nextNode;
+}
+
+function skipComments(node) {
+	let current = node;
+
+	while (current?.nodeType === Node.COMMENT_NODE) {
+		current = current.nextSibling;
+	}
+
+	return current;
+}
+
+function warnMismatch(message) {
+	if (isDevelopment()) {
+		console.warn(`[hydration mismatch]: ${message}`);
+	}
+}
+
+function describeValue(value) {
+	return value == null ? 'missing' : `"${value}"`;
+}
+
+function describeVNode(vdom) {
+	return vdom.type === DOM_TYPES.TEXT
+		? `text "${vdom.value}"`
+		: `<${vdom.tag}>`;
+}
+
+function describeNode(node) {
+	if (node == null) {
+		return 'nothing';
+	}
+
+	return node.nodeType === Node.TEXT_NODE
+		? `text "${node.data}"`
+		: `<${node.localName}>`;
+}
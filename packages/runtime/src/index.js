@@ -1,3 +1,10 @@
 export { createApp } from './app';
-export { h, hFragment, hString } from './h';
+export { h, hFragment, hPortal, hSlot, hStatic, hString } from './h';
 export { defineComponent } from './component';
+export { memo } from './memo';
+export { isReactive, reactive, toRaw } from './reactivity';
+export { nextTick } from './scheduler';
+export { renderToString } from './render-to-string';
+export { createStore } from './store';
+export { createHistoryRecorder } from './history-recorder';
+export { createElement } from './jsx-runtime';
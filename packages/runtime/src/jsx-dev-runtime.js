@@ -0,0 +1 @@
+export { Fragment, jsxDEV } from './jsx-runtime';
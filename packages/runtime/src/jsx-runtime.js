@@ -0,0 +1,133 @@
+import { h, hFragment } from './h';
+
+/**
+ * The tag of the JSX fragments (`<>...</>`).
+ */
+export const Fragment = Symbol('turbie.fragment');
+
+/**
+ * Creates the virtual node of a JSX element. The JSX toolchains configured with
+ * the automatic runtime and `turbie` as import source call this function: the JSX
+ * `<p class="intro">Hello</p>` becomes `jsx('p', { class: 'intro', children: 'Hello' })`.
+ *
+ * The JSX props are mapped to the props `h()` expects:
+ * - the `key` is added to the props,
+ * - `className` is an alias of `class` for the elements,
+ * - the `on*` props are the event handlers, added to the `on` object: `onClick`
+ *   listens to the `click` DOM event, while `onAddTodo` on a component handles its
+ *   `addTodo` event; an element's handler can be an object with its options, like
+ *   `onScroll={{ handler, passive: true }}`,
+ * - the `children` are flattened, the strings and numbers are converted to text
+ *   nodes, and `null`, `undefined` and booleans (from `{cond && <p />}`) are dropped.
+ *
+ * @param {string|import('./component').Component|symbol} tag the tag name, the component or `Fragment`
+ * @param {Object} props the JSX props, including the `children`
+ * @param {string|number} [key] the key of the element
+ * @returns {import('./h').VNode} the virtual node
+ */
+export function jsx(tag, props, key) {
+	const { children, ...otherProps } = props ?? {};
+	const vnodeChildren = normalizeChildren(children);
+
+	if (tag === Fragment) {
+		return hFragment(vnodeChildren);
+	}
+
+	const isElement = typeof tag === 'string';
+	const vnodeProps = mapProps(otherProps, isElement);
+
+	if (key != null) {
+		vnodeProps.key = key;
+	}
+
+	return h(tag, vnodeProps, vnodeChildren);
+}
+
+/**
+ * Creates the virtual node of a JSX element with several static children. The
+ * children don't need a different treatment, so it's the same as `jsx()`.
+ */
+export const jsxs = jsx;
+
+/**
+ * The development version of `jsx()`, used by the toolchains in development mode.
+ * The extra arguments (the source location) are ignored.
+ *
+ * @param {string|import('./component').Component|symbol} tag the tag name, the component or `Fragment`
+ * @param {Object} props the JSX props, including the `children`
+ * @param {string|number} [key] the key of the element
+ * @returns {import('./h').VNode} the virtual node
+ */
+export function jsxDEV(tag, props, key) {
+	return jsx(tag, props, key);
+}
+
+/**
+ * Creates the virtual node of a JSX element, with the arguments of the classic
+ * runtime. The automatic runtime falls back to it, imported from `turbie`, for a
+ * `key` after spread props: `<li {...props} key="a" />` becomes
+ * `createElement('li', { ...props, key: 'a' })`.
+ *
+ * @param {string|import('./component').Component|symbol} tag the tag name, the component or `Fragment`
+ * @param {Object} [props] the JSX props, including the `key`
+ * @param {...any} children the children
+ * @returns {import('./h').VNode} the virtual node
+ */
+export function createElement(tag, props, ...children) {
+	const { key, ...otherProps } = props ?? {};
+
+	if (children.length > 0) {
+		otherProps.children = children;
+	}
+
+	return jsx(tag, otherProps, key);
+}
+
+function mapProps(props, isElement) {
+	const { on = {}, className, ...otherProps } = props;
+	const result = {};
+	const events = { ...on };
+
+	for (const [name, value] of Object.entries(otherProps)) {
+		if (/^on[A-Z]/.test(name) && isEventHandler(value, isElement)) {
+			events[toEventName(name, isElement)] = value;
+		} else {
+			result[name] = value;
+		}
+	}
+
+	if (className !== undefined) {
+		// A component receives the prop as it's passed.
+		result[isElement ? 'class' : 'className'] = className;
+	}
+
+	if (Object.keys(events).length > 0) {
+		result.on = events;
+	}
+
+	return result;
+}
+
+function isEventHandler(value, isElement) {
+	// The element listeners can be an object with the handler and its options.
+	return (
+		typeof value === 'function' ||
+		(isElement && typeof value?.handler === 'function')
+	);
+}
+
+function toEventName(propName, isElement) {
+	const eventName = propName.slice(2);
+
+	// The DOM events are in lowercase, like `mouseenter` for onMouseEnter.
+	return isElement
+		? eventName.toLowerCase()
+		: eventName[0].toLowerCase() + eventName.slice(1);
+}
+
+function normalizeChildren(children) {
+	return [children]
+		.flat(Infinity)
+		.filter((child) => child != null && typeof child !== 'boolean')
+		.map((child) => (typeof child === 'number' ? String(child) : child));
+}
@@ -0,0 +1,36 @@
+import { shallowEqual } from './utils/objects';
+
+/**
+ * Wraps a component into a pure component: it only re-renders when its props
+ * or its state change, comparing them shallowly. A new state object with the
+ * same values, like after `updateState({ count: this.state.count })`, doesn't
+ * re-render the component.
+ *
+ * The props can be compared with a custom function, for example to ignore the
+ * props that don't affect the rendering. The component's own `shouldUpdate()`
+ * is still called when the props or state changed.
+ *
+ * @param {import('./component').Component} Component the component to wrap
+ * @param {(prevProps: Object, nextProps: Object) => boolean} [arePropsEqual] returns whether the two props objects render the same
+ * @returns {import('./component').Component} the pure component
+ */
+export function memo(Component, arePropsEqual = shallowEqual) {
+	const MemoComponent = class extends Component {
+		shouldUpdate(nextProps, nextState) {
+			if (
+				arePropsEqual(this.props, nextProps) &&
+				shallowEqual(this.state, nextState)
+			) {
+				return false;
+			}
+
+			return super.shouldUpdate(nextProps, nextState);
+		}
+	};
+
+	Object.defineProperty(MemoComponent, 'name', {
+		value: `Memo(${Component.name})`,
+	});
+
+	return MemoComponent;
+}
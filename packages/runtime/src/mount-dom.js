@@ -1,7 +1,11 @@
-import { DOM_TYPES } from './h';
+import { DOM_TYPES, resolvePortalTarget } from './h';
 import { addEventListeners } from './events';
 import { setAttributes } from './attributes';
+import { eventDelegatorOf } from './event-delegation';
+import { elementNamespace, HTML_NAMESPACE } from './namespaces';
 import { extractPropsAndEvents } from './utils/props';
+import { setRef } from './refs';
+import { bindToOwner, ownerOf } from './slots';
 
 /**
  * Inserts an element into the given parent element at the given index.
@@ -55,6 +59,9 @@ export function mountDOM(vdom, parentEl, index, hostComponent = null) {
 		case DOM_TYPES.COMPONENT:
 			createComponentNode(vdom, parentEl, index, hostComponent);
 			break;
+		case DOM_TYPES.PORTAL:
+			createPortalNodes(vdom, parentEl, index, hostComponent);
+			break;
 		default:
 			throw new Error(`Can't mount DOM of type: ${vdom.type}`);
 	}
@@ -107,10 +114,35 @@ function createFragmentNodes(vdom, parentEl, index, hostComponent) {
 	vdom.el = parentEl;
 
 	children.forEach((child, i) =>
-		mountDOM(child, parentEl, index ? index + i : null, hostComponent)
+		mountDOM(child, parentEl, index == null ? null : index + i, hostComponent)
 	);
 }
 
+/**
+ * Creates the comment marking a portal's place in its parent element, and mounts
+ * the portal's children into its target element, after the nodes it contains.
+ * The comment is added to the `el` property of the vdom, and the target element
+ * to the `targetEl` property.
+ *
+ * @param {import('./h').PortalVNode} vdom the virtual DOM node of type "portal"
+ * @param {HTMLElement} parentEl the host element to mount the virtual DOM node to
+ * @param {number} index
+ * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
+ */
+function createPortalNodes(vdom, parentEl, index, hostComponent) {
+	const targetEl = resolvePortalTarget(vdom.target);
+	const anchor = document.createComment('portal');
+
+	vdom.el = anchor;
+	vdom.targetEl = targetEl;
+	insert(anchor, parentEl, index);
+
+	vdom.children.forEach((child) =>
+		mountDOM(child, targetEl, null, hostComponent)
+	);
+	eventDelegatorOf(hostComponent)?.addPortal(vdom);
+}
+
 /**
  * Creates the component node, and all of its subcomponents recursively.
  *
@@ -131,11 +163,20 @@ function createFragmentNodes(vdom, parentEl, index, hostComponent) {
 function createComponentNode(vdom, parentEl, index, hostComponent) {
 	const Component = vdom.tag;
 	const { props, events } = extractPropsAndEvents(vdom);
-	const component = new Component(props, events, hostComponent);
+	// Only the root component node has an app context, the rest inherit it from their parent.
+	const component = new Component(
+		props,
+		bindToOwner(events, vdom),
+		hostComponent,
+		vdom.appContext
+	);
+	component.setExternalContent(vdom.children);
 
 	component.mount(parentEl, index);
 	vdom.component = component;
 	vdom.el = component.firstElement;
+
+	setRef(vdom.props.ref, component, ownerOf(vdom, hostComponent));
 }
 
 /**
@@ -151,50 +192,36 @@ function createComponentNode(vdom, parentEl, index, hostComponent) {
  * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
  */
 function createElementNode(vdom, parentEl, index, hostComponent) {
-	// The virtual DOM representation of a node like this:
-	// {
-	// 	type: DOM_TYPES.ELEMENT,
-	// 	tag: 'button',
-	// 	props: {
-	// 		on: {
-	// 			mouseover: () => console.log('almost yay!'),
-	// 			click: () => console.log('yay!'),
-	// 			dblclick: () => console.log('double yay!'),
-	// 		},
-	// 	},
-	// };
-	// or:
-	// {
-	// 	type: DOM_TYPES.ELEMENT,
-	// 	tag: 'button',
-	// 	props: {
-	// 		class: 'btn',
-	// 		on: { click: () => console.log('yay!') },
-	// 	},
-	// 	children: [
-	// 		{
-	// 			type: DOM_TYPES.TEXT,
-	// 			value: 'Click me!',
-	// 		},
-	// 	],
-	// };
 	const { tag, children } = vdom;
-
-	// 1. Create the element node using the document.createElement() function.
-	const element = document.createElement(tag);
-
-	// 2. Add the attributes and event listeners to the element node,
-	// saving the added event listeners in a new property of the virtual node, called listeners.
-	addProps(element, vdom, hostComponent);
-
-	// 3. Save a reference to the element node in the virtual node.
+	// The listeners and ref of slot content belong to the component that passed it.
+	const owner = ownerOf(vdom, hostComponent);
+
+	// 1. Create the element node using the document.createElement() function, or
+	// document.createElementNS() for the SVG and MathML elements, whose namespace
+	// is inherited from the parent element.
+	const namespace = elementNamespace(tag, parentEl);
+	const element =
+		namespace === HTML_NAMESPACE
+			? document.createElement(tag)
+			: document.createElementNS(namespace, tag);
+
+	// 2. Save a reference to the element node in the virtual node.
 	vdom.el = element;
 
-	// 4. Mount the children, recursively, into the element node
+	// 3. Mount the children, recursively, into the element node
 	children.forEach((child) => mountDOM(child, element, null, hostComponent));
 
+	// 4. Add the attributes and event listeners to the element node, saving the
+	// added event listeners in a new property of the virtual node, called listeners.
+	// The children are mounted first, so the value of a <select> can be one of
+	// its options.
+	addProps(element, vdom, owner);
+
 	// 5. Insert the element node to the parent element.
 	insert(element, parentEl, index);
+
+	// 6. Save the element in the owner component's refs, if the vdom has a ref.
+	setRef(vdom.props.ref, element, owner);
 }
 
 /**
@@ -0,0 +1,64 @@
+export const HTML_NAMESPACE = 'http://www.w3.org/1999/xhtml';
+export const SVG_NAMESPACE = 'http://www.w3.org/2000/svg';
+export const MATHML_NAMESPACE = 'http://www.w3.org/1998/Math/MathML';
+
+/**
+ * The namespaces of the prefixed attributes, like `xlink:href`.
+ */
+const ATTRIBUTE_NAMESPACES = {
+	xlink: 'http://www.w3.org/1999/xlink',
+	xml: 'http://www.w3.org/XML/1998/namespace',
+	xmlns: 'http://www.w3.org/2000/xmlns/',
+};
+
+/**
+ * The elements whose children are HTML again, inside an SVG or MathML element.
+ */
+const HTML_INTEGRATION_POINTS = new Set(['foreignObject', 'annotation-xml']);
+
+/**
+ * Returns the namespace an element is created in: the `<svg>` and `<math>`
+ * elements start the SVG and MathML namespaces, which their descendants inherit
+ * from their parent element. The other elements are HTML elements.
+ *
+ * @param {string} tag the tag of the element
+ * @param {Element} parentEl the element the element is mounted in
+ * @returns {string} the namespace
+ */
+export function elementNamespace(tag, parentEl) {
+	if (tag === 'svg') {
+		return SVG_NAMESPACE;
+	}
+
+	if (tag === 'math') {
+		return MATHML_NAMESPACE;
+	}
+
+	const parentNamespace = parentEl.namespaceURI;
+	if (
+		parentNamespace === SVG_NAMESPACE ||
+		parentNamespace === MATHML_NAMESPACE
+	) {
+		return HTML_INTEGRATION_POINTS.has(parentEl.localName)
+			? HTML_NAMESPACE
+			: parentNamespace;
+	}
+
+	return HTML_NAMESPACE;
+}
+
+/**
+ * Returns the namespace of a prefixed attribute name, like `xlink:href`, or
+ * `null` if the attribute doesn't have a namespace.
+ *
+ * @param {string} name the name of the attribute
+ * @returns {string|null} the namespace
+ */
+export function attributeNamespace(name) {
+	const separatorIndex = name.indexOf(':');
+	if (separatorIndex < 0) {
+		return null;
+	}
+
+	return ATTRIBUTE_NAMESPACES[name.slice(0, separatorIndex)] ?? null;
+}
@@ -42,3 +42,14 @@ export function areNodesEqual(nodeOne, nodeTwo) {
 
 	return true;
 }
+
+/**
+ * Returns a key grouping the virtual nodes that can be equal: two nodes equal
+ * according to `areNodesEqual()` always have the same key. It's the node's `key`
+ * prop, or else its tag (for the elements and components) or its type.
+ * @param {import('./h').VNode} node
+ * @returns {any}
+ */
+export function nodeKey(node) {
+	return node.props?.key ?? node.tag ?? node.type;
+}
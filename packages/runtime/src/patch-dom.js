@@ -1,18 +1,30 @@
 import {
 	removeAttribute,
 	removeStyle,
-	setAttribute,
+	setAttributesInOrder,
 	setStyle,
 } from './attributes';
 import { destroyDOM } from './destroy-dom';
-import { addEventListener } from './events';
-import { DOM_TYPES, extractChildren } from './h';
+import { eventDelegatorOf } from './event-delegation';
+import {
+	addEventListener,
+	areSameBindings,
+	removeEventListener,
+} from './events';
+import {
+	DOM_TYPES,
+	extractChildren,
+	extractNodes,
+	resolvePortalTarget,
+} from './h';
 import { mountDOM } from './mount-dom';
-import { areNodesEqual } from './nodes-equal';
+import { areNodesEqual, nodeKey } from './nodes-equal';
 import { arraysDiff, arraysDiffSequence, ARRAY_DIFF_OP } from './utils/arrays';
 import { objectsDiff } from './utils/objects';
 import { isNotBlankOrEmptyString } from './utils/strings';
 import { extractPropsAndEvents } from './utils/props';
+import { setRef, unsetRef } from './refs';
+import { bindToOwner, ownerOf } from './slots';
 
 /**
  * Patches the DOM by comparing the `oldVdom` and `newVdom` virtual nodes and
@@ -25,6 +37,9 @@ import { extractPropsAndEvents } from './utils/props';
  * elements as in the `oldVdom` tree, but with the changes applied. If a node
  * in the new tree is new, it'll be mounted and its `el` property set.
  *
+ * The nodes marked with `hStatic()` in both trees aren't compared: the new node
+ * gets the old node's mounted subtree.
+ *
  * @param {import('./h').VNode} oldVdom the old virtual dom
  * @param {import('./h').VNode} newVdom the new virtual dom
  * @param {Node} parentEl the parent element
@@ -32,9 +47,15 @@ import { extractPropsAndEvents } from './utils/props';
  * @returns {Element} the patched element
  */
 export function patchDOM(oldVdom, newVdom, parentEl, hostComponent = null) {
+	if (oldVdom.isStatic && newVdom.isStatic && areNodesEqual(oldVdom, newVdom)) {
+		// The new node takes over the mounted subtree, which doesn't need patching.
+		Object.assign(newVdom, oldVdom);
+		return newVdom;
+	}
+
 	if (!areNodesEqual(oldVdom, newVdom)) {
 		const index = findIndexInParent(parentEl, oldVdom.el);
-		destroyDOM(oldVdom);
+		destroyDOM(oldVdom, hostComponent);
 		mountDOM(newVdom, parentEl, index, hostComponent);
 
 		return newVdom;
@@ -49,17 +70,35 @@ export function patchDOM(oldVdom, newVdom, parentEl, hostComponent = null) {
 		}
 
 		case DOM_TYPES.ELEMENT: {
+			// The children are patched first, so the value of a <select> can be one
+			// of its new options.
+			patchChildren(oldVdom, newVdom, newVdom.el, 0, hostComponent);
 			patchElement(oldVdom, newVdom, hostComponent);
-			break;
+			return newVdom;
+		}
+
+		case DOM_TYPES.PORTAL: {
+			patchPortal(oldVdom, newVdom, hostComponent);
+			return newVdom;
 		}
 
 		case DOM_TYPES.COMPONENT: {
-			patchComponent(oldVdom, newVdom);
-			break;
+			// The children of a component node are its slots' content,
+			// which the component itself patches when it re-renders.
+			patchComponent(oldVdom, newVdom, hostComponent);
+			return newVdom;
 		}
 	}
 
-	patchChildren(oldVdom, newVdom, hostComponent);
+	// The children of a fragment are mounted in its parent element, after the
+	// nodes rendered before the component.
+	patchChildren(
+		oldVdom,
+		newVdom,
+		parentEl,
+		hostComponent?.offset ?? 0,
+		hostComponent
+	);
 
 	return newVdom;
 }
@@ -112,18 +151,16 @@ function patchText(oldVdom, newVdom) {
  */
 function patchElement(oldVdom, newVdom, hostComponent) {
 	const el = oldVdom.el;
+	const owner = ownerOf(newVdom, hostComponent);
+	// The key and ref props are left out, as they aren't attributes.
 	const {
-		class: oldClass,
-		style: oldStyle,
-		on: oldEvents,
-		...oldAttrs
-	} = oldVdom.props;
+		props: { class: oldClass, style: oldStyle, ...oldAttrs },
+		events: oldEvents,
+	} = extractPropsAndEvents(oldVdom);
 	const {
-		class: newClass,
-		style: newStyle,
-		on: newEvents,
-		...newAttrs
-	} = newVdom.props;
+		props: { class: newClass, style: newStyle, ...newAttrs },
+		events: newEvents,
+	} = extractPropsAndEvents(newVdom);
 	const { listeners: oldListeners } = oldVdom;
 
 	patchAttrs(el, oldAttrs, newAttrs);
@@ -134,15 +171,17 @@ function patchElement(oldVdom, newVdom, hostComponent) {
 		oldListeners,
 		oldEvents,
 		newEvents,
-		hostComponent
+		owner
 	);
+	patchRef(oldVdom, newVdom, el, owner);
 }
 
 /**
  * Patches the attributes of an element virtual node.
  *
  * The attributes are patched by removing the old attributes and setting the value
- * of the new and modified attributes.
+ * of the new and modified attributes, following the same rules and order as when
+ * the element is mounted.
  *
  * @param {Element} el the element to patch
  * @param {Object.<string, string>} oldAttrs the attributes of the old virtual node
@@ -155,9 +194,10 @@ function patchAttrs(el, oldAttrs, newAttrs) {
 		removeAttribute(el, attr);
 	}
 
-	for (const attr of added.concat(updated)) {
-		setAttribute(el, attr, newAttrs[attr]);
-	}
+	const changedAttrs = Object.fromEntries(
+		added.concat(updated).map((attr) => [attr, newAttrs[attr]])
+	);
+	setAttributesInOrder(el, changedAttrs);
 }
 
 /**
@@ -225,14 +265,18 @@ function patchStyles(el, oldStyle = {}, newStyle = {}) {
  *
  * The events are patched by removing the event listeners that were removed or
  * modified in the new virtual node, and by adding the added and modified event
- * listeners.
+ * listeners. The object form of the handlers, with the listener options, is
+ * compared by value, so it can be written inline in the render function.
+ *
+ * When the application delegates the events, the delegated handlers are saved
+ * in the event delegator, replacing the old ones.
  *
  * @param {Element} el the element to patch
  * @param {Object.<string, Function>} oldListeners the listeners added to the DOM
- * @param {Object.<string, Function>} oldEvents the events of the old virtual node
- * @param {Object.<string, Function>} newEvents the events of the new virtual node
+ * @param {Object.<string, Function|import('./events').EventListenerBinding>} oldEvents the events of the old virtual node
+ * @param {Object.<string, Function|import('./events').EventListenerBinding>} newEvents the events of the new virtual node
  * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
- * @returns {Object.<string, Function>} the listeners that were added
+ * @returns {Object.<string, Function>} the listeners added to the DOM, including the kept ones
  */
 function patchEvents(
 	el,
@@ -241,25 +285,44 @@ function patchEvents(
 	newEvents = {},
 	hostComponent
 ) {
-	const { removed, added, updated } = objectsDiff(oldEvents, newEvents);
+	// The delegated handlers are replaced without touching the DOM, and only the
+	// other ones have a listener to patch.
+	const delegator = eventDelegatorOf(hostComponent);
+	const oldListenedEvents = delegator
+		? delegator.undelegatedEvents(oldEvents)
+		: oldEvents;
+	const newListenedEvents = delegator
+		? delegator.bind(el, newEvents, hostComponent)
+		: newEvents;
+
+	const { removed, added, updated } = objectsDiff(
+		oldListenedEvents,
+		newListenedEvents
+	);
+	const changed = updated.filter(
+		(eventName) =>
+			!areSameBindings(
+				oldListenedEvents[eventName],
+				newListenedEvents[eventName]
+			)
+	);
+	const listeners = { ...oldListeners };
 
-	for (const eventName of removed.concat(updated)) {
-		el.removeEventListener(eventName, oldListeners[eventName]);
+	for (const eventName of removed.concat(changed)) {
+		removeEventListener(oldListeners[eventName], el);
+		delete listeners[eventName];
 	}
 
-	const addedListeners = {};
-
-	for (const eventName of added.concat(updated)) {
-		const listener = addEventListener(
+	for (const eventName of added.concat(changed)) {
+		listeners[eventName] = addEventListener(
 			eventName,
-			newEvents[eventName],
+			newListenedEvents[eventName],
 			el,
 			hostComponent
 		);
-		addedListeners[eventName] = listener;
 	}
 
-	return addedListeners;
+	return listeners;
 }
 
 /**
@@ -270,17 +333,82 @@ function patchEvents(
  * the component. Calling `updateProps()` will cause call the component's `#patch()`
  * method, which will in turn use the `patchDOM()` function to patch the DOM.
  *
+ * The new children of the component node are passed to the component before it
+ * re-renders, so its slots are filled with the new content, and the new event
+ * handlers replace the ones the component was mounted with.
+ *
  * @param {import('./h').ComponentVNode} oldVdom the old virtual node
  * @param {import('./h').ComponentVNode} newVdom the new virtual node
+ * @param {import('./component').Component} [hostComponent] The component rendering the component node
  */
-function patchComponent(oldVdom, newVdom) {
+function patchComponent(oldVdom, newVdom, hostComponent) {
 	const { component } = oldVdom;
-	const { props } = extractPropsAndEvents(newVdom);
+	const { props, events } = extractPropsAndEvents(newVdom);
 
+	component.setExternalContent(newVdom.children);
+	component.updateEventHandlers(bindToOwner(events, newVdom));
 	component.updateProps(props);
 
 	newVdom.component = component;
 	newVdom.el = component.firstElement;
+
+	patchRef(oldVdom, newVdom, component, ownerOf(newVdom, hostComponent));
+}
+
+/**
+ * Patches a portal virtual node.
+ *
+ * If the portal's target changed, the DOM nodes of its children are moved to the
+ * new target element. Then, the children are patched inside the target element.
+ *
+ * @param {import('./h').PortalVNode} oldVdom the old virtual node
+ * @param {import('./h').PortalVNode} newVdom the new virtual node
+ * @param {import('./component').Component} [hostComponent] The component rendering the portal
+ */
+function patchPortal(oldVdom, newVdom, hostComponent) {
+	const oldChildren = extractChildren(oldVdom);
+	const targetEl = resolvePortalTarget(newVdom.target);
+
+	if (targetEl !== oldVdom.targetEl) {
+		for (const child of oldChildren) {
+			targetEl.append(...extractNodes(child));
+		}
+	}
+
+	newVdom.targetEl = targetEl;
+
+	// The children are the portal's nodes in the target, which can have other nodes
+	// before them. Without children, the new ones are appended to the target.
+	const [firstNode] = oldChildren.flatMap(extractNodes);
+	const offset = firstNode
+		? findIndexInParent(targetEl, firstNode)
+		: targetEl.childNodes.length;
+
+	patchChildren(oldVdom, newVdom, targetEl, offset, hostComponent);
+	eventDelegatorOf(hostComponent)?.addPortal(newVdom);
+}
+
+/**
+ * Patches the ref of an element or component virtual node.
+ *
+ * If the ref changed, the old ref is cleared and the new one is set to the
+ * same element or component, which is kept when the virtual node is patched.
+ *
+ * @param {import('./h').VNode} oldVdom the old virtual node
+ * @param {import('./h').VNode} newVdom the new virtual node
+ * @param {Node|import('./component').Component} value the patched element or component
+ * @param {import('./component').Component} [hostComponent] The component whose refs point at the value
+ */
+function patchRef(oldVdom, newVdom, value, hostComponent) {
+	const { ref: oldRef } = oldVdom.props;
+	const { ref: newRef } = newVdom.props;
+
+	if (oldRef === newRef) {
+		return;
+	}
+
+	unsetRef(oldRef, value, hostComponent);
+	setRef(newRef, value, hostComponent);
 }
 
 /**
@@ -296,20 +424,34 @@ function patchComponent(oldVdom, newVdom) {
  * - `ARRAY_DIFF_OP.MOVE`: the old child's element is moved to its new index and the nodes are passed to the `patchDOM` function
  * - `ARRAY_DIFF_OP.NOOP`: both virtual nodes are passed to the `patchDOM` function
  *
+ * The children's DOM nodes are in `parentEl`, starting at the `offset` index:
+ * the children of a fragment or a portal can follow other nodes.
+ *
  * @param {import('./h').VNode} oldVdom The old virtual node
  * @param {import('./h').VNode} newVdom the new virtual node
+ * @param {Element} parentEl the element containing the children's DOM nodes
+ * @param {number} offset the index of the first child's DOM node in the parent element
  * @param {import('./component').Component} [hostComponent] The component that the listeners are added to
  */
-function patchChildren(oldVdom, newVdom, hostComponent) {
+function patchChildren(oldVdom, newVdom, parentEl, offset, hostComponent) {
 	const oldChildren = extractChildren(oldVdom);
 	const newChildren = extractChildren(newVdom);
-	const parentEl = oldVdom.el;
 
-	const diffSeq = arraysDiffSequence(oldChildren, newChildren, areNodesEqual);
+	const diffSeq = arraysDiffSequence(
+		oldChildren,
+		newChildren,
+		areNodesEqual,
+		nodeKey
+	);
+	// The additions, moves and no-ops follow the order of the new children.
+	let newIndex = 0;
 
 	for (const operation of diffSeq) {
 		const { originalIndex, index, item } = operation;
-		const offset = hostComponent?.offset ?? 0;
+
+		if (operation.op !== ARRAY_DIFF_OP.REMOVE) {
+			newIndex++;
+		}
 
 		switch (operation.op) {
 			case ARRAY_DIFF_OP.ADD: {
@@ -318,18 +460,21 @@ function patchChildren(oldVdom, newVdom, hostComponent) {
 			}
 
 			case ARRAY_DIFF_OP.REMOVE: {
-				destroyDOM(item);
+				destroyDOM(item, hostComponent);
 				break;
 			}
 
 			case ARRAY_DIFF_OP.MOVE: {
 				const oldChild = oldChildren[originalIndex];
-				// Gets the new virtual node at the new index
-				const newChild = newChildren[index];
+				// Gets the new virtual node the moved node corresponds to
+				const newChild = newChildren[newIndex - 1];
 				// Gets the DOM element associated with the moved node
 				const el = oldChild.el;
-				// Finds the element at the target index inside the parent element
-				const elAtTargetIndex = parentEl.childNodes[index + offset];
+				// Finds the element at the target index inside the parent element. The
+				// index is the position once the element is removed, so when it moves
+				// forward, the target is the element after the one at this index.
+				const targetIndex = operation.from < index ? index + 1 : index;
+				const elAtTargetIndex = parentEl.childNodes[targetIndex + offset];
 
 				// Inserts the moved element before the target element
 				parentEl.insertBefore(el, elAtTargetIndex);
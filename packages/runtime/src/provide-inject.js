@@ -0,0 +1,70 @@
+import { hasOwnProperty } from './utils/objects';
+
+/**
+ * A value provided by a component (or the application) to its descendants,
+ * along with the functions to call when the value changes.
+ *
+ * @typedef Provision
+ * @type {object}
+ * @property {any} value - The provided value.
+ * @property {Set<() => void>} dependents - The functions notified when the value changes.
+ */
+
+/**
+ * The values provided by a component, by key. Its prototype is the object of the
+ * parent component (or the application), so a key lookup walks up the component
+ * tree until it finds the closest provider.
+ *
+ * @typedef {Object.<(string|symbol), Provision>} Provides
+ */
+
+/**
+ * Creates the object holding the values provided by a component or an application.
+ *
+ * @param {Provides|null} parentProvides the values provided by the ancestors
+ * @returns {Provides} the provides object
+ */
+export function createProvides(parentProvides = null) {
+	return Object.create(parentProvides);
+}
+
+/**
+ * Provides a value under the given key. If the key was already provided by the
+ * same owner and the value changed, the dependents are notified.
+ *
+ * @param {Provides} provides the provides object of the owner
+ * @param {string|symbol} key the key to provide the value under
+ * @param {any} value the value to provide
+ */
+export function provideValue(provides, key, value) {
+	if (!hasOwnProperty(provides, key)) {
+		provides[key] = { value, dependents: new Set() };
+		return;
+	}
+
+	const provision = provides[key];
+	if (provision.value === value) {
+		return;
+	}
+
+	provision.value = value;
+	provision.dependents.forEach((notify) => notify());
+}
+
+/**
+ * Finds the closest provision of the given key, skipping the values provided by
+ * the owner of the provides object itself.
+ *
+ * @param {Provides} provides the provides object of the injecting component
+ * @param {string|symbol} key the key to look up
+ * @returns {Provision|null} the provision, or `null` if no ancestor provides the key
+ */
+export function findProvision(provides, key) {
+	const parentProvides = Object.getPrototypeOf(provides);
+
+	if (parentProvides == null || !(key in parentProvides)) {
+		return null;
+	}
+
+	return parentProvides[key];
+}
@@ -0,0 +1,431 @@
+import { hasOwnProperty } from './utils/objects';
+
+/**
+ * Reading this key from a reactive proxy returns the original object. The other
+ * proxies of the runtime, like the ones tracking the reads of the computed
+ * properties, answer it too, so `toRaw()` unwraps them all.
+ */
+export const RAW = Symbol('raw');
+
+/**
+ * The key under which the effects depending on the keys of an object (or the
+ * entries of a collection) are tracked, like a render iterating over it.
+ */
+const ITERATE_KEY = Symbol('iterate');
+
+/**
+ * The effects depending on each key of each object.
+ * @type {WeakMap<object, Map<any, Set<ReactiveEffect>>>}
+ */
+const targetsDependencies = new WeakMap();
+
+/**
+ * The reactive proxy of each object, so an object always has the same proxy.
+ * @type {WeakMap<object, object>}
+ */
+const proxies = new WeakMap();
+
+/**
+ * The effect whose function is running, which depends on the values read.
+ * @type {ReactiveEffect|null}
+ */
+let activeEffect = null;
+
+/**
+ * A function whose reads of reactive objects are tracked: when one of the values
+ * it read changes, the effect's scheduler is called. The dependencies are
+ * collected again each time the function runs.
+ */
+export class ReactiveEffect {
+	#scheduler = null;
+	/**
+	 * The sets of effects this effect was added to.
+	 * @type {Set<Set<ReactiveEffect>>}
+	 */
+	#dependencies = new Set();
+
+	/**
+	 * @param {() => void} scheduler the function called when a value the effect depends on changes
+	 */
+	constructor(scheduler) {
+		this.#scheduler = scheduler;
+	}
+
+	/**
+	 * Runs the function, tracking the reactive values it reads.
+	 *
+	 * @param {() => any} fn the function to run
+	 * @returns {any} the value returned by the function
+	 */
+	run(fn) {
+		this.stop();
+		const outerEffect = activeEffect;
+		activeEffect = this;
+
+		try {
+			return fn();
+		} finally {
+			activeEffect = outerEffect;
+		}
+	}
+
+	/**
+	 * Removes the effect's dependencies: it's no longer notified of the changes.
+	 */
+	stop() {
+		this.#dependencies.forEach((effects) => effects.delete(this));
+		this.#dependencies.clear();
+	}
+
+	addDependency(effects) {
+		effects.add(this);
+		this.#dependencies.add(effects);
+	}
+
+	notify() {
+		this.#scheduler();
+	}
+}
+
+/**
+ * Returns a deep reactive proxy of an object, an array, a `Map` or a `Set`: the
+ * effects reading its values (like the components' renders) are notified when
+ * they change, including the nested objects and the in-place array mutations
+ * like `push()`. The other values are returned as they are.
+ *
+ * @example
+ * const todos = reactive([{ text: 'Walk', done: false }]);
+ * todos[0].done = true; // re-renders the components that read `done`
+ *
+ * @param {T} value the object to make reactive
+ * @returns {T} the reactive proxy
+ * @template T
+ */
+export function reactive(value) {
+	if (!canBeReactive(value) || isReactive(value)) {
+		return value;
+	}
+
+	const object = toRaw(value);
+	if (!proxies.has(object)) {
+		const handlers = isCollection(object) ? collectionHandlers : objectHandlers;
+		proxies.set(object, new Proxy(object, handlers));
+	}
+
+	return proxies.get(object);
+}
+
+/**
+ * Returns the original object of a reactive proxy, or the value itself.
+ *
+ * @param {T} value the reactive proxy
+ * @returns {T} the original object
+ * @template T
+ */
+export function toRaw(value) {
+	return (canBeReactive(value) && value[RAW]) || value;
+}
+
+/**
+ * Checks if a value is a reactive proxy.
+ *
+ * @param {any} value
+ * @returns {boolean}
+ */
+export function isReactive(value) {
+	return canBeReactive(value) && proxies.get(toRaw(value)) === value;
+}
+
+function canBeReactive(value) {
+	if (value === null || typeof value !== 'object') {
+		return false;
+	}
+
+	const prototype = Object.getPrototypeOf(value);
+	return (
+		prototype === Object.prototype ||
+		prototype === null ||
+		Array.isArray(value) ||
+		isCollection(value)
+	);
+}
+
+function isCollection(value) {
+	return (
+		value instanceof Map ||
+		value instanceof Set ||
+		value instanceof WeakMap ||
+		value instanceof WeakSet
+	);
+}
+
+function isArrayIndex(target, key) {
+	return (
+		Array.isArray(target) &&
+		typeof key === 'string' &&
+		String(Number(key) >>> 0) === key
+	);
+}
+
+function track(target, key) {
+	if (activeEffect == null) {
+		return;
+	}
+
+	if (!targetsDependencies.has(target)) {
+		targetsDependencies.set(target, new Map());
+	}
+
+	const dependencies = targetsDependencies.get(target);
+	if (!dependencies.has(key)) {
+		dependencies.set(key, new Set());
+	}
+
+	activeEffect.addDependency(dependencies.get(key));
+}
+
+function trigger(target, ...keys) {
+	const dependencies = targetsDependencies.get(target);
+	if (dependencies == null) {
+		return;
+	}
+
+	const effects = new Set(
+		keys.flatMap((key) => [...(dependencies.get(key) ?? [])])
+	);
+
+	for (const effect of effects) {
+		// An effect changing a value it read isn't notified of its own change.
+		if (effect !== activeEffect) {
+			effect.notify();
+		}
+	}
+}
+
+/**
+ * The array methods looking for an item: the items of the original array aren't
+ * proxies, so the item searched for is compared without its proxy.
+ */
+const arraySearchMethods = Object.fromEntries(
+	['includes', 'indexOf', 'lastIndexOf'].map((name) => [
+		name,
+		function (item, ...args) {
+			const target = toRaw(this);
+			track(target, 'length');
+			for (let i = 0; i < target.length; i++) {
+				track(target, String(i));
+			}
+
+			return target[name](toRaw(item), ...args);
+		},
+	])
+);
+
+const objectHandlers = {
+	get(target, key, receiver) {
+		if (key === RAW) {
+			return target;
+		}
+
+		if (Array.isArray(target) && hasOwnProperty(arraySearchMethods, key)) {
+			return arraySearchMethods[key];
+		}
+
+		const value = Reflect.get(target, key, receiver);
+
+		if (typeof key !== 'symbol') {
+			track(target, key);
+		}
+
+		return reactive(value);
+	},
+
+	set(target, key, value, receiver) {
+		const rawValue = toRaw(value);
+		const oldValue = target[key];
+		const hadKey = isArrayIndex(target, key)
+			? Number(key) < target.length
+			: hasOwnProperty(target, key);
+		const oldLength = Array.isArray(target) ? target.length : 0;
+
+		const result = Reflect.set(target, key, rawValue, receiver);
+
+		if (!hadKey) {
+			trigger(target, key, ITERATE_KEY);
+		} else if (!Object.is(oldValue, rawValue)) {
+			trigger(target, key);
+		}
+
+		if (Array.isArray(target) && target.length !== oldLength) {
+			// Truncating the array removes the items after the new length.
+			const removedIndices = Array.from(
+				{ length: Math.max(oldLength - target.length, 0) },
+				(_, i) => String(target.length + i)
+			);
+			trigger(target, 'length', ITERATE_KEY, ...removedIndices);
+		}
+
+		return result;
+	},
+
+	deleteProperty(target, key) {
+		const hadKey = hasOwnProperty(target, key);
+		const result = Reflect.deleteProperty(target, key);
+
+		if (hadKey) {
+			trigger(target, key, ITERATE_KEY);
+		}
+
+		return result;
+	},
+
+	has(target, key) {
+		if (typeof key !== 'symbol') {
+			track(target, key);
+		}
+
+		return Reflect.has(target, key);
+	},
+
+	ownKeys(target) {
+		track(target, Array.isArray(target) ? 'length' : ITERATE_KEY);
+		return Reflect.ownKeys(target);
+	},
+};
+
+/**
+ * The methods of the reactive collections, called with the proxy as `this`.
+ */
+const collectionMethods = {
+	get(key) {
+		const target = toRaw(this);
+		const rawKey = toRaw(key);
+		track(target, rawKey);
+
+		return reactive(target.get(rawKey));
+	},
+
+	has(key) {
+		const target = toRaw(this);
+		const rawKey = toRaw(key);
+		track(target, rawKey);
+
+		return target.has(rawKey);
+	},
+
+	set(key, value) {
+		const target = toRaw(this);
+		const rawKey = toRaw(key);
+		const rawValue = toRaw(value);
+		const hadKey = target.has(rawKey);
+		const oldValue = target.get(rawKey);
+
+		target.set(rawKey, rawValue);
+
+		if (!hadKey) {
+			trigger(target, rawKey, ITERATE_KEY);
+		} else if (!Object.is(oldValue, rawValue)) {
+			// The values are read by the iteration methods too, like values().
+			trigger(target, rawKey, ITERATE_KEY);
+		}
+
+		return this;
+	},
+
+	add(value) {
+		const target = toRaw(this);
+		const rawValue = toRaw(value);
+
+		if (!target.has(rawValue)) {
+			target.add(rawValue);
+			trigger(target, rawValue, ITERATE_KEY);
+		}
+
+		return this;
+	},
+
+	delete(key) {
+		const target = toRaw(this);
+		const rawKey = toRaw(key);
+		const hadKey = target.has(rawKey);
+		const result = target.delete(rawKey);
+
+		if (hadKey) {
+			trigger(target, rawKey, ITERATE_KEY);
+		}
+
+		return result;
+	},
+
+	clear() {
+		const target = toRaw(this);
+		const keys = [...target.keys()];
+		target.clear();
+
+		if (keys.length > 0) {
+			trigger(target, ...keys, ITERATE_KEY);
+		}
+	},
+
+	forEach(callback, thisArg) {
+		const target = toRaw(this);
+		track(target, ITERATE_KEY);
+
+		target.forEach((value, key) =>
+			callback.call(thisArg, reactive(value), reactive(key), this)
+		);
+	},
+
+	*keys() {
+		const target = toRaw(this);
+		track(target, ITERATE_KEY);
+
+		for (const key of target.keys()) {
+			yield reactive(key);
+		}
+	},
+
+	*values() {
+		const target = toRaw(this);
+		track(target, ITERATE_KEY);
+
+		for (const value of target.values()) {
+			yield reactive(value);
+		}
+	},
+
+	*entries() {
+		const target = toRaw(this);
+		track(target, ITERATE_KEY);
+
+		for (const [key, value] of target.entries()) {
+			yield [reactive(key), reactive(value)];
+		}
+	},
+};
+
+const collectionHandlers = {
+	get(target, key) {
+		if (key === RAW) {
+			return target;
+		}
+
+		if (key === 'size') {
+			track(target, ITERATE_KEY);
+			return target.size;
+		}
+
+		if (key === Symbol.iterator) {
+			return target instanceof Map
+				? collectionMethods.entries
+				: collectionMethods.values;
+		}
+
+		if (hasOwnProperty(collectionMethods, key)) {
+			return collectionMethods[key];
+		}
+
+		const value = Reflect.get(target, key, target);
+		return typeof value === 'function' ? value.bind(target) : value;
+	},
+};
@@ -0,0 +1,55 @@
+/**
+ * A template ref: either the name under which the referenced element or component
+ * is saved in the host component's `refs`, or a function called with it.
+ *
+ * @typedef {string|((value: (Node|import('./component').Component|null)) => void)} Ref
+ */
+
+/**
+ * Saves the element or component a virtual node is mounted to in the host
+ * component's `refs`, or passes it to the callback ref.
+ *
+ * @param {Ref} [ref] the ref prop of the virtual node
+ * @param {Node|import('./component').Component} value the mounted element or component
+ * @param {import('./component').Component} [hostComponent] the component rendering the virtual node
+ */
+export function setRef(ref, value, hostComponent) {
+	if (ref == null) {
+		return;
+	}
+
+	if (typeof ref === 'function') {
+		ref.call(hostComponent, value);
+		return;
+	}
+
+	if (hostComponent) {
+		hostComponent.refs[ref] = value;
+	}
+}
+
+/**
+ * Removes the element or component from the host component's `refs`, or calls
+ * the callback ref with `null`.
+ *
+ * A named ref is only removed if it still references the given value, as another
+ * node with the same ref might have been mounted in the meantime.
+ *
+ * @param {Ref} [ref] the ref prop of the virtual node
+ * @param {Node|import('./component').Component} value the element or component being removed
+ * @param {import('./component').Component} [hostComponent] the component rendering the virtual node
+ */
+export function unsetRef(ref, value, hostComponent) {
+	if (ref == null) {
+		return;
+	}
+
+	if (typeof ref === 'function') {
+		ref.call(hostComponent, null);
+		return;
+	}
+
+	if (hostComponent && hostComponent.refs[ref] === value) {
+		delete hostComponent.refs[ref];
+	}
+}
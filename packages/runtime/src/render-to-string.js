@@ -0,0 +1,251 @@
+import { PROPERTY_TO_ATTRIBUTE, toAttributeValue } from './attributes';
+import { DOM_TYPES, h } from './h';
+import { extractPropsAndEvents } from './utils/props';
+import { isNotBlankOrEmptyString } from './utils/strings';
+
+/**
+ * The elements that can't have children, and thus don't have a closing tag.
+ * @see {@link https://html.spec.whatwg.org/multipage/syntax.html#void-elements}
+ */
+const VOID_ELEMENTS = new Set([
+	'area',
+	'base',
+	'br',
+	'col',
+	'embed',
+	'hr',
+	'img',
+	'input',
+	'link',
+	'meta',
+	'source',
+	'track',
+	'wbr',
+]);
+
+/**
+ * Renders a virtual DOM tree, or a component, to an HTML string.
+ *
+ * The components are instantiated with their props, which runs their `state()`
+ * function, and rendered, but they aren't mounted: the `onMounted()` hook and the
+ * event handlers don't run, as they need a browser. The DOM isn't used, so this
+ * function works in plain Node.
+ *
+ * The portals render the comment marking their place, but not their content.
+ *
+ * The attributes are serialized following the same rules `setAttributes()` uses
+ * to set them in the DOM, and the text and attribute values are escaped. The
+ * `value` of a `<textarea>` is rendered as its content, and the `value` of a
+ * `<select>` as the `selected` attribute of the matching options, as browsers
+ * ignore the `value` attribute of these elements.
+ *
+ * @param {import('./h').VNode|import('./component').Component} vnodeOrComponent the virtual DOM tree, or the component, to render
+ * @param {Object} [props] the props of the component, when a component is passed
+ * @returns {string} the HTML
+ */
+export function renderToString(vnodeOrComponent, props = {}) {
+	const vdom =
+		typeof vnodeOrComponent === 'function'
+			? h(vnodeOrComponent, props)
+			: vnodeOrComponent;
+
+	return renderNode(vdom, null);
+}
+
+/**
+ * @param {import('./h').VNode} vdom the virtual node to render
+ * @param {import('./component').Component} [hostComponent] the component rendering the virtual node
+ * @param {any} [selectValue] the value of the `<select>` containing the node, if any
+ * @returns {string} the HTML
+ */
+function renderNode(vdom, hostComponent, selectValue) {
+	switch (vdom.type) {
+		case DOM_TYPES.TEXT:
+			return escapeHtml(vdom.value);
+		case DOM_TYPES.ELEMENT:
+			return renderElement(vdom, hostComponent, selectValue);
+		case DOM_TYPES.FRAGMENT:
+		case DOM_TYPES.SLOT:
+			// A slot outside a component renders its default content.
+			return renderChildren(vdom.children, hostComponent, selectValue);
+		case DOM_TYPES.COMPONENT:
+			return renderComponent(vdom, hostComponent, selectValue);
+		case DOM_TYPES.PORTAL:
+			// The content goes into another element, which isn't part of the
+			// rendered HTML: it's mounted in the browser when hydrating.
+			return '<!--portal-->';
+		default:
+			throw new Error(`Can't render to string DOM of type: ${vdom.type}`);
+	}
+}
+
+function renderChildren(children, hostComponent, selectValue) {
+	return children
+		.map((child) => renderNode(child, hostComponent, selectValue))
+		.join('');
+}
+
+function renderElement(vdom, hostComponent, selectValue) {
+	const { tag, children } = vdom;
+	// The event handlers, key and ref aren't rendered.
+	const {
+		props: { innerHTML, textContent, ...attrs },
+	} = extractPropsAndEvents(vdom);
+	let childrenSelectValue = selectValue;
+	let textValue = textContent;
+
+	if (tag === 'select') {
+		childrenSelectValue = attrs.value;
+		delete attrs.value;
+	} else if (tag === 'textarea') {
+		textValue = attrs.value ?? textContent;
+		delete attrs.value;
+	} else if (tag === 'option' && selectValue != null) {
+		attrs.selected = isSelectedOption(vdom, selectValue);
+	}
+
+	const openingTag = `<${tag}${renderAttributes(attrs)}>`;
+
+	if (VOID_ELEMENTS.has(tag)) {
+		return openingTag;
+	}
+
+	let content = '';
+	if (innerHTML != null) {
+		content = String(innerHTML);
+	} else if (textValue != null) {
+		content = escapeHtml(textValue);
+	} else {
+		content = renderChildren(children, hostComponent, childrenSelectValue);
+	}
+
+	return `${openingTag}${content}</${tag}>`;
+}
+
+/**
+ * Checks if an option matches the value of its `<select>`: the value of a
+ * multiple select is an array. Like in the DOM, an option without a `value`
+ * prop has its text as value.
+ *
+ * @param {import('./h').ElementVNode} vdom the option's virtual node
+ * @param {any} selectValue the select's value
+ * @returns {boolean} whether the option is selected
+ */
+function isSelectedOption(vdom, selectValue) {
+	const optionValue = String(vdom.props.value ?? textOf(vdom).trim());
+
+	return Array.isArray(selectValue)
+		? selectValue.map(String).includes(optionValue)
+		: String(selectValue) === optionValue;
+}
+
+function textOf(vdom) {
+	if (vdom.type === DOM_TYPES.TEXT) {
+		return String(vdom.value);
+	}
+
+	return (vdom.children ?? []).map(textOf).join('');
+}
+
+function renderComponent(vdom, hostComponent, selectValue) {
+	const Component = vdom.tag;
+	const { props, events } = extractPropsAndEvents(vdom);
+	const component = new Component(
+		props,
+		events,
+		hostComponent,
+		vdom.appContext
+	);
+	component.setExternalContent(vdom.children);
+
+	return renderNode(component.render(), component, selectValue);
+}
+
+/**
+ * Serializes the attributes of an element, each preceded by a space.
+ *
+ * @param {Object} attrs the attributes, without the event handlers
+ * @returns {string} the serialized attributes
+ */
+function renderAttributes(attrs) {
+	const { class: className, style, ...otherAttrs } = attrs;
+	let html = '';
+
+	const classes = renderClass(className);
+	if (classes) {
+		html += ` class="${escapeAttribute(classes)}"`;
+	}
+
+	const styles = renderStyle(style);
+	if (styles) {
+		html += ` style="${escapeAttribute(styles)}"`;
+	}
+
+	for (const [name, value] of Object.entries(otherAttrs)) {
+		// Like in setAttribute(), null, undefined and false values remove the
+		// attribute, and true sets an empty one (except for the aria-* attributes).
+		const attrValue = toAttributeValue(name, value);
+		if (attrValue == null) {
+			continue;
+		}
+
+		const attrName = PROPERTY_TO_ATTRIBUTE[name] ?? name;
+		html +=
+			attrValue === ''
+				? ` ${attrName}`
+				: ` ${attrName}="${escapeAttribute(attrValue)}"`;
+	}
+
+	return html;
+}
+
+function renderClass(className) {
+	if (Array.isArray(className)) {
+		return className.filter(isNotBlankOrEmptyString).join(' ');
+	}
+
+	return className ?? '';
+}
+
+function renderStyle(style) {
+	if (style == null) {
+		return '';
+	}
+
+	return Object.entries(style)
+		.filter(([, value]) => value != null && value !== '')
+		.map(([name, value]) => `${toKebabCase(name)}: ${value};`)
+		.join(' ');
+}
+
+function toKebabCase(name) {
+	// Custom properties (--main-color) are case sensitive.
+	if (name.startsWith('--')) {
+		return name;
+	}
+
+	return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
+
+/**
+ * Escapes the characters that have a meaning in HTML text.
+ *
+ * @param {any} value the text
+ * @returns {string} the escaped text
+ */
+function escapeHtml(value) {
+	return String(value)
+		.replace(/&/g, '&amp;')
+		.replace(/</g, '&lt;')
+		.replace(/>/g, '&gt;');
+}
+
+/**
+ * Escapes the characters that have a meaning in a double-quoted attribute value.
+ *
+ * @param {any} value the attribute value
+ * @returns {string} the escaped value
+ */
+function escapeAttribute(value) {
+	return escapeHtml(value).replace(/"/g, '&quot;');
+}
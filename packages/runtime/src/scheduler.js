@@ -0,0 +1,140 @@
+/**
+ * The maximum number of times the updates and jobs are flushed in a row, before
+ * the scheduler gives up on an update enqueuing itself again and again.
+ */
+const MAX_FLUSH_ITERATIONS = 100;
+
+let isScheduled = false;
+const jobs = [];
+
+/**
+ * @type {Map<import('./component').Component, () => void>}
+ */
+const pendingUpdates = new Map();
+
+/**
+ * Enqueues a job to run in the next microtask.
+ *
+ * Jobs run in the order they were enqueued. A job may return a promise, in
+ * which case the scheduler doesn't wait for it to settle, but reports its
+ * rejection instead of letting it go unnoticed.
+ *
+ * @param {() => (void|Promise<void>)} job the job to run
+ */
+export function enqueueJob(job) {
+	jobs.push(job);
+	scheduleUpdate();
+}
+
+/**
+ * Enqueues the re-render of a component, which happens in the next microtask.
+ *
+ * A component is re-rendered only once per flush, no matter how many times
+ * its update is enqueued. The dirty components are re-rendered parents first,
+ * so a child whose parent re-renders it in the meantime isn't rendered twice.
+ *
+ * @param {import('./component').Component} component the component to re-render
+ * @param {() => void} update the function re-rendering the component
+ */
+export function enqueueUpdate(component, update) {
+	if (!pendingUpdates.has(component)) {
+		pendingUpdates.set(component, update);
+	}
+
+	scheduleUpdate();
+}
+
+/**
+ * Removes the pending update of a component, if any. Used when the component
+ * is re-rendered (or unmounted) before the scheduler gets to it.
+ *
+ * @param {import('./component').Component} component the component
+ */
+export function cancelUpdate(component) {
+	pendingUpdates.delete(component);
+}
+
+/**
+ * Returns a promise that resolves once all the pending updates and jobs have
+ * been run, that is, when the DOM is in sync with the components' state.
+ *
+ * @returns {Promise<void>}
+ */
+export function nextTick() {
+	scheduleUpdate();
+	return flushPromises();
+}
+
+function scheduleUpdate() {
+	if (isScheduled) return;
+
+	isScheduled = true;
+	queueMicrotask(processJobs);
+}
+
+function processJobs() {
+	let iterations = 0;
+
+	try {
+		// Updates and jobs can enqueue more of each other (an `onMounted()` hook
+		// updating the state, a re-render mounting a new component...)
+		while (pendingUpdates.size > 0 || jobs.length > 0) {
+			if (++iterations > MAX_FLUSH_ITERATIONS) {
+				console.error(
+					`[scheduler]: maximum recursive updates exceeded (${MAX_FLUSH_ITERATIONS}), a component probably updates its state while rendering`
+				);
+				pendingUpdates.clear();
+				jobs.length = 0;
+				break;
+			}
+
+			flushUpdates();
+			runJobs();
+		}
+	} finally {
+		isScheduled = false;
+	}
+}
+
+function flushUpdates() {
+	const components = [...pendingUpdates.keys()].sort(
+		(a, b) => a.depth - b.depth
+	);
+
+	for (const component of components) {
+		// The update might have been cancelled by a parent re-rendering the component.
+		if (!pendingUpdates.has(component)) continue;
+
+		const update = pendingUpdates.get(component);
+		pendingUpdates.delete(component);
+
+		try {
+			update();
+		} catch (error) {
+			console.error('[scheduler]: a component update failed', error);
+		}
+	}
+}
+
+function runJobs() {
+	while (jobs.length > 0) {
+		const job = jobs.shift();
+		// A job can throw synchronously or return a rejected promise,
+		// both cases are reported the same way.
+		const result = (async () => job())();
+
+		result.catch((error) => {
+			console.error('[scheduler]: an enqueued job failed', error);
+		});
+	}
+}
+
+/**
+ * Waits for the pending jobs, and the promises they created, to settle:
+ * a macrotask runs only after all the queued microtasks.
+ *
+ * @returns {Promise<void>}
+ */
+function flushPromises() {
+	return new Promise((resolve) => setTimeout(resolve));
+}
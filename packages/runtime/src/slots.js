@@ -0,0 +1,145 @@
+import { DEFAULT_SLOT, DOM_TYPES, hFragment } from './h';
+import { omit } from './utils/objects';
+
+/**
+ * Replaces the slot nodes of a component's virtual DOM tree with the content
+ * passed to the component, or with the slot's default content if there's none.
+ *
+ * The slots are replaced by fragments, so the virtual DOM tree doesn't contain
+ * slot nodes anymore once this function returns. The tree is modified in place,
+ * but as the root node itself might be a slot, the resulting root is returned.
+ *
+ * The slots inside the children of component nodes are filled too: those belong
+ * to the component rendering them, which forwards its content to the child.
+ *
+ * The children of the component nodes are marked as owned by the component
+ * rendering them (see `ownerOf()`), except for the forwarded content, which
+ * keeps its owner.
+ *
+ * @param {import('./h').VNode} vdom the virtual DOM tree returned by `render()`
+ * @param {import('./h').VNode[]} [externalContent] the children of the component's virtual node
+ * @param {import('./component').Component} [owner] the component that rendered the tree
+ * @returns {import('./h').VNode} the virtual DOM tree without slots
+ */
+export function fillSlots(vdom, externalContent = [], owner = null) {
+	const contentBySlot = groupBySlot(externalContent);
+
+	function fill(node) {
+		if (node.type === DOM_TYPES.SLOT) {
+			const content = contentBySlot[node.name];
+
+			// The external content was already filled by the component that rendered it.
+			return content
+				? hFragment(content.map(cloneVNode))
+				: hFragment(node.children.map(fill));
+		}
+
+		if (node.children) {
+			node.children = node.children.map(fill);
+		}
+
+		if (node.type === DOM_TYPES.COMPONENT && owner) {
+			node.children.forEach((child) => setOwner(child, owner));
+		}
+
+		return node;
+	}
+
+	return fill(vdom);
+}
+
+/**
+ * Returns the component the event handlers and the ref of a virtual node belong
+ * to: the component that passed the node as slot content to another component,
+ * or else the component rendering the node.
+ *
+ * The slot content is mounted by the component rendering the slot, but its event
+ * handlers are written in the component that passed it, so `this` is that
+ * component, and so are the `refs` the node is saved in.
+ *
+ * @param {import('./h').VNode} vdom the virtual node
+ * @param {import('./component').Component} [hostComponent] the component rendering the node
+ * @returns {import('./component').Component} the owner of the node
+ */
+export function ownerOf(vdom, hostComponent) {
+	return vdom.owner ?? hostComponent;
+}
+
+/**
+ * Binds the event handlers of a component virtual node to its owner, if it's
+ * slot content. Otherwise, the component calls them with the component rendering
+ * it as `this`.
+ *
+ * @param {Object.<string, Function>} events the event handlers of the component node
+ * @param {import('./h').ComponentVNode} vdom the component virtual node
+ * @returns {Object.<string, Function>} the event handlers to pass to the component
+ */
+export function bindToOwner(events, vdom) {
+	if (vdom.owner == null) {
+		return events;
+	}
+
+	return Object.fromEntries(
+		Object.entries(events).map(([name, handler]) => [
+			name,
+			handler.bind(vdom.owner),
+		])
+	);
+}
+
+/**
+ * Marks a virtual node and its descendants as owned by the given component,
+ * unless they already have an owner.
+ *
+ * @param {import('./h').VNode} vdom the virtual node
+ * @param {import('./component').Component} owner the component that rendered the node
+ */
+function setOwner(vdom, owner) {
+	vdom.owner ??= owner;
+	vdom.children?.forEach((child) => setOwner(child, owner));
+}
+
+/**
+ * Groups the content passed to a component by the slot it goes to.
+ *
+ * @param {import('./h').VNode[]} content the children of the component's virtual node
+ * @returns {Object.<string, import('./h').VNode[]>} the content of each slot
+ */
+function groupBySlot(content) {
+	const contentBySlot = {};
+
+	for (const node of content) {
+		const name = node.props?.slot ?? DEFAULT_SLOT;
+		contentBySlot[name] ??= [];
+		contentBySlot[name].push(node);
+	}
+
+	return contentBySlot;
+}
+
+/**
+ * Copies a virtual node, leaving out its references to the DOM. The owner of the
+ * node is kept.
+ *
+ * The content of a slot is rendered every time the component re-renders, but the
+ * virtual nodes passed by the parent don't change until the parent re-renders.
+ * Each render needs its own virtual nodes, as the patching algorithm saves the
+ * DOM references in them.
+ *
+ * @param {import('./h').VNode} vdom the virtual node to copy
+ * @returns {import('./h').VNode} the copy
+ */
+function cloneVNode(vdom) {
+	const clone = omit(vdom, ['el', 'listeners', 'component']);
+
+	if (clone.props) {
+		// The slot prop is only used to place the node in the right slot.
+		clone.props = omit(clone.props, ['slot']);
+	}
+
+	if (clone.children) {
+		clone.children = clone.children.map(cloneVNode);
+	}
+
+	return clone;
+}
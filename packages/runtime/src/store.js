@@ -0,0 +1,107 @@
+import { Dispatcher } from './dispatcher';
+
+/**
+ * The key the store is provided under to the application's components.
+ */
+export const STORE_KEY = Symbol('store');
+
+/**
+ * A reducer returns the new state resulting from a command. It mustn't modify the
+ * given state, but return a new object when something changed.
+ *
+ * @typedef {(state: any, payload: any) => any} Reducer
+ */
+
+/**
+ * @typedef StoreOptions
+ * @type {object}
+ *
+ * @property {any} state - The initial state.
+ * @property {Object.<string, Reducer>} [reducers] - The reducers, by the name of the command they handle.
+ */
+
+/**
+ * @typedef Store
+ * @type {object}
+ *
+ * @property {any} state - The current state.
+ * @property {(commandName: string, payload?: any) => Promise<void>} dispatch - Dispatches a command to the reducers. The returned promise rejects if a reducer throws.
+ * @property {(listener: (state: any) => void) => () => void} subscribe - Calls the listener when the state changes. Returns a function to stop listening.
+ * @property {(handler: (command: import('./dispatcher').Command, state: any) => void) => () => void} afterEveryCommand - Calls the handler with each command and the resulting state. Returns a function to stop calling it.
+ * @property {(state: any) => void} replaceState - Replaces the whole state, without a command.
+ * @property {(app: import('./app').Application) => void} install - Installs the store in an application, with `app.use(store)`.
+ */
+
+/**
+ * Creates a store holding the global state of an application.
+ *
+ * The state only changes by dispatching commands: each command is handled by the
+ * reducer of the same name, through a `Dispatcher`. Once the command is handled,
+ * the listeners are notified if the state changed.
+ *
+ * Installed in an application with `app.use(store)`, the store is provided to all
+ * the components, which can read slices of the state with `this.select()` and
+ * dispatch commands with `this.dispatch()`.
+ *
+ * @param {StoreOptions} options the initial state and the reducers
+ * @returns {Store} the store
+ */
+export function createStore({ state, reducers = {} }) {
+	const dispatcher = new Dispatcher();
+	const listeners = new Set();
+	let currentState = state;
+	let notifiedState = state;
+
+	for (const [commandName, reducer] of Object.entries(reducers)) {
+		dispatcher.subscribe(commandName, (payload) => {
+			currentState = reducer(currentState, payload);
+		});
+	}
+
+	function notify() {
+		if (currentState === notifiedState) {
+			return;
+		}
+
+		notifiedState = currentState;
+		listeners.forEach((listener) => listener(currentState));
+	}
+
+	dispatcher.afterEveryCommand(notify);
+
+	return {
+		get state() {
+			return currentState;
+		},
+
+		dispatch(commandName, payload) {
+			return dispatcher.dispatch(commandName, payload);
+		},
+
+		subscribe(listener) {
+			listeners.add(listener);
+			return () => listeners.delete(listener);
+		},
+
+		afterEveryCommand(handler) {
+			return dispatcher.afterEveryCommand((command) =>
+				handler(command, currentState)
+			);
+		},
+
+		/**
+		 * Replaces the whole state and notifies the listeners, like a command would.
+		 * It's meant for tools like the history recorder, which restore past states.
+		 *
+		 * @param {any} state the new state
+		 */
+		replaceState(state) {
+			currentState = state;
+			notify();
+		},
+
+		install(app) {
+			app.provide(STORE_KEY, this);
+		},
+	};
+}
@@ -32,159 +32,149 @@ export const ARRAY_DIFF_OP = {
 	NOOP: 'noop', // no operation
 };
 
-class ArrayWithOriginalIndices {
-	/**
-	 * A copy of the original array.
-	 */
-	#array = [];
+const strictEquals = (a, b) => a === b;
 
+/**
+ * The positions of the items in the array being transformed.
+ *
+ * Every item that is ever in the array gets a slot: the slots are sorted like
+ * the items are in the array at any time, so the position of an item is the
+ * number of occupied slots before its slot. They're counted with a Fenwick tree,
+ * so that both operations take O(log n) instead of O(n) for an array splice.
+ */
+class SlotPositions {
 	/**
-	 * Keep track of the original indices.
+	 * The Fenwick tree, where the slot `i` is at the index `i + 1`.
 	 */
-	#originalIndices = [];
+	#tree = [];
 
-	/**
-	 * Save the function used to compare two items in the array.
-	 */
-	#equalsFn;
+	constructor(size) {
+		this.#tree = new Array(size + 1).fill(0);
+	}
 
-	constructor(array, equalsFn) {
-		this.#array = [...array];
-		this.#originalIndices = array.map((_, i) => i);
-		this.#equalsFn = equalsFn;
+	occupy(slot) {
+		this.#update(slot, 1);
 	}
 
-	get length() {
-		return this.#array.length;
+	free(slot) {
+		this.#update(slot, -1);
 	}
 
 	/**
-	 * Checks wether the item in original array has been removed in the new array.
-	 * @param {number} index
-	 * @param {any[]} newArray
-	 * @returns
+	 * Returns the number of occupied slots before the given slot.
+	 * @param {number} slot
+	 * @returns {number}
 	 */
-	isRemoval(index, newArray) {
-		// if the index is out of bounds, there's nothing to remove.
-		if (index >= this.length) return false;
-
-		const item = this.#array[index];
-		const indexInNewArray = newArray.findIndex((newItem) =>
-			this.#equalsFn(item, newItem)
-		);
-
-		// if the index returned from findIndex is -1, the item was removed.
-		// https://developer.mozilla.org/en-US/docs/Web/JavaScript/Reference/Global_Objects/Array/findIndex
-		return indexInNewArray === -1;
-	}
+	positionOf(slot) {
+		let position = 0;
 
-	removeItem(index) {
-		const operation = {
-			op: ARRAY_DIFF_OP.REMOVE,
-			index,
-			item: this.#array[index],
-		};
+		for (let i = slot; i > 0; i -= i & -i) {
+			position += this.#tree[i];
+		}
 
-		this.#array.splice(index, 1);
-		// also removes the the original index of the item, which is kept in the array originalIndices
-		this.#originalIndices.splice(index, 1);
+		return position;
+	}
 
-		return operation;
+	#update(slot, delta) {
+		for (let i = slot + 1; i < this.#tree.length; i += i & -i) {
+			this.#tree[i] += delta;
+		}
 	}
+}
+
+/**
+ * Finds the item of the old array each item of the new array corresponds to.
+ * The old items are grouped by key, so only the items with the same key are
+ * compared: each new item is matched with the first equal old item that isn't
+ * matched yet.
+ *
+ * @param {Array} oldArray
+ * @param {Array} newArray
+ * @param {Function} equalsFn
+ * @param {Function} keyFn
+ * @returns {{ oldIndices: number[], isMatched: boolean[] }} the index in the old array of each new item (-1 for the additions), and whether each old item is kept
+ */
+function matchItems(oldArray, newArray, equalsFn, keyFn) {
+	const groups = new Map();
+	const isMatched = new Array(oldArray.length).fill(false);
 
-	isNoop(index, newArray) {
-		if (index >= newArray.length) return false;
+	oldArray.forEach((item, oldIndex) => {
+		const key = keyFn(item);
 
-		const item = this.#array[index];
-		const newItem = newArray[index];
+		if (!groups.has(key)) {
+			groups.set(key, { indices: [], start: 0 });
+		}
+		groups.get(key).indices.push(oldIndex);
+	});
 
-		return this.#equalsFn(item, newItem);
-	}
+	const oldIndices = newArray.map((newItem) => {
+		const group = groups.get(keyFn(newItem));
+		if (group == null) {
+			return -1;
+		}
 
-	/**
-	 * Returns the original index of item in the old array.
-	 * @param {number} index
-	 * @returns {number}
-	 */
-	originalIndexAt(index) {
-		return this.#originalIndices[index];
-	}
+		const { indices } = group;
+		// The matched items at the start of the group are never looked at again.
+		while (group.start < indices.length && isMatched[indices[group.start]]) {
+			group.start++;
+		}
 
-	noopItem(index) {
-		return {
-			op: ARRAY_DIFF_OP.NOOP,
-			originalIndex: this.originalIndexAt(index),
-			index,
-			item: this.#array[index],
-		};
-	}
+		for (let i = group.start; i < indices.length; i++) {
+			const oldIndex = indices[i];
 
-	/**
-	 * Checks if an given item exists in the array from the given index.
-	 * @param {any} item
-	 * @param {number} fromIndex
-	 * @returns {number}
-	 */
-	findIndexFrom(item, fromIndex) {
-		for (let i = fromIndex; i < this.length; i++) {
-			if (this.#equalsFn(item, this.#array[i])) {
-				return i;
+			if (!isMatched[oldIndex] && equalsFn(oldArray[oldIndex], newItem)) {
+				isMatched[oldIndex] = true;
+				return oldIndex;
 			}
 		}
 
 		return -1;
-	}
-
-	isAddition(item, fromIdx) {
-		return this.findIndexFrom(item, fromIdx) === -1;
-	}
-
-	addItem(item, index) {
-		const operation = {
-			op: ARRAY_DIFF_OP.ADD,
-			index,
-			item,
-		};
+	});
 
-		this.#array.splice(index, 0, item);
-		// the added item wasn't present in the original array, so use -1 in this case.
-		this.#originalIndices.splice(index, 0, -1);
-
-		return operation;
-	}
+	return { oldIndices, isMatched };
+}
 
-	moveItem(item, toIndex) {
-		// first finds where it was in the original array.
-		const fromIndex = this.findIndexFrom(item, toIndex);
-		const operation = {
-			op: ARRAY_DIFF_OP.MOVE,
-			originalIndex: this.originalIndexAt(fromIndex),
-			from: fromIndex, // index in the original array
-			index: toIndex, // index in the new array
-			item: this.#array[fromIndex],
-		};
-
-		// extracts the item from the old array
-		const [_item] = this.#array.splice(fromIndex, 1);
-		// inserts the item into the new position
-		this.#array.splice(toIndex, 0, _item);
-
-		// do the same for the indices array
-		const [originalIndex] = this.#originalIndices.splice(fromIndex, 1);
-		this.#originalIndices.splice(toIndex, 0, originalIndex);
-
-		return operation;
-	}
+/**
+ * Finds the longest increasing subsequence of the old indices of the new items,
+ * ignoring the additions (-1). The items in this subsequence are already in the
+ * right order, so they don't need to move: the other ones are moved around them.
+ *
+ * @param {number[]} oldIndices the index in the old array of each new item
+ * @returns {boolean[]} whether each new item is part of the subsequence
+ */
+function longestIncreasingSubsequence(oldIndices) {
+	// tails[k] is the new index of the smallest old index ending an increasing
+	// subsequence of length k + 1.
+	const tails = [];
+	const previous = new Array(oldIndices.length).fill(-1);
+
+	oldIndices.forEach((oldIndex, index) => {
+		if (oldIndex === -1) {
+			return;
+		}
 
-	removeItemsAfter(index) {
-		const operations = [];
+		let low = 0;
+		let high = tails.length;
+		while (low < high) {
+			const middle = (low + high) >> 1;
 
-		while (this.length > index) {
-			operations.push(this.removeItem(index));
+			if (oldIndices[tails[middle]] < oldIndex) {
+				low = middle + 1;
+			} else {
+				high = middle;
+			}
 		}
 
-		return operations;
+		previous[index] = low > 0 ? tails[low - 1] : -1;
+		tails[low] = index;
+	});
+
+	const isInSubsequence = new Array(oldIndices.length).fill(false);
+	for (let index = tails.at(-1) ?? -1; index !== -1; index = previous[index]) {
+		isInSubsequence[index] = true;
 	}
+
+	return isInSubsequence;
 }
 
 /**
@@ -192,9 +182,20 @@ class ArrayWithOriginalIndices {
  * The sequence consists of removal, addition, movement, and no-operations.
  * This function is used to find the differences between virtual DOM children.
  *
+ * The items are matched through a map of their keys, and the longest sequence
+ * of matched items that are already in the right order is kept in place (no-ops),
+ * so that the number of moves is the smallest possible. The diff takes
+ * O(n log n) time for arrays whose items have distinct keys.
+ *
+ * The operations are applied one after the other: the `index` of an addition,
+ * removal or move (and the `from` of a move) is the position in the array with
+ * the previous operations applied. The additions, moves and no-ops follow the
+ * order of the new array, and the `index` of a no-op is the index in the new array.
+ *
  * @param {Array} oldArray - The original array to transform from
  * @param {Array} newArray - The target array to transform to
  * @param {Function} [equalsFn=(a, b) => a === b] - Custom equality function to compare array elements
+ * @param {Function} [keyFn] - Returns the key of an item: equal items must have the same key. Defaults to the item itself with the default equality function, and to the same key for all the items with a custom one
  * @returns {Array} An array of operations representing the transformation sequence
  *
  * @example
@@ -206,34 +207,112 @@ class ArrayWithOriginalIndices {
 export function arraysDiffSequence(
 	oldArray,
 	newArray,
-	equalsFn = (a, b) => a === b
+	equalsFn = strictEquals,
+	keyFn = equalsFn === strictEquals ? (item) => item : () => null
 ) {
+	const { oldIndices, isMatched } = matchItems(
+		oldArray,
+		newArray,
+		equalsFn,
+		keyFn
+	);
+	const isStaying = longestIncreasingSubsequence(oldIndices);
+	const stayingOldIndices = oldIndices.filter((_, index) => isStaying[index]);
+
+	// The added and moved items are placed right after the previous new item, so
+	// their slots follow the slot of the staying item before them.
+	const oldSlots = new Array(oldArray.length);
+	const newSlots = new Array(newArray.length);
+	const placedAfter = new Map();
+	let anchor = -1;
+
+	oldIndices.forEach((oldIndex, index) => {
+		if (isStaying[index]) {
+			anchor = oldIndex;
+		} else if (placedAfter.has(anchor)) {
+			placedAfter.get(anchor).push(index);
+		} else {
+			placedAfter.set(anchor, [index]);
+		}
+	});
+
+	let slotCount = 0;
+	const assignSlots = (anchor) => {
+		for (const index of placedAfter.get(anchor) ?? []) {
+			newSlots[index] = slotCount++;
+		}
+	};
+
+	assignSlots(-1);
+	for (let oldIndex = 0; oldIndex < oldArray.length; oldIndex++) {
+		oldSlots[oldIndex] = slotCount++;
+		assignSlots(oldIndex);
+	}
+
+	const positions = new SlotPositions(slotCount);
+	oldSlots.forEach((slot) => positions.occupy(slot));
+
 	const sequence = [];
-	const array = new ArrayWithOriginalIndices(oldArray, equalsFn);
+	let nextOldIndex = 0;
+
+	// Removes the old items that aren't kept, up to the given old index.
+	const removeItemsBefore = (end) => {
+		for (; nextOldIndex < end; nextOldIndex++) {
+			if (isMatched[nextOldIndex]) {
+				continue;
+			}
 
-	for (let index = 0; index < newArray.length; index++) {
-		if (array.isRemoval(index, newArray)) {
-			sequence.push(array.removeItem(index));
-			index--; // decrements the index to stay at the same index in the next iteration.
-			continue;
+			const slot = oldSlots[nextOldIndex];
+			sequence.push({
+				op: ARRAY_DIFF_OP.REMOVE,
+				index: positions.positionOf(slot),
+				item: oldArray[nextOldIndex],
+			});
+			positions.free(slot);
 		}
+	};
 
-		if (array.isNoop(index, newArray)) {
-			sequence.push(array.noopItem(index));
-			continue;
+	let stayingCount = 0;
+	removeItemsBefore(stayingOldIndices[0] ?? oldArray.length);
+
+	newArray.forEach((item, index) => {
+		const oldIndex = oldIndices[index];
+
+		if (isStaying[index]) {
+			sequence.push({
+				op: ARRAY_DIFF_OP.NOOP,
+				originalIndex: oldIndex,
+				index,
+				item: oldArray[oldIndex],
+			});
+			removeItemsBefore(stayingOldIndices[++stayingCount] ?? oldArray.length);
+			return;
 		}
 
-		const newItem = newArray[index];
+		const slot = newSlots[index];
 
-		if (array.isAddition(newItem, index)) {
-			sequence.push(array.addItem(newItem, index));
-			continue;
+		if (oldIndex === -1) {
+			positions.occupy(slot);
+			sequence.push({
+				op: ARRAY_DIFF_OP.ADD,
+				index: positions.positionOf(slot),
+				item,
+			});
+			return;
 		}
 
-		sequence.push(array.moveItem(newItem, index));
-	}
+		const from = positions.positionOf(oldSlots[oldIndex]);
+		positions.free(oldSlots[oldIndex]);
+		positions.occupy(slot);
 
-	sequence.push(...array.removeItemsAfter(newArray.length));
+		sequence.push({
+			op: ARRAY_DIFF_OP.MOVE,
+			originalIndex: oldIndex, // index in the original array
+			from, // position before the move
+			index: positions.positionOf(slot), // position after the move
+			item: oldArray[oldIndex],
+		});
+	});
 
 	return sequence;
 }
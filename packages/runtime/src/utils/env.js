@@ -0,0 +1,9 @@
+/**
+ * Checks if the code runs in development, to report the mistakes that aren't
+ * worth checking in production.
+ * @returns {boolean}
+ */
+export function isDevelopment() {
+	// Bundlers replace process.env.NODE_ENV with "production" in production builds.
+	return globalThis.process?.env?.NODE_ENV !== 'production';
+}
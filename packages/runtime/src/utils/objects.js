@@ -17,6 +17,37 @@ export function objectsDiff(oldObj, newObj) {
 	};
 }
 
+/**
+ * Checks if two objects have the same keys, with strictly equal values.
+ * @param {object} objOne
+ * @param {object} objTwo
+ * @returns {boolean}
+ */
+export function shallowEqual(objOne, objTwo) {
+	const keysOne = Object.keys(objOne);
+	const keysTwo = Object.keys(objTwo);
+
+	if (keysOne.length !== keysTwo.length) {
+		return false;
+	}
+
+	return keysOne.every(
+		(key) => hasOwnProperty(objTwo, key) && objOne[key] === objTwo[key]
+	);
+}
+
+/**
+ * Copies an object, leaving out the given keys.
+ * @param {object} obj
+ * @param {string[]} keys
+ * @returns {object}
+ */
+export function omit(obj, keys) {
+	return Object.fromEntries(
+		Object.entries(obj).filter(([key]) => !keys.includes(key))
+	);
+}
+
 /**
  * Safely evaluate `hasOwnProperty` calls.
  * @link https://eslint.org/docs/latest/rules/no-prototype-builtins
@@ -24,3 +55,66 @@ export function objectsDiff(oldObj, newObj) {
 export function hasOwnProperty(obj, prop) {
 	return Object.prototype.hasOwnProperty.call(obj, prop);
 }
+
+/**
+ * Checks if two values are deeply equal: the arrays and plain objects are
+ * compared by their content, the other values with `Object.is()`.
+ * @param {any} valueOne
+ * @param {any} valueTwo
+ * @returns {boolean}
+ */
+export function deepEqual(valueOne, valueTwo) {
+	if (Object.is(valueOne, valueTwo)) {
+		return true;
+	}
+
+	if (Array.isArray(valueOne) && Array.isArray(valueTwo)) {
+		return (
+			valueOne.length === valueTwo.length &&
+			valueOne.every((item, i) => deepEqual(item, valueTwo[i]))
+		);
+	}
+
+	if (!isPlainObject(valueOne) || !isPlainObject(valueTwo)) {
+		return false;
+	}
+
+	const keysOne = Object.keys(valueOne);
+
+	return (
+		keysOne.length === Object.keys(valueTwo).length &&
+		keysOne.every(
+			(key) =>
+				hasOwnProperty(valueTwo, key) && deepEqual(valueOne[key], valueTwo[key])
+		)
+	);
+}
+
+/**
+ * Copies the arrays and plain objects in a value, recursively. The other values,
+ * like functions or class instances, are kept as they are.
+ * @param {any} value
+ * @returns {any}
+ */
+export function deepClone(value) {
+	if (Array.isArray(value)) {
+		return value.map(deepClone);
+	}
+
+	if (isPlainObject(value)) {
+		return Object.fromEntries(
+			Object.entries(value).map(([key, item]) => [key, deepClone(item)])
+		);
+	}
+
+	return value;
+}
+
+function isPlainObject(value) {
+	if (value === null || typeof value !== 'object') {
+		return false;
+	}
+
+	const prototype = Object.getPrototypeOf(value);
+	return prototype === Object.prototype || prototype === null;
+}
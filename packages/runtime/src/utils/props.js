@@ -7,14 +7,15 @@
 
 /**
  * Extracts the events and props of a component or element virtual node, ignoring
- * the 'key' attribute.
+ * the 'key' and 'ref' attributes.
  *
  * @param {import('../h').VNode} vdom
  * @returns {ExtractedPropsEvents} the events and props of the component
  */
 export function extractPropsAndEvents(vdom) {
 	const { on: events = {}, ...props } = vdom.props;
-	delete props.keys;
+	delete props.key;
+	delete props.ref;
 
 	return { props, events };
 }
@@ -0,0 +1,106 @@
+import { handleAsyncError, handleError } from './errors';
+import { deepClone, deepEqual } from './utils/objects';
+
+/**
+ * @typedef WatchOptions
+ * @type {object}
+ * @property {(newValue: any, oldValue: any) => (void|Promise<void>)} handler - The function called when the value changes, with the component as `this`.
+ * @property {boolean} [immediate=false] - Whether to call the handler when the component is mounted, with `undefined` as old value.
+ * @property {boolean} [deep=false] - Whether to compare the values deeply, detecting the changes inside nested arrays and objects.
+ */
+
+/**
+ * Watches a value of a component, read from a path like `state.filter`,
+ * `props.id` or `fullName` (a computed property), and calls the handler with
+ * the new and old values when it changes.
+ *
+ * The value is checked when the component's state or props are updated. It's
+ * compared to the previous one with `Object.is()`, or, in deep mode, to a deep
+ * copy of the previous one: then the changes made in place to the arrays and
+ * objects are detected, and the old value passed to the handler is the copy.
+ *
+ * The errors thrown by the handler (or the promise it returns) are handled
+ * like the errors of the component's event handlers.
+ */
+export class Watcher {
+	#component = null;
+	#path = '';
+	#handler = null;
+	#deep = false;
+	/**
+	 * The value at the last check, or its deep copy in deep mode.
+	 */
+	#value = undefined;
+
+	/**
+	 * @param {import('./component').Component} component the watching component
+	 * @param {string} path the path of the value in the component
+	 * @param {Function|WatchOptions} options the handler, or the watcher's options
+	 */
+	constructor(component, path, options) {
+		const {
+			handler,
+			immediate = false,
+			deep = false,
+		} = typeof options === 'function' ? { handler: options } : options;
+
+		if (typeof handler !== 'function') {
+			throw new Error(`The watcher of "${path}" needs a handler function`);
+		}
+
+		this.#component = component;
+		this.#path = path;
+		this.#handler = handler;
+		this.#deep = deep;
+
+		const value = this.#read();
+		this.#value = this.#snapshot(value);
+
+		if (immediate) {
+			this.#call(value, undefined);
+		}
+	}
+
+	/**
+	 * Calls the handler if the value changed since the last check.
+	 */
+	check() {
+		const value = this.#read();
+		const hasChanged = this.#deep
+			? !deepEqual(value, this.#value)
+			: !Object.is(value, this.#value);
+
+		if (!hasChanged) {
+			return;
+		}
+
+		const oldValue = this.#value;
+		// Updated before calling the handler, which can update the state again.
+		this.#value = this.#snapshot(value);
+		this.#call(value, oldValue);
+	}
+
+	#read() {
+		return this.#path
+			.split('.')
+			.reduce((object, key) => object?.[key], this.#component);
+	}
+
+	#snapshot(value) {
+		return this.#deep ? deepClone(value) : value;
+	}
+
+	#call(newValue, oldValue) {
+		try {
+			const result = this.#handler.call(this.#component, newValue, oldValue);
+
+			if (result instanceof Promise) {
+				result.catch((error) =>
+					handleAsyncError(error, this.#component, 'watcher')
+				);
+			}
+		} catch (error) {
+			handleError(error, this.#component, 'watcher');
+		}
+	}
+}
@@ -1,6 +1,24 @@
+import { fileURLToPath } from 'node:url';
 import { defineConfig } from 'vitest/config';
 
 export default defineConfig({
+	// The .jsx tests are compiled with the JSX runtime, like an application would.
+	esbuild: {
+		jsx: 'automatic',
+		jsxImportSource: 'turbie',
+	},
+	resolve: {
+		alias: {
+			'turbie/jsx-runtime': fileURLToPath(
+				new URL('./src/jsx-runtime.js', import.meta.url)
+			),
+			'turbie/jsx-dev-runtime': fileURLToPath(
+				new URL('./src/jsx-dev-runtime.js', import.meta.url)
+			),
+			// The JSX imports createElement() from the package itself.
+			turbie: fileURLToPath(new URL('./src/index.js', import.meta.url)),
+		},
+	},
 	test: {
 		reporters: 'verbose',
 		environment: 'jsdom', // This tells Vitest to use JSDOM environment.